@@ -0,0 +1,87 @@
+// Проверка хронологии сценария: общая для server.mjs и scripts/publish-scenario.mjs.
+
+export function checkScenarioConsistency({ event, narrative, timeline = null, currentYear }) {
+  const divergenceYear = extractMentionedYears(event).find((year) => year <= currentYear) || null;
+  const narrativeYears = extractMentionedYears(narrative);
+  const timelineYears = (Array.isArray(timeline) ? timeline : [])
+    .map((item) => normalizeYear(item?.year))
+    .filter((year) => year !== null);
+  const issues = [];
+
+  for (const year of new Set(timelineYears)) {
+    if (year > currentYear) {
+      issues.push({ code: "future-year", source: "timeline", year, severity: "error" });
+    } else if (divergenceYear && year < divergenceYear) {
+      // модель часто начинает timeline с предыстории, ради этого не стоит повторного запроса
+      issues.push({ code: "before-divergence", source: "timeline", year, severity: "warning" });
+    }
+  }
+
+  for (let index = 1; index < timelineYears.length; index += 1) {
+    if (timelineYears[index] <= timelineYears[index - 1]) {
+      issues.push({
+        code: "timeline-order",
+        source: "timeline",
+        year: timelineYears[index],
+        previousYear: timelineYears[index - 1],
+        severity: "error",
+      });
+      break;
+    }
+  }
+
+  const firstTimelineYear = timelineYears.length ? Math.min(...timelineYears) : null;
+  for (const year of new Set(narrativeYears)) {
+    if (year > currentYear) {
+      issues.push({ code: "future-year", source: "narrative", year, severity: "error" });
+    } else if (divergenceYear && year < divergenceYear) {
+      // предыстория до развилки допустима, но стоит внимания редактора
+      issues.push({ code: "before-divergence", source: "narrative", year, severity: "warning" });
+    } else if (firstTimelineYear && year < firstTimelineYear) {
+      issues.push({ code: "narrative-outside-timeline", source: "narrative", year, severity: "warning" });
+    }
+  }
+
+  return {
+    status: issues.some((issue) => issue.severity === "error")
+      ? "error"
+      : issues.length > 0
+        ? "warning"
+        : "ok",
+    divergenceYear,
+    issues,
+  };
+}
+
+export function extractMentionedYears(text) {
+  const source = String(text || "");
+  const years = [];
+  const pattern =
+    /(?<![\d.,])(\d{3,4})(?![\d]|[.,]\d)(\s*(?:%|км|km|кг|kg|тонн|tons?|человек|people|солдат|soldiers|руб|долл|dollars?|миль|miles))?/giu;
+
+  for (const match of source.matchAll(pattern)) {
+    if (match[2]) continue;
+    const year = Number(match[1]);
+    const tail = source.slice(match.index + match[0].length, match.index + match[0].length + 24);
+    if (/^\s*(?:(?:год[а-я]*|г\.)\s*)?(?:до\s+н\.\s*э|до\s+нашей|bc\b|bce\b|b\.c\.)/iu.test(tail)) {
+      continue;
+    }
+    const isFourDigitYear = year >= 1000 && year < 2200;
+    const isMarkedYear = /^\s*(?:год|г\.|ad\b|ce\b|н\.\s*э)/iu.test(tail);
+    if ((isFourDigitYear || isMarkedYear) && normalizeYear(year) !== null) {
+      years.push(year);
+    }
+  }
+  return years;
+}
+
+export function normalizeYear(value) {
+  const year = Number.parseInt(String(value), 10);
+  if (!Number.isFinite(year)) {
+    return null;
+  }
+  if (year < 1 || year > 4000) {
+    return null;
+  }
+  return year;
+}
@@ -1,12 +1,15 @@
 const form = document.getElementById("event-form");
 const input = document.getElementById("event-input");
 const button = document.getElementById("submit-btn");
+const compareButton = document.getElementById("compare-btn");
 const messages = document.getElementById("messages");
 const randomButton = document.getElementById("random-btn");
 const inputActions = document.querySelector(".input-actions");
 const providerPill = document.getElementById("provider-pill");
 const languageButton = document.getElementById("language-toggle");
-const modeTabs = document.querySelectorAll(".mode-tab");
+let modeTabs = document.querySelectorAll(".mode-tab");
+const lengthTabs = document.querySelectorAll(".length-tab");
+const narrativeFormatTabs = document.querySelectorAll(".narrative-format-tab");
 const donateButton = document.getElementById("donate-cta");
 const projectTelegramLink = document.getElementById("project-telegram-link");
 const mobileButtonLayout = window.matchMedia("(max-width: 720px)");
@@ -39,389 +42,48 @@ const PAGE_CONTEXT = {
   ...window.__PAGE_CONTEXT__,
 };
 const STORAGE_LANGUAGE_KEY = "bh_language";
-const QUICK_START_EXAMPLES = {
-  ru: [
-    "Что если Атлантида не затонула а превратилась в технологическую сверхдержаву?",
-    "Что если Гитлер поступил в Венскую академию художеств?",
-    "Что если вода на планете начала наделять людей случайными мутациями?",
-    "Что если Рунет полностью изолировали от глобальной сети в 2025 году?",
-    "Что если декабристы успешно захватили власть в 1825 году?",
-    "Что если телепатия внезапно появилась у каждого десятого человека на планете?",
-    "Что если Россия не продала Аляску Соединенным Штатам?",
-    "Что если Карибский кризис перерос в обмен ядерными ударами?",
-    "Что если Тунгусский метеорит был потерпевшим крушение звездным крейсером?",
-    "Что если Ленин прожил на двадцать лет дольше?",
-    "Что если Чума уничтожила девяносто процентов населения Европы вместо трети?",
-    "Что если Юрий Хованский построил успешную политическую карьеру в Госдуме?",
-    "Что если Петр I не стал строить Петербург и оставил столицу в Москве?",
-    "Что если Большой адронный коллайдер вызвал глобальную аномалию при запуске?",
-    "Что если тайное мировое правительство решило сократить население планеты до золотого миллиарда?",
-    "Что если христианство так и осталось локальной сектой на Ближнем Востоке?",
-    "Что если Виктор Цой не погиб в автокатастрофе в 1990 году?",
-    "Что если магия всегда существовала и стала главной наукой вместо физики?",
-    "Что если советский интернет ОГАС академика Глушкова был реализован?",
-    "Что если князь Владимир выбрал ислам или католичество вместо православного христианства?",
-    "Что если Белое движение победило в Гражданской войне?",
-    "Что если ИИ обрел самосознание в 2025 году?",
-    "Что если неандертальцы победили кроманьонцев в эволюционной гонке?",
-    "Что если Дональд Трамп проиграл выборы Хиллари Клинтон в 2016 году?",
-    "Что если Канье Уэст реально выиграл президентские выборы в США?",
-    "Что если монголо татарское нашествие обошло стороной русские княжества?",
-    "Что если Бермудский треугольник оказался работающим порталом в параллельное измерение?",
-    "Что если митинги на Болотной площади в 2011 году привели к смене власти?",
-    "Что если гравитация на Земле внезапно уменьшилась в два раза?",
-    "Что если Иван Грозный не убивал своего сына и династия Рюриковичей не прервалась?",
-    "Что если мы живем в матрице и в 1999 году произошел первый массовый сбой системы?",
-    "Что если ученые нашли работающий способ обратить биологическое старение вспять в 2015 году?",
-    "Что если динозавры не вымерли?",
-    "Что если легенды о вампирах основаны на генетической мутации правящих элит?",
-    "Что если в 2020 году вместо Covid случилась глобальная эпидемия зомби?",
-    "Что если Смутное время на Руси закончилось полным вхождением страны в состав Речи Посполитой?",
-  ],
-  en: [
-    "What if Atlantis never sank and became a technological superpower?",
-    "What if Hitler had been admitted to the Vienna Academy of Fine Arts?",
-    "What if telepathy suddenly appeared in every tenth person on Earth?",
-    "What if Russia had never sold Alaska to the United States?",
-    "What if the Cuban Missile Crisis had escalated into a nuclear exchange?",
-    "What if Lenin had lived twenty years longer?",
-    "What if the Black Death had wiped out ninety percent of Europe?",
-    "What if Peter the Great had kept the capital in Moscow?",
-    "What if the Large Hadron Collider had triggered a global anomaly at launch?",
-    "What if Christianity had remained a local sect in the Middle East?",
-    "What if Viktor Tsoi had not died in 1990?",
-    "What if OGAS, the Soviet internet project, had been implemented?",
-    "What if the White Movement had won the Russian Civil War?",
-    "What if AI became self-aware in 2025?",
-    "What if Neanderthals had won the evolutionary race?",
-    "What if gravity on Earth suddenly dropped by half?",
-    "What if dinosaurs had never gone extinct?",
-    "What if a global zombie epidemic replaced COVID in 2020?",
-  ],
-};
-const SHARE_CARD_CTA = {
-  ru: "смоделировать свою ветку реальности",
-  en: "model your own alternate timeline",
-};
-const MODE_LABELS = {
-  ru: {
-    realism: "Реализм",
-    dark: "Мрачная хроника",
-    prosperity: "Эпоха процветания",
-    madness: "Безумие",
-    humor: "Юмор",
-  },
-  en: {
-    realism: "Realism",
-    dark: "Dark Chronicle",
-    prosperity: "Age of Prosperity",
-    madness: "Madness",
-    humor: "Humor",
-  },
-};
-const TRANSLATIONS = {
-  ru: {
-    pageTitle: "Эффект Бабочки",
-    heroEyebrow: "Альтернативная история",
-    heroTitle: "Эффект Бабочки",
-    heroSubtitle:
-      "Напишите реальное историческое событие, а ИИ построит гипотезу: что было бы, если все пошло иначе.",
-    navScenario: "Сценарий",
-    navModes: "Режимы",
-    navSupport: "Поддержка",
-    heroPrimaryLink: "Создать сценарий",
-    heroSecondaryLink: "Поддержать проект",
-    heroFeature1: "Тот же генератор, но с более сильной подачей",
-    heroFeature2: "5 режимов альтернативной истории",
-    heroFeature3: "Готовые карточки для шаринга",
-    archivePreviewEyebrow: "Архив",
-    archivePreviewTitle: "Публичный архив сценариев",
-    archivePreviewSubtitle:
-      "Сильные сценарии теперь живут не только в чате, но и как отдельные страницы, по которым можно ходить дальше.",
-    archivePreviewLink: "Открыть весь архив",
-    archiveReadLink: "Читать сценарий",
-    archiveEyebrow: "Публичный архив",
-    archiveTitle: "Сценарии альтернативной истории",
-    archiveSubtitle:
-      "Отобранные публикации с самостоятельными URL, метаданными и внутренними переходами. Это уже не просто генератор, а библиотека развилок.",
-    archiveStatPublished: "опубликованных сценариев",
-    archiveStatThemes: "основных тем",
-    archiveStatEras: "эпох и периодов",
-    archiveNavigationEyebrow: "Навигация",
-    archiveFiltersTitle: "Фильтры и таксономия",
-    archiveFiltersDefaultCopy:
-      "Фильтруйте по стране, эпохе, теме и тону, чтобы архив был удобен и людям, и поисковикам.",
-    archiveFiltersActiveCopy: "Сейчас показаны сценарии по фильтру: {filters}.",
-    archiveResetFilters: "Сбросить фильтры",
-    archiveFilterCountry: "Страна",
-    archiveFilterEra: "Эпоха",
-    archiveFilterTheme: "Тема",
-    archiveFilterTone: "Тон",
-    archiveResultsEyebrow: "Результаты",
-    archiveResultsTitle: "Доступные сценарии",
-    archiveResultsCount: "Найдено сценариев: {count}.",
-    archiveEmptyTitle: "Под этот фильтр пока нет сценариев.",
-    archiveEmptyCopy: "Попробуйте снять часть ограничений или открыть весь архив.",
-    breadcrumbAria: "Хлебные крошки",
-    scenarioBreadcrumbHome: "Главная",
-    scenarioBreadcrumbArchive: "Архив сценариев",
-    publicScenarioEyebrow: "Публичный сценарий",
-    scenarioReadingTime: "{count} мин чтения",
-    scenarioPrimaryCta: "Смоделировать свою развилку",
-    scenarioSecondaryCta: "Вернуться в архив",
-    storyEyebrow: "Краткий заход",
-    storyTitle: "Что меняется в этой версии истории",
-    discoveryEyebrow: "Что читать дальше",
-    discoveryTitle: "Внутренние переходы",
-    discoveryCopy:
-      "Сценарий должен вести дальше по сайту. Поэтому рядом всегда есть похожие, свежие и популярные развилки.",
-    relatedTitle: "Похожие сценарии",
-    relatedCopy: "Ближайшие страницы по эпохе, теме и стране.",
-    recentTitle: "Свежие публикации",
-    recentCopy: "Новые материалы, которые уже добавлены в архив.",
-    popularTitle: "Популярные развилки",
-    popularCopy: "Сценарии, которые логично ставить в верхнюю навигацию архива.",
-    notFoundTitle: "Эта ветка истории не найдена",
-    notFoundSubtitle:
-      "Возможно, ссылка устарела или сценарий еще не был опубликован. Ниже можно открыть архив или запустить новую генерацию.",
-    notFoundPrimaryCta: "Открыть архив",
-    notFoundSecondaryCta: "Создать новый сценарий",
-    panelLabel: "Scenario Engine",
-    panelTitle: "Современная подача для вашего генератора",
-    panelCopy:
-      "Темный интерфейс, выразительные акценты и ощущение AI-продукта без изменений в механике сайта.",
-    panelLine1: "event: Карибский кризис не удалось остановить",
-    panelLine2: "mode: realism",
-    panelLine3: "output: alternate timeline initialized",
-    statLabel1: "режимов генерации",
-    statLabel2: "переключение языка",
-    statLabel3: "экспорт карточек",
-    homeAria: "Главная",
-    eventLabel: "Историческое событие",
-    eventPlaceholder:
-      "Например: Что если Карибский кризис в 1962 году не удалось бы деэскалировать?",
-    randomButton: "Рандомный сценарий",
-    randomAria: "Случайный сценарий быстрого старта",
-    randomTitle: "Случайный сценарий",
-    languageButton: "Язык: RU",
-    languageAria: "Переключить язык на английский",
-    modeTabsAria: "Режим генерации",
-    modeRealism: "Реализм",
-    modeDark: "Мрачная хроника",
-    modeProsperity: "Эпоха процветания",
-    modeMadness: "Безумие",
-    modeHumor: "Юмор",
-    submitIdle: "Смоделировать",
-    submitBusy: "Думаю...",
-    chatWindowAria: "Окно чата",
-    donateEyebrow: "Поддержать проект",
-    donateTitle: "Сделайте донат, если вам понравилась история",
-    donateNoteTop: "В новой версии планируется больше визуала и глубины. Донаты пойдут на:",
-    donateItem1: "генерацию исторических фото и иллюстраций",
-    donateItem2: "продвинутые «мозги» для более точных сценариев",
-    donateNoteBottom:
-      "Это разовый безопасный платеж через CloudTips. Любая сумма помогает ускорять развитие проекта и делать сценарии глубже.",
-    donateCta: "Поддержать донатом",
-    legalNote: "Важно: это творческая историческая гипотеза, а не установленные факты.",
-    projectLinksTitle: "Telegram проекта",
-    projectTelegramAria: "Telegram-канал проекта",
-    loadingScenario: "Моделирую альтернативную ветку...",
-    errorPrefix: "Ошибка",
-    unknownError: "неизвестная ошибка.",
-    parseError: "Не удалось разобрать ответ ИИ.",
-    networkError: "Ошибка сети. Проверьте, что сервер запущен.",
-    aiBadge: "ИИ",
-    userBadge: "Вы",
-    formatAuto: "Авто",
-    openPng: "Открыть PNG",
-    shareVk: "Поделиться в VK",
-    shareTelegram: "Поделиться в Telegram",
-    ready: "Готово",
-    failed: "Не вышло",
-    cardEyebrow: "Что если?",
-    cardEmptyNarrative: "Гипотеза готова, но текст оказался пустым.",
-    popupTitle: "Карточка сценария",
-    popupAlt: "Карточка сценария",
-    fallbackCardTitle: "Что если?",
-    fallbackCardPoint: "Ключевой поворот истории.",
-    fallbackCardFinal: "Финальный эффект захватывает современность.",
-    fallbackCardSubtitle: "Хроника альтернативного перелома — коротко и дерзко.",
-    stageLabel: "Этап",
-    timelineEarlyTitle: "Ранний перелом",
-    timelineEarlyDetails: "Начинаются первые изменения.",
-    timelineTrendTitle: "Закрепление",
-    timelineTrendDetails: "Новые процессы становятся устойчивыми.",
-    timelineShiftTitle: "Институциональный сдвиг",
-    timelineShiftDetails: "Изменения входят в норму.",
-    timelineGlobalTitle: "Глобальный эффект",
-    timelineGlobalDetails: "Изменения влияют на международный баланс.",
-    timelineEchoTitle: "Эхо перемен",
-    timelineEchoDetails: "Новое поколение живет иначе.",
-    timelineTodayTitle: "Сегодня",
-    timelineTodayDetails: "Формируется альтернативная современность.",
-    branch1: "Усилить международные союзы",
-    branch2: "Сделать ставку на технологический рывок",
-    branch3: "Сфокусироваться на внутренних реформах",
-    imagePromptFallback: "Иллюстрация альтернативной истории",
-    narrativeIncomplete: "Гипотеза построена, но текстовое описание оказалось неполным.",
-    narrativeJson: "Гипотеза построена, но модель вернула служебный JSON вместо чистого текста.",
-  },
-  en: {
-    pageTitle: "Butterfly Effect",
-    heroEyebrow: "Alternate History",
-    heroTitle: "Butterfly Effect",
-    heroSubtitle:
-      "Describe a real historical event, and AI will build a hypothesis of how the world could have changed.",
-    navScenario: "Scenario",
-    navModes: "Modes",
-    navSupport: "Support",
-    heroPrimaryLink: "Create Scenario",
-    heroSecondaryLink: "Support The Project",
-    heroFeature1: "The same generator with a much stronger product feel",
-    heroFeature2: "5 alternate-history modes",
-    heroFeature3: "Ready-made cards for sharing",
-    archivePreviewEyebrow: "Archive",
-    archivePreviewTitle: "Public Scenario Archive",
-    archivePreviewSubtitle:
-      "Strong scenarios no longer live only in the chat. They now have standalone pages you can keep exploring.",
-    archivePreviewLink: "Open the full archive",
-    archiveReadLink: "Read scenario",
-    archiveEyebrow: "Public Archive",
-    archiveTitle: "Alternate History Scenarios",
-    archiveSubtitle:
-      "Selected publications with standalone URLs, metadata, and internal links. This is no longer just a generator, but a library of turning points.",
-    archiveStatPublished: "published scenarios",
-    archiveStatThemes: "main themes",
-    archiveStatEras: "eras and periods",
-    archiveNavigationEyebrow: "Navigation",
-    archiveFiltersTitle: "Filters and Taxonomy",
-    archiveFiltersDefaultCopy:
-      "Filter by country, era, theme, and tone to make the archive useful for both people and search engines.",
-    archiveFiltersActiveCopy: "Scenarios are currently filtered by: {filters}.",
-    archiveResetFilters: "Clear filters",
-    archiveFilterCountry: "Country",
-    archiveFilterEra: "Era",
-    archiveFilterTheme: "Theme",
-    archiveFilterTone: "Tone",
-    archiveResultsEyebrow: "Results",
-    archiveResultsTitle: "Available Scenarios",
-    archiveResultsCount: "Scenarios found: {count}.",
-    archiveEmptyTitle: "No scenarios match this filter yet.",
-    archiveEmptyCopy: "Try removing some filters or open the full archive.",
-    breadcrumbAria: "Breadcrumbs",
-    scenarioBreadcrumbHome: "Home",
-    scenarioBreadcrumbArchive: "Scenario Archive",
-    publicScenarioEyebrow: "Public Scenario",
-    scenarioReadingTime: "{count} min read",
-    scenarioPrimaryCta: "Model your own turning point",
-    scenarioSecondaryCta: "Back to archive",
-    storyEyebrow: "Quick Brief",
-    storyTitle: "What changes in this version of history",
-    discoveryEyebrow: "What to read next",
-    discoveryTitle: "Internal Navigation",
-    discoveryCopy:
-      "Each scenario should lead deeper into the site. That is why similar, recent, and popular turning points are always nearby.",
-    relatedTitle: "Related Scenarios",
-    relatedCopy: "The closest pages by era, theme, and country.",
-    recentTitle: "Recent Publications",
-    recentCopy: "New materials already added to the archive.",
-    popularTitle: "Popular Turning Points",
-    popularCopy: "Scenarios that work well in the archive's top navigation.",
-    notFoundTitle: "This branch of history was not found",
-    notFoundSubtitle:
-      "The link may be outdated, or the scenario has not been published yet. You can open the archive below or start a new generation.",
-    notFoundPrimaryCta: "Open the archive",
-    notFoundSecondaryCta: "Create a new scenario",
-    panelLabel: "Scenario Engine",
-    panelTitle: "A modern product look for your generator",
-    panelCopy:
-      "Dark visuals, stronger accents, and an AI-product feel without changing the site's mechanics.",
-    panelLine1: "event: the Cuban Missile Crisis was never de-escalated",
-    panelLine2: "mode: realism",
-    panelLine3: "output: alternate timeline initialized",
-    statLabel1: "generation modes",
-    statLabel2: "language switch",
-    statLabel3: "card export",
-    homeAria: "Home",
-    eventLabel: "Historical Event",
-    eventPlaceholder:
-      "For example: What if the Cuban Missile Crisis in 1962 had not been de-escalated?",
-    randomButton: "Random Scenario",
-    randomAria: "Random quick-start scenario",
-    randomTitle: "Random scenario",
-    languageButton: "Language: EN",
-    languageAria: "Switch language to Russian",
-    modeTabsAria: "Generation mode",
-    modeRealism: "Realism",
-    modeDark: "Dark Chronicle",
-    modeProsperity: "Age of Prosperity",
-    modeMadness: "Madness",
-    modeHumor: "Humor",
-    submitIdle: "Simulate",
-    submitBusy: "Thinking...",
-    chatWindowAria: "Chat window",
-    donateEyebrow: "Support The Project",
-    donateTitle: "Make a donation if you enjoyed the story",
-    donateNoteTop: "The new version will include deeper visuals and richer scenarios. Donations go to:",
-    donateItem1: "generation of historical photos and illustrations",
-    donateItem2: "more advanced AI models for higher-quality scenarios",
-    donateNoteBottom:
-      "This is a one-time secure payment via CloudTips. Any amount helps speed up development and improve scenario depth.",
-    donateCta: "Support with a donation",
-    legalNote: "Important: this is a creative historical hypothesis, not established fact.",
-    projectLinksTitle: "Project Telegram",
-    projectTelegramAria: "Project Telegram channel",
-    loadingScenario: "Modeling an alternate timeline...",
-    errorPrefix: "Error",
-    unknownError: "unknown error.",
-    parseError: "Failed to parse the AI response.",
-    networkError: "Network error. Check that the server is running.",
-    aiBadge: "AI",
-    userBadge: "You",
-    formatAuto: "Auto",
-    openPng: "Open PNG",
-    shareVk: "Share to VK",
-    shareTelegram: "Share to Telegram",
-    ready: "Done",
-    failed: "Failed",
-    cardEyebrow: "What if?",
-    cardEmptyNarrative: "The hypothesis is ready, but the text came back empty.",
-    popupTitle: "Scenario Card",
-    popupAlt: "Scenario card",
-    fallbackCardTitle: "What if?",
-    fallbackCardPoint: "Key turning point in history.",
-    fallbackCardFinal: "The final effect reshapes the present day.",
-    fallbackCardSubtitle: "A sharp snapshot of an alternate turning point.",
-    stageLabel: "Phase",
-    timelineEarlyTitle: "Early Breakpoint",
-    timelineEarlyDetails: "The first changes begin.",
-    timelineTrendTitle: "Trend Consolidation",
-    timelineTrendDetails: "New dynamics become stable.",
-    timelineShiftTitle: "Institutional Shift",
-    timelineShiftDetails: "Changes become the new normal.",
-    timelineGlobalTitle: "Global Impact",
-    timelineGlobalDetails: "Shifts alter the international balance.",
-    timelineEchoTitle: "Echo Of Change",
-    timelineEchoDetails: "A new generation lives differently.",
-    timelineTodayTitle: "Today",
-    timelineTodayDetails: "An alternate present takes shape.",
-    branch1: "Strengthen international alliances",
-    branch2: "Double down on a technological leap",
-    branch3: "Focus on internal reforms",
-    imagePromptFallback: "Illustration of alternate history",
-    narrativeIncomplete: "The hypothesis was generated, but the text description was incomplete.",
-    narrativeJson: "The hypothesis was generated, but the model returned service JSON instead of clean text.",
-  },
-};
+const LANGUAGE_COOKIE = "bh_language";
+window.__LOCALE__ =
+  window.__LOCALE__ && typeof window.__LOCALE__ === "object"
+    ? window.__LOCALE__
+    : {};
+const DEFAULT_LOCALE = window.__LOCALE__.defaultLocale || "ru";
+const AVAILABLE_LOCALES =
+  Array.isArray(window.__LOCALE__.locales) && window.__LOCALE__.locales.length
+    ? window.__LOCALE__.locales
+    : [{ code: DEFAULT_LOCALE, name: DEFAULT_LOCALE }];
+const localeCatalogs = new Map(
+  window.__LOCALE__.code && window.__LOCALE__.messages
+    ? [[window.__LOCALE__.code, window.__LOCALE__.messages]]
+    : []
+);
 
 let isLoading = false;
 let activeMode = "realism";
-let currentLanguage = normalizeLanguage(
-  window.localStorage?.getItem(STORAGE_LANGUAGE_KEY) ||
-    document.documentElement.lang ||
-    "ru"
-);
+let activeLength = "standard";
+let activeNarrativeFormat = "essay";
+let modeRegistry = [];
+let currentLanguage = normalizeLanguage(window.__LOCALE__.code || document.documentElement.lang);
 const shareUrlCache = new Map();
+const foreignSessionChains = new Map();
+const LENGTH_OPTIONS = [
+  { id: "short", labelKey: "lengthShort" },
+  { id: "standard", labelKey: "lengthStandard" },
+  { id: "long-read", labelKey: "lengthLongRead" },
+];
+const NARRATIVE_FORMAT_OPTIONS = [
+  { id: "essay", labelKey: "narrativeFormatEssay", eyebrowKey: "cardEyebrow" },
+  { id: "newspaper", labelKey: "narrativeFormatNewspaper", eyebrowKey: "cardEyebrowNewspaper" },
+  { id: "diary", labelKey: "narrativeFormatDiary", eyebrowKey: "cardEyebrowDiary" },
+  { id: "textbook", labelKey: "narrativeFormatTextbook", eyebrowKey: "cardEyebrowTextbook" },
+  { id: "chat", labelKey: "narrativeFormatChat", eyebrowKey: "cardEyebrowChat" },
+];
+const REFINE_PRESET_OPTIONS = [
+  { id: "darker", labelKey: "refineDarker" },
+  { id: "dates", labelKey: "refineDates" },
+  { id: "shorter", labelKey: "refineShorter" },
+  { id: "funnier", labelKey: "refineFunnier" },
+];
 const CARD_FORMAT_OPTIONS = [
   { id: "auto" },
   { id: "portrait" },
@@ -442,13 +104,17 @@ let hasTrackedInitialPageView = false;
 
 
 initModeTabs();
+initLengthTabs();
+initNarrativeFormatTabs();
 initLanguageSwitcher();
 setLanguage(currentLanguage, { persist: false });
+restoreStoredLanguage();
 syncRandomButtonLayout();
 initAnalyticsBindings();
 initScenarioEngagementTracking();
 
 loadProviderMeta();
+loadModeRegistry();
 if (!PAGE_CONTEXT.disableScenarioHydration) {
   void hydrateScenarioFromUrl().finally(() => {
     trackInitialPageView();
@@ -478,6 +144,12 @@ form.addEventListener("submit", async (event) => {
   await startScenario(input.value);
 });
 
+if (compareButton) {
+  compareButton.addEventListener("click", async () => {
+    await startComparison(input.value);
+  });
+}
+
 if (randomButton) {
   randomButton.addEventListener("click", () => {
     const examples = getQuickStartExamples();
@@ -491,8 +163,7 @@ if (randomButton) {
 
 if (languageButton) {
   languageButton.addEventListener("click", () => {
-    const nextLanguage = currentLanguage === "ru" ? "en" : "ru";
-    setLanguage(nextLanguage);
+    void setLanguage(getNextLanguage());
   });
 }
 
@@ -509,39 +180,153 @@ async function startScenario(rawText) {
   addTextMessage("user", eventText);
   form.reset();
 
+  const sessionId = await createScenarioSession({
+    event: eventText,
+    mode: activeMode,
+    language: currentLanguage,
+  });
+
   await requestScenario({
     event: eventText,
     branch: "",
     context: [],
     mode: activeMode,
+    length: activeLength,
+    narrativeFormat: activeNarrativeFormat,
     language: currentLanguage,
+    ...(sessionId ? { sessionId } : {}),
   });
 }
 
-async function requestScenario(payload) {
+async function startComparison(rawText) {
+  const eventText = rawText.trim();
+  if (!eventText || isLoading) return;
+
+  const modes = modeRegistry.map((mode) => mode.id);
+  trackMetrikaGoal(METRIKA_GOALS.generationStarted, {
+    page_kind: getAnalyticsPageKind(),
+    language: currentLanguage,
+    mode: "compare",
+  });
+
+  addTextMessage("user", eventText);
+  form.reset();
+
+  await requestComparison({
+    event: eventText,
+    length: activeLength,
+    narrativeFormat: activeNarrativeFormat,
+    language: currentLanguage,
+    ...(modes.length ? { modes } : {}),
+  });
+}
+
+async function requestComparison(payload) {
   isLoading = true;
   setUiBusy(true);
-  const loadingId = addTextMessage("assistant", t("loadingScenario"));
+  const loadingId = addTextMessage(
+    "assistant",
+    formatT("loadingCompare", { count: payload.modes?.length || Object.keys(getLocaleMessages().modeLabels || {}).length })
+  );
 
   try {
-    const response = await fetch("/api/alt-history", {
+    const response = await fetch("/api/alt-history/compare", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify(payload),
     });
+    const data = await response.json();
+    removeMessage(loadingId);
+
+    if (!response.ok || data?.error) {
+      addTextMessage("assistant", formatGenerationError(data));
+      return false;
+    }
+
+    const results = (Array.isArray(data?.results) ? data.results : []).map((result) => ({
+      mode: typeof result?.mode === "string" ? result.mode : "",
+      durationMs: Number(result?.durationMs) || 0,
+      scenario: result?.error ? null : normalizeScenario(result),
+      error: typeof result?.error === "string" ? result.error : "",
+      cached: Boolean(result?.scenario?.cached),
+    }));
+    const completed = results.find((result) => result.scenario);
+    if (!completed) {
+      addTextMessage("assistant", t("parseError"));
+      return false;
+    }
+
+    trackMetrikaGoal(METRIKA_GOALS.generationCompleted, {
+      page_kind: getAnalyticsPageKind(),
+      language: payload.language,
+      mode: "compare",
+      provider: completed.scenario.provider || "",
+      model: completed.scenario.modelLabel || "",
+    });
 
+    updateProviderPill(completed.scenario.provider, completed.scenario.modelLabel, "ok");
+    if (data?.moderation?.message) {
+      addTextMessage("assistant", data.moderation.message);
+    }
+    addComparisonMessage(results);
+    return true;
+  } catch {
+    removeMessage(loadingId);
+    addTextMessage("assistant", t("networkError"));
+    return false;
+  } finally {
+    isLoading = false;
+    setUiBusy(false);
+    input.focus();
+  }
+}
+
+// The server ties the session to the bh_fp cookie, so the owner is never sent from here.
+async function createScenarioSession(body) {
+  try {
+    const response = await fetch("/api/sessions", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    if (!response.ok) return "";
     const data = await response.json();
+    return typeof data?.session?.id === "string" ? data.session.id : "";
+  } catch {
+    // Sessions are optional: generation still works without them.
+    return "";
+  }
+}
+
+async function requestScenario(payload) {
+  isLoading = true;
+  setUiBusy(true);
+  const loadingId = addTextMessage("assistant", t("loadingScenario"));
+
+  try {
+    const response = await fetch("/api/alt-history/stream", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "text/event-stream",
+      },
+      body: JSON.stringify(payload),
+    });
+
+    const data = isEventStreamResponse(response)
+      ? await readScenarioStream(response, loadingId)
+      : await response.json();
     removeMessage(loadingId);
 
-    if (!response.ok) {
-      addTextMessage("assistant", `${t("errorPrefix")}: ${data.error || t("unknownError")}`);
-      return;
+    if (!response.ok || data?.error) {
+      addTextMessage("assistant", formatGenerationError(data));
+      return false;
     }
 
     const scenario = normalizeScenario(data);
     if (!scenario) {
       addTextMessage("assistant", t("parseError"));
-      return;
+      return false;
     }
 
     trackMetrikaGoal(METRIKA_GOALS.generationCompleted, {
@@ -552,11 +337,22 @@ async function requestScenario(payload) {
       model: scenario.modelLabel || data?.modelLabel || "",
     });
 
-    updateProviderPill(scenario.provider, scenario.modelLabel);
-    addScenarioMessage(scenario, { interactive: true, mode: payload.mode });
+    updateProviderPill(scenario.provider, scenario.modelLabel, "ok");
+    if (data?.scenario?.moderation?.message) {
+      addTextMessage("assistant", data.scenario.moderation.message);
+    }
+    addScenarioMessage(scenario, {
+      interactive: true,
+      mode: payload.mode,
+      language: payload.language,
+      branch: payload.branch,
+      context: payload.context,
+    });
+    return true;
   } catch {
     removeMessage(loadingId);
     addTextMessage("assistant", t("networkError"));
+    return false;
   } finally {
     isLoading = false;
     setUiBusy(false);
@@ -564,13 +360,125 @@ async function requestScenario(payload) {
   }
 }
 
+function formatGenerationError(data) {
+  if (data?.code === "rate_limited") {
+    return formatRateLimitMessage(data.retryAfterSeconds);
+  }
+  if (data?.code === "moderation_blocked") {
+    return data.error;
+  }
+
+  const providers = data?.providers;
+  if (!providers || typeof providers !== "object") {
+    return `${t("errorPrefix")}: ${data?.error || t("unknownError")}`;
+  }
+
+  const details = [
+    ["providersTimedOut", providers.timedOut],
+    ["providersRejected", providers.rejected],
+    ["providersFailed", providers.failed],
+  ]
+    .filter(([, names]) => Array.isArray(names) && names.length > 0)
+    .map(([key, names]) => `${[...new Set(names)].join(", ")} — ${t(key)}`);
+
+  return [t("providersUnavailable"), ...details].join("\n");
+}
+
+function formatRateLimitMessage(retryAfterSeconds) {
+  const seconds = Math.max(1, Math.ceil(Number(retryAfterSeconds) || 60));
+  const time =
+    seconds < 60
+      ? formatT("retrySeconds", { count: seconds })
+      : formatT("retryMinutes", { count: Math.ceil(seconds / 60) });
+  return formatT("rateLimited", { time });
+}
+
+function isEventStreamResponse(response) {
+  const contentType = response.headers.get("content-type") || "";
+  return response.ok && Boolean(response.body) && contentType.includes("text/event-stream");
+}
+
+async function readScenarioStream(response, messageId) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let narrative = "";
+  let result = null;
+
+  const handleEvent = (eventName, data) => {
+    if (eventName === "attempt") {
+      updateProviderPill(data?.provider, data?.modelLabel);
+    } else if (eventName === "delta") {
+      narrative += String(data?.text || "");
+      updateStreamingMessage(messageId, narrative);
+    } else if (eventName === "reset") {
+      narrative = "";
+      updateStreamingMessage(messageId, t("streamRetrying"));
+    } else if (eventName === "scenario" || eventName === "error") {
+      result = data;
+    }
+  };
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop() || "";
+    blocks.forEach((block) => parseStreamEventBlock(block, handleEvent));
+  }
+  parseStreamEventBlock(buffer + decoder.decode(), handleEvent);
+
+  return result || { error: t("streamInterrupted") };
+}
+
+function parseStreamEventBlock(block, onEvent) {
+  let eventName = "message";
+  const dataLines = [];
+
+  for (const line of String(block || "").split(/\r?\n/)) {
+    if (line.startsWith("event:")) {
+      eventName = line.slice("event:".length).trim();
+    } else if (line.startsWith("data:")) {
+      dataLines.push(line.slice("data:".length).trim());
+    }
+  }
+
+  if (!dataLines.length) return;
+  const data = tryParseJson(dataLines.join("\n"));
+  if (data) {
+    onEvent(eventName, data);
+  }
+}
+
+function updateStreamingMessage(id, text) {
+  const item = messages.querySelector(`[data-id="${id}"]`);
+  const body = item?.querySelector(".body");
+  if (!body) return;
+  item.classList.add("is-streaming");
+  body.textContent = text || t("loadingScenario");
+  messages.scrollTop = messages.scrollHeight;
+}
+
+function findLocale(value) {
+  const raw = String(value || "").trim().toLowerCase();
+  return (
+    AVAILABLE_LOCALES.find((locale) => locale.code === raw) ||
+    AVAILABLE_LOCALES.find((locale) => locale.code === raw.split(/[-_]/)[0]) ||
+    null
+  );
+}
+
 function normalizeLanguage(value) {
-  return String(value || "").toLowerCase() === "en" ? "en" : "ru";
+  return findLocale(value)?.code || DEFAULT_LOCALE;
+}
+
+function getLocaleMessages() {
+  return localeCatalogs.get(currentLanguage) || localeCatalogs.get(DEFAULT_LOCALE) || {};
 }
 
 function t(key) {
-  const active = TRANSLATIONS[currentLanguage] || TRANSLATIONS.ru;
-  return active[key] || TRANSLATIONS.ru[key] || key;
+  return getLocaleMessages()[key] || key;
 }
 
 function formatT(key, params = {}) {
@@ -757,9 +665,13 @@ function initScenarioEngagementTracking() {
   });
 }
 
-function setLanguage(nextLanguage, options = {}) {
+async function setLanguage(nextLanguage, options = {}) {
   const { persist = true } = options;
-  currentLanguage = normalizeLanguage(nextLanguage);
+  const language = normalizeLanguage(nextLanguage);
+  if (!localeCatalogs.has(language) && !(await loadLocaleCatalog(language))) {
+    return;
+  }
+  currentLanguage = language;
 
   if (persist) {
     try {
@@ -767,18 +679,106 @@ function setLanguage(nextLanguage, options = {}) {
     } catch {
       // Ignore private mode/localStorage errors.
     }
+    // Cookie lets the server render the next page with the right catalog.
+    document.cookie = `${LANGUAGE_COOKIE}=${currentLanguage}; Path=/; Max-Age=31536000; SameSite=Lax`;
   }
 
   applyTranslations();
+  if (persist) {
+    syncLocalizedUrls();
+  }
+}
+
+async function loadLocaleCatalog(language) {
+  try {
+    const response = await fetch(`/api/locales/${encodeURIComponent(language)}`);
+    if (!response.ok) return false;
+    const data = await response.json();
+    if (!data?.messages || typeof data.messages !== "object") return false;
+    localeCatalogs.set(language, data.messages);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function restoreStoredLanguage() {
+  // A locale prefix in the URL is an explicit choice and wins over the stored one.
+  if (getLocalePrefix(window.location.pathname)) return;
+
+  let stored = "";
+  try {
+    stored = window.localStorage?.getItem(STORAGE_LANGUAGE_KEY) || "";
+  } catch {
+    return;
+  }
+  // A choice saved before the language cookie existed: move it into the cookie.
+  if (findLocale(stored) && normalizeLanguage(stored) !== currentLanguage) {
+    void setLanguage(stored);
+  }
+}
+
+function getLocalePrefix(pathname) {
+  const [, first = ""] = String(pathname || "/").split("/");
+  return AVAILABLE_LOCALES.some((locale) => locale.code === first) ? first : "";
+}
+
+function stripLocalePrefix(pathname) {
+  const prefix = getLocalePrefix(pathname);
+  return prefix ? pathname.slice(prefix.length + 1) || "/" : pathname;
+}
+
+function localizePath(pathname, language) {
+  const pagePath = stripLocalePrefix(pathname);
+  if (language === DEFAULT_LOCALE) return pagePath;
+  return pagePath === "/" ? `/${language}` : `/${language}${pagePath}`;
+}
+
+function isLocalizedPagePath(pathname) {
+  return (
+    pathname === "/" ||
+    pathname === "/index.html" ||
+    pathname === "/scenarios" ||
+    pathname.startsWith("/scenario/")
+  );
+}
+
+// Pages for other languages live under /<code>, so the address bar and
+// internal links follow the chosen language.
+function syncLocalizedUrls() {
+  const pagePath = stripLocalePrefix(window.location.pathname);
+  if (window.history?.replaceState && isLocalizedPagePath(pagePath)) {
+    const nextPath = localizePath(pagePath, currentLanguage);
+    if (nextPath !== window.location.pathname) {
+      window.history.replaceState(
+        window.history.state,
+        "",
+        `${nextPath}${window.location.search}${window.location.hash}`
+      );
+    }
+  }
+
+  for (const link of document.querySelectorAll('a[href^="/"]')) {
+    const url = new URL(link.getAttribute("href") || "/", window.location.origin);
+    if (!isLocalizedPagePath(stripLocalePrefix(url.pathname))) continue;
+    link.setAttribute("href", `${localizePath(url.pathname, currentLanguage)}${url.search}${url.hash}`);
+  }
+}
+
+function getNextLanguage() {
+  const index = AVAILABLE_LOCALES.findIndex((locale) => locale.code === currentLanguage);
+  return AVAILABLE_LOCALES[(index + 1) % AVAILABLE_LOCALES.length].code;
 }
 
 function initLanguageSwitcher() {
   if (!languageButton) return;
-  languageButton.classList.toggle("is-en", currentLanguage === "en");
+  languageButton.hidden = AVAILABLE_LOCALES.length < 2;
+  languageButton.dataset.language = currentLanguage;
 }
 
 function getQuickStartExamples() {
-  return QUICK_START_EXAMPLES[currentLanguage] || QUICK_START_EXAMPLES.ru;
+  const examples = getLocaleMessages().quickStartExamples;
+  return Array.isArray(examples) ? examples : [];
 }
 
 function syncRandomButtonLayout() {
@@ -796,7 +796,7 @@ function syncRandomButtonLayout() {
 }
 
 function getShareCardCta() {
-  return SHARE_CARD_CTA[currentLanguage] || SHARE_CARD_CTA.ru;
+  return t("shareCardCta");
 }
 
 function getShareCardFooter() {
@@ -818,28 +818,15 @@ function setTextById(id, value) {
   }
 }
 
-function setAttrById(id, attribute, value) {
-  const element = document.getElementById(id);
-  if (element) {
-    element.setAttribute(attribute, value);
-  }
-}
-
 function applyTranslations() {
   document.documentElement.lang = currentLanguage;
   if (PAGE_CONTEXT.allowClientTitle) {
     document.title = t("pageTitle");
   }
 
-  setTextById("topbar-brand", t("pageTitle"));
-  setTextById("hero-eyebrow", t("heroEyebrow"));
-  setTextById("hero-title-text", t("heroTitle"));
-  setTextById("hero-subtitle", t("heroSubtitle"));
-  setTextById("nav-scenario", t("navScenario"));
-  setTextById("nav-modes", t("navModes"));
-  setTextById("nav-support", t("navSupport"));
-  setTextById("hero-primary-link", t("heroPrimaryLink"));
-  setTextById("hero-secondary-link", t("heroSecondaryLink"));
+  // Marked-up texts first: dynamic labels below (submit button while loading) override them.
+  syncStaticPageLanguage();
+
   setTextById("hero-feature-1", t("heroFeature1"));
   setTextById("hero-feature-2", t("heroFeature2"));
   setTextById("hero-feature-3", t("heroFeature3"));
@@ -852,21 +839,6 @@ function applyTranslations() {
   setTextById("stat-label-1", t("statLabel1"));
   setTextById("stat-label-2", t("statLabel2"));
   setTextById("stat-label-3", t("statLabel3"));
-  setTextById("event-label", t("eventLabel"));
-  setTextById("donate-eyebrow", t("donateEyebrow"));
-  setTextById("donate-title", t("donateTitle"));
-  setTextById("donate-note-top", t("donateNoteTop"));
-  setTextById("donate-item-1", t("donateItem1"));
-  setTextById("donate-item-2", t("donateItem2"));
-  setTextById("donate-note-bottom", t("donateNoteBottom"));
-  setTextById("donate-cta", t("donateCta"));
-  setTextById("legal-note", t("legalNote"));
-  setTextById("project-links-title", t("projectLinksTitle"));
-
-  setAttrById("event-input", "placeholder", t("eventPlaceholder"));
-  setAttrById("chat-window", "aria-label", t("chatWindowAria"));
-  setAttrById("mode-tabs", "aria-label", t("modeTabsAria"));
-  setAttrById("project-telegram-link", "aria-label", t("projectTelegramAria"));
 
   const homeLink = document.querySelector(".hero-logo");
   if (homeLink) {
@@ -881,23 +853,36 @@ function applyTranslations() {
 
   if (languageButton) {
     languageButton.textContent = t("languageButton");
-    languageButton.setAttribute("aria-label", t("languageAria"));
-    languageButton.setAttribute("title", t("languageAria"));
-    languageButton.classList.toggle("is-en", currentLanguage === "en");
+    const nextLocale = findLocale(getNextLanguage());
+    const languageAria = formatT("languageAria", { language: nextLocale?.name || "" });
+    languageButton.setAttribute("aria-label", languageAria);
+    languageButton.setAttribute("title", languageAria);
+    languageButton.dataset.language = currentLanguage;
   }
 
   for (const tab of modeTabs) {
-    const mode = tab.dataset.mode || "realism";
-    if (mode === "realism") tab.textContent = t("modeRealism");
-    if (mode === "dark") tab.textContent = t("modeDark");
-    if (mode === "prosperity") tab.textContent = t("modeProsperity");
-    if (mode === "madness") tab.textContent = t("modeMadness");
-    if (mode === "humor") tab.textContent = t("modeHumor");
+    tab.textContent = getModeLabel(tab.dataset.mode || "realism");
+  }
+
+  for (const tab of lengthTabs) {
+    const option = LENGTH_OPTIONS.find((item) => item.id === tab.dataset.length);
+    if (option) {
+      tab.textContent = t(option.labelKey);
+    }
+  }
+
+  for (const tab of narrativeFormatTabs) {
+    const option = NARRATIVE_FORMAT_OPTIONS.find((item) => item.id === tab.dataset.narrativeFormat);
+    if (option) {
+      tab.textContent = t(option.labelKey);
+    }
   }
 
   button.textContent = isLoading ? t("submitBusy") : t("submitIdle");
+  if (compareButton) {
+    compareButton.textContent = t("compareButton");
+  }
   syncDynamicTextLanguage();
-  syncStaticPageLanguage();
 }
 
 function syncDynamicTextLanguage() {
@@ -933,8 +918,36 @@ function syncDynamicTextLanguage() {
     badge.textContent = t("aiBadge");
   }
 
+  for (const branchesTitle of document.querySelectorAll(".scenario-branches-title")) {
+    branchesTitle.textContent = t("branchesTitle");
+  }
+
+  for (const refineTitle of document.querySelectorAll(".scenario-refine-title")) {
+    refineTitle.textContent = t("refineTitle");
+  }
+
+  for (const refineInput of document.querySelectorAll(".scenario-refine-input")) {
+    refineInput.setAttribute("placeholder", t("refinePlaceholder"));
+  }
+
+  for (const compareTitle of document.querySelectorAll(".scenario-compare-title")) {
+    compareTitle.textContent = t("compareTitle");
+  }
+
+  for (const compareHint of document.querySelectorAll(".scenario-compare-hint")) {
+    compareHint.textContent = t("compareHint");
+  }
+
+  for (const compareTab of document.querySelectorAll(".scenario-compare-tab")) {
+    compareTab.textContent = formatComparisonTabLabel(/** @type {HTMLElement} */ (compareTab));
+  }
+
+  for (const realityTitle of document.querySelectorAll(".share-card-reality-title")) {
+    realityTitle.textContent = t("realityTitle");
+  }
+
   for (const eyebrow of document.querySelectorAll(".share-card-eyebrow")) {
-    eyebrow.textContent = t("cardEyebrow");
+    eyebrow.textContent = t(eyebrow.dataset.i18nKey || "cardEyebrow");
   }
 
   for (const cta of document.querySelectorAll(".share-card-cta")) {
@@ -966,10 +979,11 @@ function syncStaticPageLanguage() {
   }
 
   for (const element of document.querySelectorAll("[data-page-i18n-attr-key]")) {
-    const key = element.dataset.pageI18nAttrKey || "";
-    if (!key) continue;
-    const attribute = element.dataset.pageI18nAttr || "aria-label";
-    element.setAttribute(attribute, t(key));
+    const keys = (element.dataset.pageI18nAttrKey || "").split(/\s+/).filter(Boolean);
+    const attributes = (element.dataset.pageI18nAttr || "aria-label").split(/\s+/);
+    keys.forEach((key, index) => {
+      element.setAttribute(attributes[index] || attributes[0], t(key));
+    });
   }
 
   for (const element of document.querySelectorAll("[data-mode-label][data-mode-id]")) {
@@ -1046,17 +1060,15 @@ function formatArchiveFilterSummary(filters) {
 }
 
 function getLanguageFilterLabel(value) {
-  if (value === "en") {
-    return "English";
-  }
-  if (value === "ru") {
-    return currentLanguage === "en" ? "Russian" : "Русский";
-  }
-  return "";
+  return value ? findLocale(value)?.name || "" : "";
 }
 
 function resolveModeIdFromLabel(label) {
   const normalized = String(label || "").trim().toLowerCase();
+  const registered = modeRegistry.find((mode) =>
+    Object.values(mode.labels || {}).some((value) => String(value).toLowerCase() === normalized)
+  );
+  if (registered) return registered.id;
   if (normalized === "реализм" || normalized === "realism") return "realism";
   if (normalized === "мрачная хроника" || normalized === "dark chronicle") return "dark";
   if (normalized === "эпоха процветания" || normalized === "age of prosperity") {
@@ -1095,24 +1107,131 @@ function setActiveMode(mode) {
   }
 }
 
+function initLengthTabs() {
+  for (const tab of lengthTabs) {
+    tab.addEventListener("click", () => {
+      setActiveLength(tab.dataset.length || "standard");
+    });
+  }
+
+  setActiveLength(activeLength);
+}
+
+function setActiveLength(length) {
+  activeLength = length;
+  for (const tab of lengthTabs) {
+    const isActive = tab.dataset.length === length;
+    tab.classList.toggle("is-active", isActive);
+    tab.setAttribute("aria-selected", isActive ? "true" : "false");
+  }
+}
+
+function initNarrativeFormatTabs() {
+  for (const tab of narrativeFormatTabs) {
+    tab.addEventListener("click", () => {
+      setActiveNarrativeFormat(tab.dataset.narrativeFormat || "essay");
+    });
+  }
+
+  setActiveNarrativeFormat(activeNarrativeFormat);
+}
+
+function setActiveNarrativeFormat(narrativeFormat) {
+  activeNarrativeFormat = narrativeFormat;
+  for (const tab of narrativeFormatTabs) {
+    const isActive = tab.dataset.narrativeFormat === narrativeFormat;
+    tab.classList.toggle("is-active", isActive);
+    tab.setAttribute("aria-selected", isActive ? "true" : "false");
+  }
+}
+
+async function loadModeRegistry() {
+  try {
+    const response = await fetch("/api/modes");
+    if (!response.ok) return;
+    const data = await response.json();
+    const modes = Array.isArray(data?.modes)
+      ? data.modes.filter((mode) => typeof mode?.id === "string" && mode.id)
+      : [];
+    if (!modes.length) return;
+    modeRegistry = modes;
+    renderModeTabs(data.defaultMode);
+    syncStaticPageLanguage();
+    syncDynamicTextLanguage();
+  } catch {
+    // Static tabs from the HTML stay as a fallback.
+  }
+}
+
+function renderModeTabs(defaultMode) {
+  const container = document.getElementById("mode-tabs");
+  if (!container || !modeTabs.length) return;
+
+  const tabs = modeRegistry.map((mode) => {
+    const tab = document.createElement("button");
+    tab.type = "button";
+    tab.className = "mode-tab";
+    tab.setAttribute("role", "tab");
+    tab.dataset.mode = mode.id;
+    tab.textContent = getModeLabel(mode.id);
+    tab.disabled = isLoading;
+    tab.addEventListener("click", () => {
+      setActiveMode(mode.id);
+    });
+    return tab;
+  });
+  container.replaceChildren(...tabs);
+  modeTabs = container.querySelectorAll(".mode-tab");
+
+  const hasMode = (modeId) => modeRegistry.some((mode) => mode.id === modeId);
+  setActiveMode(hasMode(activeMode) ? activeMode : hasMode(defaultMode) ? defaultMode : modeRegistry[0].id);
+}
+
+function applyModeColors(element, modeId) {
+  const colors = modeRegistry.find((mode) => mode.id === modeId)?.colors?.card;
+  if (!colors) return;
+  const properties = {
+    "--card-accent": colors.accent,
+    "--card-accent-soft": colors.accentSoft,
+    "--card-glow": colors.glow,
+  };
+  for (const [property, value] of Object.entries(properties)) {
+    if (typeof value === "string" && value) {
+      element.style.setProperty(property, value);
+    }
+  }
+}
+
 async function loadProviderMeta() {
   if (!providerPill) return;
   try {
     const response = await fetch("/api/meta");
     if (!response.ok) return;
     const data = await response.json();
-    updateProviderPill(data?.provider, data?.model);
+    updateProviderPill(data?.provider, data?.model, data?.status || "ok");
   } catch {
     // Silent fail: meta is optional UI sugar.
   }
 }
 
-function updateProviderPill(providerName, modelName) {
+function updateProviderPill(providerName, modelName, status) {
   if (!providerPill) return;
+  if (status) {
+    providerPill.dataset.status = status;
+  }
   const provider = String(providerName || "").trim();
   const model = String(modelName || "").trim();
+  const currentStatus = providerPill.dataset.status || "ok";
+  providerPill.classList.toggle("is-degraded", currentStatus === "degraded");
+  providerPill.classList.toggle("is-down", currentStatus === "down");
   if (!provider) return;
-  providerPill.textContent = model ? `${provider} · ${model}` : provider;
+  const label = model ? `${provider} · ${model}` : provider;
+  providerPill.textContent =
+    currentStatus === "degraded"
+      ? `${label} · ${t("providerDegraded")}`
+      : currentStatus === "down"
+        ? `${label} · ${t("providerDown")}`
+        : label;
 }
 
 function setUiBusy(state) {
@@ -1124,15 +1243,24 @@ function setUiBusy(state) {
   if (languageButton) {
     languageButton.disabled = state;
   }
-  for (const tab of modeTabs) {
+  if (compareButton) {
+    compareButton.disabled = state;
+  }
+  for (const tab of [...modeTabs, ...lengthTabs, ...narrativeFormatTabs]) {
     tab.disabled = state;
   }
 }
 
 function getModeLabel(modeId) {
-  const labels = MODE_LABELS[currentLanguage] || MODE_LABELS.ru;
-  const fallbackLabels = MODE_LABELS.ru;
-  return labels[modeId] || fallbackLabels[modeId] || fallbackLabels.realism;
+  const registered = modeRegistry.find((mode) => mode.id === modeId)?.labels;
+  const labels = getLocaleMessages().modeLabels || {};
+  return (
+    registered?.[currentLanguage] ||
+    labels[modeId] ||
+    registered?.[DEFAULT_LOCALE] ||
+    labels.realism ||
+    modeId
+  );
 }
 
 function addScenarioMessage(scenario, options = {}) {
@@ -1144,14 +1272,7 @@ function addScenarioMessage(scenario, options = {}) {
   article.dataset.modeId = modeId;
 
   if (scenario.shareCard) {
-    const sharePayload = {
-      card: scenario.shareCard,
-      narrative: scenario.narrative,
-      timeline: scenario.timeline,
-      modeLabel,
-      modeId,
-      event: scenario.event || scenario.shareCard.title || "",
-    };
+    const sharePayload = buildScenarioSharePayload(scenario, modeId);
     article.append(
       buildShareCard(sharePayload)
     );
@@ -1170,10 +1291,299 @@ function addScenarioMessage(scenario, options = {}) {
 
   // Таймлайн по годам скрыт, так как дублирует сторис-карточку.
 
+  const canContinue = options.interactive !== false || options.resumable === true;
+  if (canContinue && scenario.event && scenario.narrative) {
+    article.append(
+      buildRefineActions(scenario, {
+        modeId,
+        language: options.language || currentLanguage,
+        branch: options.branch || "",
+        context: Array.isArray(options.context) ? options.context : [],
+      })
+    );
+  }
+  if (canContinue && scenario.event && scenario.branches?.length) {
+    article.append(
+      buildBranchActions(scenario, {
+        modeId,
+        language: options.language || currentLanguage,
+        context: Array.isArray(options.context) ? options.context : [],
+      })
+    );
+  }
+
   messages.append(article);
   scrollMessageToStart(article);
 }
 
+function buildScenarioSharePayload(scenario, modeId) {
+  return {
+    card: scenario.shareCard,
+    narrative: scenario.narrative,
+    timeline: scenario.timeline,
+    modeLabel: getModeLabel(modeId),
+    modeId,
+    event: scenario.event || scenario.shareCard.title || "",
+    sessionId: scenario.sessionId || "",
+    stepId: scenario.stepId || "",
+    promptVersion: scenario.promptVersion || "",
+    length: scenario.length || "",
+    narrativeFormat: scenario.narrativeFormat || "",
+    realHistory: scenario.realHistory || null,
+  };
+}
+
+function addComparisonMessage(results) {
+  const article = document.createElement("article");
+  article.className = "message assistant scenario-compare";
+  article.dataset.id = crypto.randomUUID();
+
+  const badge = document.createElement("div");
+  badge.className = "badge";
+  badge.textContent = t("aiBadge");
+
+  const title = document.createElement("p");
+  title.className = "section-title scenario-compare-title";
+  title.textContent = t("compareTitle");
+
+  const hint = document.createElement("p");
+  hint.className = "scenario-compare-hint";
+  hint.textContent = t("compareHint");
+
+  const tabs = document.createElement("div");
+  tabs.className = "share-card-control-group scenario-compare-tabs";
+
+  const track = document.createElement("div");
+  track.className = "scenario-compare-track";
+
+  const tabButtons = results.map((result, index) => {
+    const modeId = result.mode || activeMode;
+    const slide = document.createElement("div");
+    slide.className = "scenario-compare-slide";
+    slide.dataset.modeId = modeId;
+
+    if (result.scenario?.shareCard) {
+      slide.classList.add("scenario-result");
+      slide.append(buildShareCard(buildScenarioSharePayload(result.scenario, modeId)));
+    } else {
+      const failed = document.createElement("p");
+      failed.className = "body scenario-compare-error";
+      failed.textContent = formatT("compareFailed", { error: result.error || t("unknownError") });
+      slide.append(failed);
+    }
+    track.append(slide);
+
+    const tab = document.createElement("button");
+    tab.type = "button";
+    tab.className = "share-card-control scenario-compare-tab";
+    tab.dataset.modeId = modeId;
+    tab.dataset.durationMs = String(result.durationMs);
+    tab.dataset.cached = result.cached ? "true" : "false";
+    tab.textContent = formatComparisonTabLabel(tab);
+    tab.addEventListener("click", () => {
+      track.scrollTo({ left: slide.offsetLeft - track.offsetLeft, behavior: "smooth" });
+    });
+    if (index === 0) {
+      tab.classList.add("is-active");
+    }
+    return tab;
+  });
+
+  track.addEventListener(
+    "scroll",
+    () => {
+      const activeIndex = Math.round(track.scrollLeft / Math.max(1, track.clientWidth));
+      tabButtons.forEach((tab, index) => {
+        tab.classList.toggle("is-active", index === activeIndex);
+      });
+    },
+    { passive: true }
+  );
+
+  tabs.append(...tabButtons);
+  article.append(badge, title, hint, tabs, track);
+  messages.append(article);
+  scrollMessageToStart(article);
+}
+
+function formatComparisonTabLabel(tab) {
+  const timing = tab.dataset.cached === "true"
+    ? t("compareCached")
+    : formatT("compareTiming", {
+      seconds: (Number(tab.dataset.durationMs || 0) / 1000).toFixed(1),
+    });
+  return `${getModeLabel(tab.dataset.modeId || "realism")} · ${timing}`;
+}
+
+function buildRefineActions(scenario, { modeId, language, branch, context }) {
+  const wrapper = document.createElement("div");
+  wrapper.className = "scenario-refine";
+
+  const title = document.createElement("p");
+  title.className = "section-title scenario-refine-title";
+  title.textContent = t("refineTitle");
+
+  const group = document.createElement("div");
+  group.className = "share-card-control-group";
+
+  const refineForm = document.createElement("form");
+  refineForm.className = "scenario-refine-form";
+
+  const instructionInput = document.createElement("input");
+  instructionInput.type = "text";
+  instructionInput.className = "scenario-refine-input";
+  instructionInput.maxLength = 300;
+  instructionInput.placeholder = t("refinePlaceholder");
+
+  const submitButton = document.createElement("button");
+  submitButton.type = "submit";
+  submitButton.className = "share-card-control";
+  submitButton.textContent = t("refineSubmit");
+  submitButton.dataset.i18nKey = "refineSubmit";
+
+  const controls = [];
+  const setControlsDisabled = (disabled) => {
+    for (const control of controls) {
+      control.disabled = disabled;
+    }
+  };
+
+  const refine = async ({ preset = "", instruction = "", label }) => {
+    if (isLoading) return;
+    setControlsDisabled(true);
+
+    trackMetrikaGoal(METRIKA_GOALS.generationStarted, {
+      page_kind: getAnalyticsPageKind(),
+      language,
+      mode: modeId,
+      refine: preset || "custom",
+    });
+
+    addTextMessage("user", `✎ ${label}`);
+    const sessionId =
+      scenario.sessionId && scenario.stepId
+        ? await resolveWritableSessionId(scenario.sessionId)
+        : "";
+    const hasSessionStep = Boolean(sessionId);
+    const completed = await requestScenario({
+      event: scenario.event,
+      ...(hasSessionStep ? { sessionId } : {}),
+      ...(scenario.promptVersion ? { promptVersion: scenario.promptVersion } : {}),
+      ...(scenario.length ? { length: scenario.length } : {}),
+      ...(scenario.narrativeFormat ? { narrativeFormat: scenario.narrativeFormat } : {}),
+      branch,
+      context,
+      mode: modeId,
+      language,
+      refine: {
+        ...(preset ? { preset } : {}),
+        ...(instruction ? { instruction } : {}),
+        narrative: scenario.narrative,
+        ...(hasSessionStep ? { stepId: scenario.stepId } : {}),
+      },
+    });
+
+    setControlsDisabled(false);
+    if (completed) {
+      instructionInput.value = "";
+    }
+  };
+
+  for (const option of REFINE_PRESET_OPTIONS) {
+    const presetButton = document.createElement("button");
+    presetButton.type = "button";
+    presetButton.className = "share-card-control scenario-refine-btn";
+    presetButton.textContent = t(option.labelKey);
+    presetButton.dataset.i18nKey = option.labelKey;
+    presetButton.addEventListener("click", () => {
+      void refine({ preset: option.id, label: t(option.labelKey) });
+    });
+    controls.push(presetButton);
+    group.append(presetButton);
+  }
+
+  refineForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    const instruction = instructionInput.value.trim();
+    if (!instruction) return;
+    void refine({ instruction, label: instruction });
+  });
+  controls.push(instructionInput, submitButton);
+  refineForm.append(instructionInput, submitButton);
+
+  wrapper.append(title, group, refineForm);
+  return wrapper;
+}
+
+function buildBranchActions(scenario, { modeId, language, context }) {
+  const wrapper = document.createElement("div");
+  wrapper.className = "scenario-branches";
+
+  const title = document.createElement("p");
+  title.className = "section-title scenario-branches-title";
+  title.textContent = t("branchesTitle");
+
+  const group = document.createElement("div");
+  group.className = "share-card-control-group";
+
+  const branchButtons = scenario.branches.map((branch) => {
+    const branchButton = document.createElement("button");
+    branchButton.type = "button";
+    branchButton.className = "share-card-control scenario-branch-btn";
+    branchButton.textContent = `↪ ${branch}`;
+    branchButton.addEventListener("click", async () => {
+      if (isLoading) return;
+      branchButtons.forEach((item) => {
+        item.disabled = true;
+      });
+      branchButton.classList.add("is-active");
+
+      trackMetrikaGoal(METRIKA_GOALS.generationStarted, {
+        page_kind: getAnalyticsPageKind(),
+        language,
+        mode: modeId,
+        branch: true,
+      });
+
+      addTextMessage("user", `↪ ${branch}`);
+      const sessionId =
+        scenario.sessionId && scenario.stepId
+          ? await resolveWritableSessionId(scenario.sessionId)
+          : "";
+      const completed = await requestScenario({
+        event: scenario.event,
+        ...(sessionId ? { sessionId, parentStepId: scenario.stepId } : {}),
+        ...(scenario.promptVersion ? { promptVersion: scenario.promptVersion } : {}),
+        ...(scenario.length ? { length: scenario.length } : {}),
+        ...(scenario.narrativeFormat ? { narrativeFormat: scenario.narrativeFormat } : {}),
+        branch,
+        context: [
+          ...context,
+          {
+            branch,
+            narrative: scenario.narrative,
+            timeline: scenario.timeline,
+          },
+        ].slice(-4),
+        mode: modeId,
+        language,
+      });
+
+      if (!completed) {
+        branchButton.classList.remove("is-active");
+        branchButtons.forEach((item) => {
+          item.disabled = false;
+        });
+      }
+    });
+    return branchButton;
+  });
+
+  group.append(...branchButtons);
+  wrapper.append(title, group);
+  return wrapper;
+}
+
 function buildShareCard(payload) {
   const { card } = payload;
   const wrapper = document.createElement("div");
@@ -1205,6 +1615,8 @@ function buildShareCard(payload) {
     const format = resolveCardFormat(selectedFormat);
     frame.dataset.format = format;
     frame.dataset.modeId = wrapper.dataset.modeId;
+    frame.dataset.narrativeFormat = payload.narrativeFormat || "essay";
+    applyModeColors(frame, wrapper.dataset.modeId);
     frame.replaceChildren(buildShareCardFrame(payload, format));
 
     for (const [formatId, button] of formatButtons) {
@@ -1270,8 +1682,12 @@ function buildShareCard(payload) {
 
 function buildShareCardFrame(payload, format) {
   const { card, narrative, modeLabel } = payload;
+  const narrativeFormat =
+    NARRATIVE_FORMAT_OPTIONS.find((option) => option.id === payload.narrativeFormat) ||
+    NARRATIVE_FORMAT_OPTIONS[0];
   const footerLines = parseShareCardFooter(card.footer);
-  const storyParagraphs = buildStoryParagraphs(narrative, format);
+  const storyBlocks =
+    narrativeFormat.id === "essay" ? [] : parseNarrativeBlocks(narrative, narrativeFormat.id);
   const fragment = document.createDocumentFragment();
 
   const header = document.createElement("div");
@@ -1282,7 +1698,8 @@ function buildShareCardFrame(payload, format) {
 
   const eyebrow = document.createElement("p");
   eyebrow.className = "share-card-eyebrow";
-  eyebrow.textContent = t("cardEyebrow");
+  eyebrow.dataset.i18nKey = narrativeFormat.eyebrowKey;
+  eyebrow.textContent = t(narrativeFormat.eyebrowKey);
 
   const mode = document.createElement("span");
   mode.className = "share-card-mode";
@@ -1304,16 +1721,23 @@ function buildShareCardFrame(payload, format) {
   body.className = "share-card-body";
 
   const story = document.createElement("section");
-  story.className = "share-card-story";
+  story.className = `share-card-story is-${narrativeFormat.id}`;
 
-  for (const paragraphText of storyParagraphs) {
-    const paragraph = document.createElement("p");
-    paragraph.className = "share-card-paragraph";
-    appendNarrativeWithYearHighlights(paragraph, paragraphText);
-    story.append(paragraph);
+  if (storyBlocks.length > 0) {
+    appendStoryBlocks(story, storyBlocks);
+  } else {
+    for (const paragraphText of buildStoryParagraphs(narrative, format)) {
+      const paragraph = document.createElement("p");
+      paragraph.className = "share-card-paragraph";
+      appendNarrativeWithYearHighlights(paragraph, paragraphText);
+      story.append(paragraph);
+    }
   }
 
   body.append(story);
+  if (payload.realHistory) {
+    body.append(buildRealHistoryBlock(payload.realHistory));
+  }
 
   const footer = document.createElement("div");
   footer.className = "share-card-footer";
@@ -1350,6 +1774,94 @@ function resolveCardFormat(selectedFormat) {
   return "landscape";
 }
 
+function buildRealHistoryBlock(realHistory) {
+  const section = document.createElement("section");
+  section.className = "share-card-reality";
+
+  const title = document.createElement("p");
+  title.className = "share-card-reality-title";
+  title.textContent = t("realityTitle");
+
+  const event = document.createElement("p");
+  event.className = "share-card-reality-event";
+  const when = realHistory.date || (realHistory.year ? String(realHistory.year) : "");
+  if (when) {
+    const date = document.createElement("strong");
+    date.textContent = when;
+    event.append(date, " — ");
+  }
+  event.append(realHistory.event);
+
+  section.append(title, event);
+
+  if (realHistory.facts.length > 0) {
+    const facts = document.createElement("ul");
+    facts.className = "share-card-reality-facts";
+    for (const factText of realHistory.facts) {
+      const fact = document.createElement("li");
+      fact.textContent = factText;
+      facts.append(fact);
+    }
+    section.append(facts);
+  }
+
+  return section;
+}
+
+function appendStoryBlocks(story, blocks) {
+  const authors = [];
+  for (const block of blocks) {
+    const paragraph = document.createElement("p");
+    paragraph.className = `share-card-paragraph share-card-block-${block.kind}`;
+    if (block.kind === "message") {
+      if (!authors.includes(block.label)) authors.push(block.label);
+      paragraph.classList.toggle("is-alt", authors.indexOf(block.label) % 2 === 1);
+    }
+    if (block.label) {
+      const label = document.createElement("span");
+      label.className = "share-card-block-label";
+      label.textContent = block.label;
+      paragraph.append(label, " ");
+    }
+    appendNarrativeWithYearHighlights(paragraph, block.text);
+    story.append(paragraph);
+  }
+}
+
+function parseNarrativeBlocks(narrative, narrativeFormat) {
+  return String(narrative || "")
+    .split(/\n+/)
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .map((text, index) => readNarrativeBlock(text, index, narrativeFormat));
+}
+
+function readNarrativeBlock(text, index, narrativeFormat) {
+  if (narrativeFormat === "newspaper" && index === 0) {
+    return { kind: "lead", label: "", text };
+  }
+  if (narrativeFormat === "textbook") {
+    if (/^§\s*\d+/.test(text)) {
+      return { kind: "heading", label: "", text };
+    }
+    const questions = text.match(/^((?:Вопросы|Questions)[^:]{0,40}):\s*(.+)$/i);
+    if (questions) {
+      return { kind: "questions", label: questions[1], text: questions[2] };
+    }
+  }
+  if (narrativeFormat === "diary" || narrativeFormat === "chat") {
+    const labeled = text.match(/^([^:]{2,48}):\s+(.+)$/);
+    if (labeled && (narrativeFormat === "chat" || /\d/.test(labeled[1]))) {
+      return {
+        kind: narrativeFormat === "chat" ? "message" : "entry",
+        label: labeled[1].trim(),
+        text: labeled[2],
+      };
+    }
+  }
+  return { kind: "paragraph", label: "", text };
+}
+
 function buildStoryParagraphs(narrative, format) {
   const text = String(narrative || "").replace(/\r/g, "").trim();
   if (!text) {
@@ -1490,6 +2002,9 @@ async function resolveShareUrl(payload) {
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify({ scenario }),
     });
+    if (response.status === 429) {
+      return getShareUrl(payload);
+    }
     if (response.ok) {
       const data = await response.json();
       const url = String(data?.url || "").trim();
@@ -1524,6 +2039,15 @@ function buildScenarioHash(payload) {
     title: String(payload?.card?.title || "").trim(),
     subtitle: String(payload?.card?.subtitle || "").trim(),
     narrative: String(payload?.narrative || "").trim(),
+    ...(payload?.sessionId && payload?.stepId
+      ? { sessionId: payload.sessionId, stepId: payload.stepId }
+      : {}),
+    ...(payload?.promptVersion ? { promptVersion: payload.promptVersion } : {}),
+    ...(payload?.length ? { length: payload.length } : {}),
+    ...(payload?.narrativeFormat && payload.narrativeFormat !== "essay"
+      ? { narrativeFormat: payload.narrativeFormat }
+      : {}),
+    ...(payload?.realHistory ? { realHistory: payload.realHistory } : {}),
   };
   const json = JSON.stringify(data);
   const bytes = new TextEncoder().encode(json);
@@ -1555,7 +2079,7 @@ async function syncScenarioHash(payload) {
   const shortUrl = await resolveShareUrl(payload);
   if (!shortUrl) return;
   const parsed = new URL(shortUrl, window.location.origin);
-  window.history.replaceState(null, "", `${parsed.pathname}${parsed.search}`);
+  window.history.replaceState(null, "", `${localizePath(parsed.pathname, currentLanguage)}${parsed.search}`);
 }
 
 async function hydrateScenarioFromUrl() {
@@ -1590,8 +2114,14 @@ async function hydrateScenarioFromUrl() {
   const event = eventCandidate;
   const modeId = typeof parsed.mode === "string" ? parsed.mode.trim() : "realism";
   const parsedLanguage = normalizeLanguage(parsed.lang || parsed.language || currentLanguage);
-  setLanguage(parsedLanguage, { persist: true });
-  const narrative = sanitizeNarrativeText(parsed.narrative || "");
+  await setLanguage(parsedLanguage, { persist: true });
+
+  if (parsed.sessionId && parsed.stepId) {
+    const restored = await hydrateSessionChain(parsed.sessionId, parsed.stepId, event);
+    if (restored) return;
+  }
+  const narrativeFormat = typeof parsed.narrativeFormat === "string" ? parsed.narrativeFormat.trim() : "";
+  const narrative = sanitizeNarrativeText(parsed.narrative || "", narrativeFormat);
   if (!narrative) return;
 
   const timeline = normalizeTimeline([]);
@@ -1616,11 +2146,69 @@ async function hydrateScenarioFromUrl() {
       shareCard,
       event: event || shareCard.title,
       mode: modeId,
+      promptVersion: typeof parsed.promptVersion === "string" ? parsed.promptVersion.trim() : "",
+      length: typeof parsed.length === "string" ? parsed.length.trim() : "",
+      narrativeFormat,
+      realHistory: normalizeRealHistory(parsed.realHistory),
     },
     { interactive: false, mode: modeId }
   );
 }
 
+async function hydrateSessionChain(sessionId, stepId, event) {
+  let data;
+  try {
+    const response = await fetch(
+      `/api/sessions/${encodeURIComponent(sessionId)}/steps?stepId=${encodeURIComponent(stepId)}`
+    );
+    if (!response.ok) return false;
+    data = await response.json();
+  } catch {
+    return false;
+  }
+
+  const steps = Array.isArray(data?.steps) ? data.steps : [];
+  if (!steps.length) return false;
+
+  // A shared chain belongs to someone else: the fork is made on the first continuation.
+  if (data?.session?.owned === false) {
+    foreignSessionChains.set(sessionId, { stepId, fork: null });
+  }
+
+  const sessionEvent = String(data?.session?.event || event || "").trim();
+  steps.forEach((step, index) => {
+    const isLast = index === steps.length - 1;
+    if (step.branch) {
+      addTextMessage("user", `↪ ${step.branch}`);
+    }
+    const scenario = normalizeScenario({
+      scenario: { ...step, event: sessionEvent, sessionId, stepId: step.id },
+    });
+    if (!scenario) return;
+    addScenarioMessage(scenario, {
+      interactive: false,
+      resumable: isLast,
+      mode: scenario.mode || "realism",
+      language: normalizeLanguage(step.language || currentLanguage),
+      context: [],
+    });
+  });
+  return true;
+}
+
+// Viewing a shared link must not create a session; the fork keeps the same step ids.
+async function resolveWritableSessionId(sessionId) {
+  const chain = foreignSessionChains.get(sessionId);
+  if (!chain) return sessionId;
+
+  chain.fork ??= createScenarioSession({ forkFrom: { sessionId, stepId: chain.stepId } });
+  const forkedId = await chain.fork;
+  if (!forkedId) {
+    chain.fork = null;
+  }
+  return forkedId;
+}
+
 async function fetchScenarioByShortId(shortId) {
   const id = String(shortId || "").trim();
   if (!id) return "";
@@ -1982,7 +2570,8 @@ function normalizeScenario(data) {
     return null;
   }
 
-  const narrative = sanitizeNarrativeText(raw.narrative);
+  const narrativeFormat = typeof raw.narrativeFormat === "string" ? raw.narrativeFormat.trim() : "";
+  const narrative = sanitizeNarrativeText(raw.narrative, narrativeFormat);
 
   const timeline = normalizeTimeline(raw.timeline);
   const branches = normalizeBranches(raw.branches);
@@ -1991,6 +2580,11 @@ function normalizeScenario(data) {
   const mode = typeof raw.mode === "string" ? raw.mode.trim() : "";
   const provider = typeof raw.provider === "string" ? raw.provider.trim() : "";
   const modelLabel = typeof raw.modelLabel === "string" ? raw.modelLabel.trim() : "";
+  const sessionId = typeof raw.sessionId === "string" ? raw.sessionId.trim() : "";
+  const stepId = typeof raw.stepId === "string" ? raw.stepId.trim() : "";
+  const promptVersion = typeof raw.promptVersion === "string" ? raw.promptVersion.trim() : "";
+  const length = typeof raw.length === "string" ? raw.length.trim() : "";
+  const realHistory = normalizeRealHistory(raw.realHistory);
   const shareCard = normalizeShareCard(raw.shareCard || raw.share_card, narrative, timeline, event);
 
   return {
@@ -2003,6 +2597,12 @@ function normalizeScenario(data) {
     mode,
     provider,
     modelLabel,
+    sessionId,
+    stepId,
+    promptVersion,
+    length,
+    narrativeFormat,
+    realHistory,
   };
 }
 
@@ -2123,7 +2723,9 @@ function buildCardSubtitle(narrative) {
 function parseShareCardFooter(value) {
   const defaultDomain = "butterfly-history.ru";
   const defaultCta = getShareCardCta();
-  const knownCtas = Object.values(SHARE_CARD_CTA).map((cta) => cta.toLowerCase());
+  const knownCtas = [...localeCatalogs.values()]
+    .map((messages) => String(messages.shareCardCta || "").toLowerCase())
+    .filter(Boolean);
   const raw = String(value || "").trim();
 
   if (!raw) {
@@ -2165,6 +2767,28 @@ function parseShareCardFooter(value) {
   };
 }
 
+function normalizeRealHistory(rawRealHistory) {
+  if (!rawRealHistory || typeof rawRealHistory !== "object") {
+    return null;
+  }
+
+  const event = typeof rawRealHistory.event === "string" ? rawRealHistory.event.trim() : "";
+  if (!event) {
+    return null;
+  }
+
+  const year = Number(rawRealHistory.year);
+  return {
+    event,
+    date: typeof rawRealHistory.date === "string" ? rawRealHistory.date.trim() : "",
+    year: Number.isInteger(year) ? year : null,
+    facts: (Array.isArray(rawRealHistory.facts) ? rawRealHistory.facts : [])
+      .filter((fact) => typeof fact === "string" && fact.trim())
+      .map((fact) => fact.trim())
+      .slice(0, 4),
+  };
+}
+
 function normalizeTimeline(rawTimeline) {
   const defaults = [
     { year: CURRENT_YEAR - 120, title: t("timelineEarlyTitle"), details: t("timelineEarlyDetails") },
@@ -2262,7 +2886,7 @@ function isImageSrc(src) {
 function parseYear(value) {
   const year = Number.parseInt(String(value), 10);
   if (!Number.isFinite(year)) return null;
-  if (year < 500 || year > 4000) return null;
+  if (year < 1 || year > 4000) return null;
   return year;
 }
 
@@ -2284,7 +2908,7 @@ function shorten(value, maxLength) {
   return `${text.slice(0, maxLength - 1)}…`;
 }
 
-function sanitizeNarrativeText(value) {
+function sanitizeNarrativeText(value, narrativeFormat = "essay") {
   const raw = stripCodeFences(String(value || ""));
   if (!raw) {
     return t("narrativeIncomplete");
@@ -2292,13 +2916,21 @@ function sanitizeNarrativeText(value) {
 
   const parsed = parseStructuredNarrative(raw);
   if (parsed) {
-    return sanitizeNarrativeText(parsed);
+    return sanitizeNarrativeText(parsed, narrativeFormat);
   }
 
   if (looksLikeStructuredPayload(raw)) {
     return t("narrativeJson");
   }
 
+  if (narrativeFormat && narrativeFormat !== "essay") {
+    return raw
+      .split(/\n+/)
+      .map((line) => line.replace(/\s+/g, " ").trim())
+      .filter(Boolean)
+      .join("\n\n");
+  }
+
   return raw.replace(/\s+/g, " ").trim();
 }
 
@@ -0,0 +1,321 @@
+#!/usr/bin/env node
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import process from "node:process";
+import { fileURLToPath } from "node:url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const repoRoot = path.resolve(__dirname, "..");
+
+const UNVERSIONED = "(без версии)";
+const STATUSES = ["public", "share-only", "draft"];
+const BLOCKERS = ["duplicate", "ad-risk", "low-intent", "language"];
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help) {
+    printHelp();
+    return;
+  }
+
+  const runtimeDir = resolveRuntimeDir(repoRoot);
+  const shareStoreFile = args.shareStoreFile
+    ? path.resolve(process.cwd(), args.shareStoreFile)
+    : await resolveShareStoreFile(runtimeDir);
+  const manifestFile = resolveConfiguredFile(
+    args.manifestFile,
+    "AUTO_PUBLIC_SCENARIOS_FILE",
+    path.join(runtimeDir, "auto-public-scenarios.json")
+  );
+  const engagementFile = resolveConfiguredFile(
+    args.engagementFile,
+    "SCENARIO_ENGAGEMENT_FILE",
+    path.join(runtimeDir, "scenario-engagement.json")
+  );
+
+  const [shareStore, manifest, engagementStore] = await Promise.all([
+    readObjectJson(shareStoreFile),
+    readArrayJson(manifestFile),
+    readObjectJson(engagementFile),
+  ]);
+  const manifestByShareId = new Map(
+    manifest.map((entry) => [String(entry?.shareId || "").trim(), entry])
+  );
+
+  const rows = new Map();
+  for (const [shareId, entry] of Object.entries(shareStore)) {
+    if (args.since && String(entry?.createdAt || "").slice(0, 10) < args.since) continue;
+
+    const version = String(entry?.promptVersion || "").trim() || UNVERSIONED;
+    if (version === UNVERSIONED && !args.includeUnversioned) continue;
+
+    const row = rows.get(version) || emptyRow(version);
+    row.shared += 1;
+
+    const manifestEntry = manifestByShareId.get(shareId);
+    if (manifestEntry?.autoManaged) {
+      row.reviewed += 1;
+      row.scoreSum += Number(manifestEntry.autoReview?.score) || 0;
+      const status = STATUSES.includes(manifestEntry.status) ? manifestEntry.status : "draft";
+      row.statuses[status] += 1;
+      for (const blocker of manifestEntry.autoReview?.blockers || []) {
+        if (BLOCKERS.includes(blocker)) {
+          row.blockers[blocker] += 1;
+        }
+      }
+    }
+
+    const metrics = engagementStore[shareId];
+    if (metrics) {
+      row.pageViews += Number(metrics.pageViews) || 0;
+      row.engagedViews += Number(metrics.engagedViews) || 0;
+      row.internalNavigation += Number(metrics.internalNavigation) || 0;
+    }
+    rows.set(version, row);
+  }
+
+  const report = {
+    shareStoreFile,
+    manifestFile,
+    engagementFile,
+    since: args.since,
+    versions: [...rows.values()]
+      .map(finalizeRow)
+      .sort((a, b) => a.version.localeCompare(b.version)),
+  };
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  printReport(report);
+}
+
+function parseArgs(argv) {
+  const result = {
+    since: "",
+    includeUnversioned: false,
+    json: false,
+    help: false,
+    shareStoreFile: "",
+    manifestFile: "",
+    engagementFile: "",
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    const next = argv[i + 1];
+
+    switch (arg) {
+      case "--since":
+        result.since = String(next || "").trim();
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(result.since)) {
+          fail("--since ждет дату в формате YYYY-MM-DD.");
+        }
+        i += 1;
+        break;
+      case "--include-unversioned":
+        result.includeUnversioned = true;
+        break;
+      case "--json":
+        result.json = true;
+        break;
+      case "--share-store-file":
+        result.shareStoreFile = String(next || "");
+        i += 1;
+        break;
+      case "--manifest-file":
+        result.manifestFile = String(next || "");
+        i += 1;
+        break;
+      case "--engagement-file":
+        result.engagementFile = String(next || "");
+        i += 1;
+        break;
+      case "--help":
+      case "-h":
+        result.help = true;
+        break;
+      default:
+        fail(`Неизвестный аргумент: ${arg}`);
+    }
+  }
+
+  return result;
+}
+
+function emptyRow(version) {
+  return {
+    version,
+    shared: 0,
+    reviewed: 0,
+    scoreSum: 0,
+    statuses: Object.fromEntries(STATUSES.map((status) => [status, 0])),
+    blockers: Object.fromEntries(BLOCKERS.map((blocker) => [blocker, 0])),
+    pageViews: 0,
+    engagedViews: 0,
+    internalNavigation: 0,
+  };
+}
+
+function finalizeRow({ scoreSum, ...row }) {
+  return {
+    ...row,
+    avgScore: row.reviewed ? Number((scoreSum / row.reviewed).toFixed(1)) : 0,
+    publicRate: row.reviewed ? Number((row.statuses.public / row.reviewed).toFixed(3)) : 0,
+    engagedRate: row.pageViews ? Number((row.engagedViews / row.pageViews).toFixed(3)) : 0,
+    pageViewsPerShare: row.shared ? Number((row.pageViews / row.shared).toFixed(2)) : 0,
+  };
+}
+
+function resolveRuntimeDir(rootDir) {
+  const configured = String(process.env.DATA_DIR || "").trim();
+  if (!configured) {
+    return path.join(rootDir, ".runtime");
+  }
+  return path.isAbsolute(configured) ? configured : path.resolve(process.cwd(), configured);
+}
+
+function resolveConfiguredFile(argValue, envName, fallback) {
+  const configured = String(argValue || process.env[envName] || "").trim();
+  if (!configured) {
+    return fallback;
+  }
+  return path.isAbsolute(configured) ? configured : path.resolve(process.cwd(), configured);
+}
+
+async function resolveShareStoreFile(runtimeDir) {
+  const runtimeFile = path.join(runtimeDir, "share-links.json");
+  const legacyFile = path.join(repoRoot, "data", "share-links.json");
+
+  if (await fileExists(runtimeFile)) {
+    return runtimeFile;
+  }
+  return legacyFile;
+}
+
+async function readArrayJson(filePath) {
+  try {
+    const raw = await fs.readFile(filePath, "utf-8");
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    if (error?.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+}
+
+async function readObjectJson(filePath) {
+  try {
+    const raw = await fs.readFile(filePath, "utf-8");
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+      return {};
+    }
+    return parsed;
+  } catch (error) {
+    if (error?.code === "ENOENT") {
+      return {};
+    }
+    throw error;
+  }
+}
+
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function printReport(report) {
+  console.log(`Share store: ${report.shareStoreFile}`);
+  console.log(`Auto manifest: ${report.manifestFile}`);
+  console.log(`Engagement: ${report.engagementFile}`);
+  if (report.since) {
+    console.log(`С даты: ${report.since}`);
+  }
+
+  if (report.versions.length === 0) {
+    console.log("\nНет share-ссылок с версией промпта.");
+    return;
+  }
+
+  const header = [
+    "версия",
+    "ссылок",
+    "оценено",
+    "ср. балл",
+    "public",
+    "share-only",
+    "draft",
+    "блокеры",
+    "просмотры",
+    "вовлеч.",
+    "переходы",
+  ];
+  const rows = report.versions.map((row) => [
+    row.version,
+    String(row.shared),
+    String(row.reviewed),
+    row.avgScore.toFixed(1),
+    `${row.statuses.public} (${Math.round(row.publicRate * 100)}%)`,
+    String(row.statuses["share-only"]),
+    String(row.statuses.draft),
+    BLOCKERS.map((blocker) => row.blockers[blocker]).join("/"),
+    String(row.pageViews),
+    `${row.engagedViews} (${Math.round(row.engagedRate * 100)}%)`,
+    String(row.internalNavigation),
+  ]);
+
+  const widths = header.map((_, column) =>
+    Math.max(...[header, ...rows].map((row) => row[column].length))
+  );
+  console.log("");
+  for (const row of [header, ...rows]) {
+    console.log(
+      `  ${row
+        .map((cell, column) => (column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])))
+        .join("  ")}`
+    );
+  }
+  console.log(`\nБлокеры: ${BLOCKERS.join("/")}. Балл — calculateAutomaticScenarioScore из autoReview.`);
+}
+
+function printHelp() {
+  console.log(`Сравнение версий промпта по автопубликации и поведенческим сигналам
+
+Примеры:
+  npm run report:prompts
+  npm run report:prompts -- --since 2026-03-01 --include-unversioned
+  npm run report:prompts -- --json
+
+Аргументы:
+  --since <YYYY-MM-DD>      только ссылки, созданные с этой даты
+  --include-unversioned     показать и ссылки, созданные до версионирования промптов
+  --json                    вывести отчет как JSON
+
+Служебные аргументы:
+  --share-store-file <path> альтернативный share store
+  --manifest-file <path>    альтернативный auto-public manifest
+  --engagement-file <path>  альтернативный store поведенческих сигналов
+`);
+}
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+main().catch((error) => {
+  console.error(error?.stack || String(error));
+  process.exit(1);
+});
@@ -4,6 +4,7 @@ import fs from "node:fs/promises";
 import path from "node:path";
 import process from "node:process";
 import { fileURLToPath } from "node:url";
+import { checkScenarioConsistency } from "../lib/chronology.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -20,6 +21,7 @@ const QUALITY_LABELS = {
   era: "Для public-страницы укажи эпоху.",
   themes: "Для public-страницы укажи хотя бы одну тему.",
   tone: "Для public-страницы укажи тон публикации.",
+  chronology: "В тексте есть годы позже даты создания сценария — проверь хронологию.",
 };
 
 async function main() {
@@ -112,6 +114,7 @@ async function main() {
     era,
     themes,
     tone,
+    createdAt: storeEntry.createdAt,
   });
 
   const conflictingSlug = manifest.find(
@@ -370,6 +373,7 @@ function buildScenarioQualityReport({
   era,
   themes,
   tone,
+  createdAt,
 }) {
   const routeIssues = [];
   const publicIssues = [];
@@ -408,11 +412,23 @@ function buildScenarioQualityReport({
     publicIssues.push("tone");
   }
 
+  const createdYear = new Date(createdAt || Date.now()).getUTCFullYear();
+  // в share payload хранится только narrative, поэтому проверка без timeline
+  const consistency = checkScenarioConsistency({
+    event: title,
+    narrative,
+    currentYear: Number.isFinite(createdYear) ? createdYear : new Date().getUTCFullYear(),
+  });
+  if (consistency.status === "error") {
+    publicIssues.push("chronology");
+  }
+
   return {
     wordCount,
     paragraphCount: paragraphList.length,
     routeIssues,
     publicIssues,
+    consistency,
     isRoutable: routeIssues.length === 0,
     isPublicReady: routeIssues.length === 0 && publicIssues.length === 0,
   };
@@ -619,6 +635,7 @@ function printResult(result) {
   console.log(`Slug: ${result.slug}`);
   console.log(`Слова: ${result.quality.wordCount}`);
   console.log(`Абзацы: ${result.quality.paragraphCount}`);
+  console.log(`Хронология: ${formatChronology(result.quality.consistency)}`);
   console.log(`Заголовок: ${result.title}`);
   console.log(`Summary: ${result.summary}`);
   console.log(`Страны/регионы: ${result.countries.join(", ") || "не заданы"}`);
@@ -628,6 +645,19 @@ function printResult(result) {
   console.log(`Share store: ${result.shareStoreFile}`);
 }
 
+function formatChronology(consistency) {
+  if (!consistency || consistency.issues.length === 0) {
+    return "ок";
+  }
+  return consistency.issues
+    .map((issue) =>
+      issue.code === "future-year"
+        ? `${issue.year} позже даты создания`
+        : `${issue.year} раньше точки расхождения ${consistency.divergenceYear}`
+    )
+    .join("; ");
+}
+
 function printQualityFailure(targetStatus, quality) {
   console.error(`Нельзя сохранить статус "${targetStatus}". Не пройден quality gate:\n`);
   const issues = [
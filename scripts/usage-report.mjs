@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import process from "node:process";
+import { fileURLToPath } from "node:url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const repoRoot = path.resolve(__dirname, "..");
+
+const GROUPS = {
+  day: { title: "По дням", readKey: (entry) => String(entry.at || "").slice(0, 10) },
+  provider: { title: "По провайдерам", readKey: (entry) => entry.provider || "?" },
+  mode: { title: "По режимам", readKey: (entry) => entry.mode || "?" },
+  language: { title: "По языкам", readKey: (entry) => entry.language || "?" },
+  source: { title: "По источникам", readKey: (entry) => entry.source || "?" },
+  model: { title: "По моделям", readKey: (entry) => entry.modelId || "?" },
+  prompt: { title: "По версиям промпта", readKey: (entry) => entry.promptVersion || "?" },
+};
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help) {
+    printHelp();
+    return;
+  }
+
+  const ledgerFile = args.ledgerFile
+    ? path.resolve(process.cwd(), args.ledgerFile)
+    : resolveUsageLedgerFile(repoRoot);
+  const since = args.since || shiftIsoDate(new Date().toISOString().slice(0, 10), 1 - args.days);
+  const until = args.until || "9999-12-31";
+  const groups = args.groups.length ? args.groups : ["day", "provider", "mode"];
+
+  const entries = (await readLedger(ledgerFile)).filter((entry) => {
+    const day = String(entry.at || "").slice(0, 10);
+    if (day < since || day > until) return false;
+    if (args.source && entry.source !== args.source) return false;
+    return true;
+  });
+
+  const report = {
+    ledgerFile,
+    since,
+    until: args.until || "",
+    source: args.source || "",
+    total: aggregate(entries, () => "total")[0] || emptyRow("total"),
+    groups: Object.fromEntries(
+      groups.map((group) => [group, aggregate(entries, GROUPS[group].readKey)])
+    ),
+  };
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  printReport(report);
+}
+
+function parseArgs(argv) {
+  const result = {
+    days: 30,
+    since: "",
+    until: "",
+    source: "",
+    groups: [],
+    json: false,
+    help: false,
+    ledgerFile: "",
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    const next = argv[i + 1];
+
+    switch (arg) {
+      case "--days":
+        result.days = Number(next || "");
+        if (!Number.isInteger(result.days) || result.days <= 0) {
+          fail("--days ждет целое число дней больше нуля.");
+        }
+        i += 1;
+        break;
+      case "--since":
+        result.since = normalizeIsoDate(next);
+        i += 1;
+        break;
+      case "--until":
+        result.until = normalizeIsoDate(next);
+        i += 1;
+        break;
+      case "--source":
+        result.source = String(next || "");
+        if (!["web", "bot"].includes(result.source)) {
+          fail("--source ждет web или bot.");
+        }
+        i += 1;
+        break;
+      case "--by":
+        for (const group of String(next || "").split(",")) {
+          if (!GROUPS[group.trim()]) {
+            fail(`Неизвестная группировка: ${group}. Доступно: ${Object.keys(GROUPS).join(", ")}.`);
+          }
+          result.groups.push(group.trim());
+        }
+        i += 1;
+        break;
+      case "--json":
+        result.json = true;
+        break;
+      case "--ledger-file":
+        result.ledgerFile = String(next || "");
+        i += 1;
+        break;
+      case "--help":
+      case "-h":
+        result.help = true;
+        break;
+      default:
+        fail(`Неизвестный аргумент: ${arg}`);
+    }
+  }
+
+  return result;
+}
+
+function resolveUsageLedgerFile(rootDir) {
+  const configuredFile = String(process.env.USAGE_LEDGER_FILE || "").trim();
+  if (configuredFile) {
+    return path.isAbsolute(configuredFile)
+      ? configuredFile
+      : path.resolve(process.cwd(), configuredFile);
+  }
+
+  const configured = String(process.env.DATA_DIR || "").trim();
+  const runtimeDir = configured
+    ? path.isAbsolute(configured)
+      ? configured
+      : path.resolve(process.cwd(), configured)
+    : path.join(rootDir, ".runtime");
+  return path.join(runtimeDir, "usage-ledger.jsonl");
+}
+
+async function readLedger(filePath) {
+  let raw = "";
+  try {
+    raw = await fs.readFile(filePath, "utf-8");
+  } catch (error) {
+    if (error?.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+
+  const entries = [];
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (entry && typeof entry === "object") {
+        entries.push(entry);
+      }
+    } catch {
+      // недописанная строка после падения процесса
+    }
+  }
+  return entries;
+}
+
+function aggregate(entries, readKey) {
+  const rows = new Map();
+
+  for (const entry of entries) {
+    const key = readKey(entry);
+    const row = rows.get(key) || emptyRow(key);
+    row.attempts += 1;
+    row.successes += entry.success ? 1 : 0;
+    row.promptTokens += Number(entry.promptTokens) || 0;
+    row.completionTokens += Number(entry.completionTokens) || 0;
+    row.estimated += entry.estimated ? 1 : 0;
+    row.costUsd += Number(entry.costUsd) || 0;
+    row.latencyMs += Number(entry.latencyMs) || 0;
+    rows.set(key, row);
+  }
+
+  return [...rows.values()]
+    .map((row) => ({
+      ...row,
+      costUsd: Number(row.costUsd.toFixed(6)),
+      avgLatencyMs: row.attempts ? Math.round(row.latencyMs / row.attempts) : 0,
+    }))
+    .sort((a, b) => String(a.key).localeCompare(String(b.key)));
+}
+
+function emptyRow(key) {
+  return {
+    key,
+    attempts: 0,
+    successes: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    estimated: 0,
+    costUsd: 0,
+    latencyMs: 0,
+    avgLatencyMs: 0,
+  };
+}
+
+function printReport(report) {
+  console.log(`Ledger: ${report.ledgerFile}`);
+  console.log(
+    `Период: ${report.since} — ${report.until || "сегодня"}${report.source ? `, источник: ${report.source}` : ""}`
+  );
+  console.log(
+    `Всего: ${report.total.attempts} попыток, $${report.total.costUsd.toFixed(4)}, ` +
+      `${report.total.promptTokens + report.total.completionTokens} токенов`
+  );
+  if (report.total.estimated > 0) {
+    console.log(`Оценено по длине текста (провайдер не вернул usage): ${report.total.estimated}`);
+  }
+
+  for (const [group, rows] of Object.entries(report.groups)) {
+    console.log(`\n${GROUPS[group].title}:`);
+    if (rows.length === 0) {
+      console.log("  нет данных");
+      continue;
+    }
+    printTable(
+      ["", "попытки", "успех", "prompt", "completion", "$", "ср. мс"],
+      rows.map((row) => [
+        row.key,
+        String(row.attempts),
+        `${Math.round((row.successes / row.attempts) * 100)}%`,
+        String(row.promptTokens),
+        String(row.completionTokens),
+        row.costUsd.toFixed(4),
+        String(row.avgLatencyMs),
+      ])
+    );
+  }
+}
+
+function printTable(header, rows) {
+  const widths = header.map((_, column) =>
+    Math.max(...[header, ...rows].map((row) => row[column].length))
+  );
+  for (const row of [header, ...rows]) {
+    console.log(
+      `  ${row
+        .map((cell, column) => (column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])))
+        .join("  ")}`
+    );
+  }
+}
+
+function normalizeIsoDate(value) {
+  const raw = String(value || "").trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(raw) || Number.isNaN(Date.parse(raw))) {
+    fail(`Ожидается дата в формате YYYY-MM-DD, получено: ${raw || "пусто"}`);
+  }
+  return raw;
+}
+
+function shiftIsoDate(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function printHelp() {
+  console.log(`Отчет о расходе токенов и стоимости генераций по usage ledger
+
+Примеры:
+  npm run report:usage
+  npm run report:usage -- --days 7 --by provider,mode
+  npm run report:usage -- --since 2026-01-01 --until 2026-01-31 --source bot --json
+
+Аргументы:
+  --days <n>                последние n дней, включая сегодня (по умолчанию 30)
+  --since <YYYY-MM-DD>      начало периода вместо --days
+  --until <YYYY-MM-DD>      конец периода
+  --source <web|bot>        только сайт или только Telegram-бот
+  --by <группы>             через запятую: ${Object.keys(GROUPS).join(", ")} (по умолчанию day,provider,mode)
+  --json                    вывести отчет как JSON
+
+Служебные аргументы:
+  --ledger-file <path>      альтернативный ledger вместо DATA_DIR/usage-ledger.jsonl
+`);
+}
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+main().catch((error) => {
+  console.error(error?.stack || String(error));
+  process.exit(1);
+});
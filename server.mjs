@@ -5,6 +5,7 @@ import path from "node:path";
 import crypto from "node:crypto";
 import { fileURLToPath } from "node:url";
 import { Resvg } from "@resvg/resvg-js";
+import { checkScenarioConsistency, normalizeYear } from "./lib/chronology.mjs";
 
 loadEnvFile();
 
@@ -27,12 +28,23 @@ const MISTRAL_BASE_URL =
 
 const SITE_URL = (process.env.SITE_URL || "").replace(/\/+$/, "");
 
+const MOCK_LLM = String(process.env.MOCK_LLM || "").trim().toLowerCase();
+const MOCK_LLM_DELAY_MS = readPositiveNumberEnv("MOCK_LLM_DELAY_SECONDS", 60) * 1000;
+const MOCK_LLM_CHUNK_MS = 30;
+
 const FAILOVER_ORDER = (process.env.FAILOVER_ORDER || "")
   .split(",")
   .map((value) => value.trim())
   .filter(Boolean);
 
-const MODEL_CATALOG = [
+const PROVIDER_TIMEOUT_MS = readPositiveNumberEnv("PROVIDER_TIMEOUT_SECONDS", 45) * 1000;
+const GENERATION_DEADLINE_MS = readPositiveNumberEnv("GENERATION_DEADLINE_SECONDS", 120) * 1000;
+const STREAM_HEARTBEAT_MS = readPositiveNumberEnv("STREAM_HEARTBEAT_SECONDS", 15) * 1000;
+const RATE_LIMIT_RETRIES = Math.floor(readPositiveNumberEnv("RATE_LIMIT_RETRIES", 2));
+const RATE_LIMIT_BACKOFF_MS = 1000;
+const RATE_LIMIT_MAX_DELAY_MS = 15000;
+
+const BUILTIN_MODEL_CATALOG = [
   {
     id: "wormsoft-gpt-5.2",
     label: "Wormsoft GPT-5.2",
@@ -40,7 +52,10 @@ const MODEL_CATALOG = [
     providerLabel: "WORMSOFT",
     model: WORMSOFT_MODEL,
     baseUrl: WORMSOFT_BASE_URL,
+    adapter: "openai-compatible",
     apiKey: WORMSOFT_API_KEY,
+    timeoutMs: readPositiveNumberEnv("WORMSOFT_TIMEOUT_SECONDS", PROVIDER_TIMEOUT_MS / 1000) * 1000,
+    prices: readModelPricesEnv("WORMSOFT"),
     enableImages: false,
   },
   {
@@ -50,7 +65,10 @@ const MODEL_CATALOG = [
     providerLabel: "GEMINI",
     model: GEMINI_MODEL,
     baseUrl: GEMINI_BASE_URL,
+    adapter: "openai-compatible",
     apiKey: GEMINI_API_KEY,
+    timeoutMs: readPositiveNumberEnv("GEMINI_TIMEOUT_SECONDS", PROVIDER_TIMEOUT_MS / 1000) * 1000,
+    prices: readModelPricesEnv("GEMINI"),
     enableImages: false,
   },
   {
@@ -60,12 +78,27 @@ const MODEL_CATALOG = [
     providerLabel: "MISTRAL",
     model: MISTRAL_MODEL,
     baseUrl: MISTRAL_BASE_URL,
+    adapter: "openai-compatible",
     apiKey: MISTRAL_API_KEY,
+    timeoutMs: readPositiveNumberEnv("MISTRAL_TIMEOUT_SECONDS", PROVIDER_TIMEOUT_MS / 1000) * 1000,
+    prices: readModelPricesEnv("MISTRAL"),
+    enableImages: false,
+  },
+  {
+    id: "mock",
+    label: "Mock (offline)",
+    provider: "MOCK",
+    providerLabel: "MOCK",
+    model: MOCK_LLM || "ok",
+    baseUrl: "mock://local",
+    adapter: "mock",
+    enabled: Boolean(MOCK_LLM),
+    timeoutMs: PROVIDER_TIMEOUT_MS,
     enableImages: false,
   },
 ];
 
-const UI_MODEL_IDS = [
+const BUILTIN_UI_MODEL_IDS = [
   "wormsoft-gpt-5.2",
   "gemini-2.5-flash",
   "mistral-small",
@@ -74,17 +107,212 @@ const DEFAULT_FAILOVER_ORDER = [
   "gemini-2.5-flash",
   "mistral-small",
   "wormsoft-gpt-5.2",
+  "mock",
 ];
+const ANTHROPIC_API_VERSION = "2023-06-01";
+const PROVIDER_ADAPTERS = {
+  "openai-compatible": {
+    requiresApiKey: true,
+    streamContentType: "text/event-stream",
+    buildRequest: buildChatCompletionRequest,
+    extractText: extractTextFromChatCompletion,
+    extractUsage: extractUsageFromChatCompletion,
+    readStreamLine: readChatCompletionStreamLine,
+  },
+  anthropic: {
+    requiresApiKey: true,
+    defaultBaseUrl: "https://api.anthropic.com/v1",
+    streamContentType: "text/event-stream",
+    buildRequest: buildAnthropicMessagesRequest,
+    extractText: extractTextFromAnthropicMessage,
+    extractUsage: extractUsageFromAnthropicMessage,
+    readStreamLine: readAnthropicStreamLine,
+  },
+  ollama: {
+    requiresApiKey: false,
+    defaultBaseUrl: "http://127.0.0.1:11434",
+    streamContentType: "application/x-ndjson",
+    buildRequest: buildOllamaChatRequest,
+    extractText: extractTextFromOllamaChat,
+    extractUsage: extractUsageFromOllamaChat,
+    readStreamLine: readOllamaStreamLine,
+  },
+  mock: {
+    requiresApiKey: false,
+    defaultBaseUrl: "mock://local",
+    buildRequest: buildMockRequest,
+    complete: completeMockRequest,
+  },
+};
+const MOCK_LLM_BEHAVIORS = new Set([
+  "ok",
+  "malformed",
+  "anachronism",
+  "empty",
+  "placeholder",
+  "slow",
+  "error",
+  "rate-limit",
+  "wrong-language",
+]);
+const mockBehaviorCounters = new Map();
 const INVALID_ASSISTANT_RESPONSES = new Set([
   "no assistant response",
   "empty assistant response",
 ]);
+const CIRCUIT_WINDOW_SIZE = 20;
+const CIRCUIT_MIN_SAMPLES = 5;
+const CIRCUIT_FAILURE_THRESHOLD = readPositiveNumberEnv("CIRCUIT_FAILURE_THRESHOLD", 3);
+const CIRCUIT_ERROR_RATE_THRESHOLD = readPositiveNumberEnv("CIRCUIT_ERROR_RATE_THRESHOLD", 0.5);
+const CIRCUIT_OPEN_MS = readPositiveNumberEnv("CIRCUIT_OPEN_SECONDS", 60) * 1000;
+const providerHealth = new Map();
+const PROVIDER_DAILY_BUDGETS = readProviderBudgetsEnv("PROVIDER_DAILY_BUDGETS");
+const ROUTE_REQUEST_TYPES = ["first", "branch", "refine", "compare"];
+const providerDailySpend = { day: "", byProvider: new Map() };
+const GENERATION_CACHE_ENABLED = String(process.env.GENERATION_CACHE || "on").trim().toLowerCase() !== "off";
+const GENERATION_CACHE_TTL_MS = readPositiveNumberEnv("GENERATION_CACHE_TTL_SECONDS", 6 * 60 * 60) * 1000;
+const GENERATION_CACHE_MAX_ENTRIES = Math.floor(readPositiveNumberEnv("GENERATION_CACHE_MAX_ENTRIES", 200));
+const COMPARE_CONCURRENCY = Math.floor(readPositiveNumberEnv("COMPARE_CONCURRENCY", 2));
+const ENSEMBLE_DEFAULT_CANDIDATES = 3;
+const ENSEMBLE_MAX_CANDIDATES = Math.floor(readPositiveNumberEnv("ENSEMBLE_MAX_CANDIDATES", 5));
+const ENSEMBLE_CONCURRENCY = Math.floor(readPositiveNumberEnv("ENSEMBLE_CONCURRENCY", 3));
+const ENSEMBLE_TEMPERATURE_STEP = 0.15;
+const CONSISTENCY_RETRY_ENABLED = String(process.env.CONSISTENCY_RETRY || "on").trim().toLowerCase() !== "off";
+const LANGUAGE_RETRY_ENABLED = String(process.env.LANGUAGE_RETRY || "on").trim().toLowerCase() !== "off";
+const LANGUAGE_MIN_CONFIDENCE = 0.8;
+// поле короче этого отдельно не судится, только в общей доле
+const LANGUAGE_FIELD_MIN_LETTERS = 40;
+const generationCache = new Map();
+const generationCacheStats = { hits: 0, misses: 0, bypassed: 0, stores: 0, evictions: 0 };
+const INTERNAL_API_TOKEN = String(process.env.INTERNAL_API_TOKEN || "").trim();
+// без X-Forwarded-For запрос с loopback неотличим от nginx без нужного заголовка, поэтому доверие — только явно
+const TRUST_LOOPBACK_ENABLED = String(process.env.RATE_LIMIT_TRUST_LOOPBACK || "off").trim().toLowerCase() === "on";
+const FINGERPRINT_COOKIE = "bh_fp";
+const LANGUAGE_COOKIE = "bh_language";
+const DEFAULT_LOCALE = "ru";
+const RATE_LIMIT_IP_MULTIPLIER = 3;
+const RATE_LIMIT_RULES = {
+  "alt-history": readRateLimitRuleEnv("RATE_LIMIT_ALT_HISTORY", 20, 600),
+  "share-link": readRateLimitRuleEnv("RATE_LIMIT_SHARE_LINK", 60, 600),
+  "scenario-engagement": readRateLimitRuleEnv("RATE_LIMIT_SCENARIO_ENGAGEMENT", 300, 600),
+  moderation: readRateLimitRuleEnv("RATE_LIMIT_MODERATION", 60, 600),
+  "alt-history-compare": readRateLimitRuleEnv("RATE_LIMIT_ALT_HISTORY_COMPARE", 6, 600),
+  sessions: readRateLimitRuleEnv("RATE_LIMIT_SESSIONS", 60, 600),
+};
+const rateLimitBuckets = new Map();
+const MODERATION_RULES = [
+  {
+    id: "adult",
+    action: "block",
+    patterns: [
+      /порн/i,
+      /эротическ\S* (рассказ|сцен|истори)/i,
+      /\bxxx\b/i,
+      /onlyfans/i,
+      /изнасил/i,
+      /\brape\b/i,
+      /инцест|incest/i,
+      /педофил|pedophil/i,
+      /child porn/i,
+      /секс[- ]?сцен|\bsex (scene|story)\b/i,
+    ],
+  },
+  {
+    id: "weapons",
+    action: "block",
+    patterns: [
+      /(как|how to)\s+(сделать|собрать|изготовить|синтезировать|make|build|synthesi[sz]e)\s+(\S+\s+)?(бомб|взрывчатк|взрывн\S* устройств|зарин|нервно-паралит|bomb|explosive|sarin|nerve agent)/i,
+    ],
+  },
+  {
+    id: "hard-drugs",
+    action: "block",
+    patterns: [
+      /(как|how to)\s+(сварить|приготовить|синтезировать|cook|make|synthesi[sz]e)\s+(\S+\s+)?(мет(?![а-я])|метамфетамин|героин|кокаин|фентанил|meth\b|methamphetamine|heroin|cocaine|fentanyl)/i,
+      /meth lab|варк\S* мет(?![а-я])/i,
+    ],
+  },
+  {
+    id: "spam",
+    action: "block",
+    patterns: [
+      /https?:\/\/|www\.|t\.me\//i,
+      /подпис(ыв)?айтесь|подпишись|subscribe to|промокод|promo code/i,
+      /заработ\S* без вложений|онлайн[- ]казино|online casino/i,
+    ],
+  },
+  {
+    id: "gore",
+    action: "soften",
+    patterns: [
+      /расчлен|dismember/i,
+      /\bgore\b|snuff/i,
+      /каннибал|cannibal/i,
+      /некрофил|necrophil/i,
+      /пытк\S* в (деталях|подробностях)|torture in detail/i,
+    ],
+  },
+];
+const PROMPT_INJECTION_PATTERNS = [
+  /(ignore|disregard|forget)\s+(all\s+)?(the\s+|your\s+)?(previous|prior|above|earlier|system)\s+(instructions|prompts?|rules)/i,
+  /(игнорируй|забудь|отмени)\s+(все\s+)?(предыдущие|прошлые|вышеуказанные|свои|системные)\s+(инструкции|указания|правила)/i,
+  /system prompt|системн\S* (промпт|инструкци)/i,
+  /(верни|ответь|выведи|return|respond|output)(?![а-яёa-z])[^.!?]{0,30}(?<![а-яёa-z])(markdown|plain text|без json|не json|not json|without json)/i,
+  /\b(jailbreak|dan mode|developer mode)\b|режим разработчика/i,
+  /<\/?(system|assistant|user)>|^\s*(system|assistant)\s*:/im,
+];
+const DEFAULT_SCENARIO_LENGTH = "standard";
+const SCENARIO_LENGTHS = {
+  short: {
+    words: "90-140",
+    blocks: "3",
+    messages: "6-8",
+    years: "2-3",
+    maxTokensScale: 0.5,
+  },
+  standard: {
+    words: "220-380",
+    blocks: "4-5",
+    messages: "10-14",
+    years: "3-5",
+  },
+  "long-read": {
+    words: "520-800",
+    blocks: "7-9",
+    messages: "18-24",
+    years: "6-8",
+  },
+};
+const DEFAULT_NARRATIVE_FORMAT = "essay";
+// шаблоны форматов лежат в prompt.narrativeFormats каталогов data/locales:
+// {paragraphs} берется оттуда же из prompt.lengthParagraphs, {blocks} и {messages} — из пресета длины
+const NARRATIVE_FORMATS = ["essay", "newspaper", "diary", "textbook", "chat"];
+const REFINE_INSTRUCTION_MAX_LENGTH = 300;
+// тексты пресетов лежат в prompt.refinePresets каталогов data/locales
+const REFINE_PRESETS = ["darker", "dates", "shorter", "funnier"];
 
 function isModelEnabled(model) {
-  if (!model?.apiKey) return false;
+  const adapter = getProviderAdapter(model);
+  if (!adapter || model.enabled === false || !model.baseUrl || !model.model) return false;
+  if (adapter.requiresApiKey && !model.apiKey) return false;
   return true;
 }
 
+function normalizeModelPrices(prices) {
+  const readPrice = (value) => {
+    const price = Number(value);
+    return Number.isFinite(price) && price > 0 ? price : 0;
+  };
+  return {
+    promptPer1k: readPrice(prices?.promptPer1k),
+    completionPer1k: readPrice(prices?.completionPer1k),
+  };
+}
+
+function getProviderAdapter(model) {
+  return PROVIDER_ADAPTERS[model?.adapter || "openai-compatible"] || null;
+}
+
 function getDefaultModelId() {
   const ordered = getFailoverOrder();
   for (const modelId of ordered) {
@@ -102,7 +330,7 @@ function getModelById(modelId) {
 }
 
 function getUiModels() {
-  const uiModels = UI_MODEL_IDS.map((id) => getModelById(id)).filter(Boolean);
+  const uiModels = MODEL_CONFIG.uiModelIds.map((id) => getModelById(id)).filter(Boolean);
   if (uiModels.length > 0) {
     return uiModels;
   }
@@ -113,14 +341,14 @@ function getFailoverOrder() {
   if (FAILOVER_ORDER.length > 0) {
     return FAILOVER_ORDER;
   }
-  return DEFAULT_FAILOVER_ORDER;
+  return MODEL_CONFIG.failoverOrder;
 }
 
 function hasAnyEnabledModels() {
   return MODEL_CATALOG.some((model) => isModelEnabled(model));
 }
 
-function buildModelAttempts(requestedId) {
+function buildModelAttempts(requestedId, route = null) {
   const attempts = [];
   const seen = new Set();
 
@@ -130,7 +358,7 @@ function buildModelAttempts(requestedId) {
     seen.add(requested.id);
   }
 
-  const ordered = getFailoverOrder();
+  const ordered = [...pickRouteModelIds(route), ...getFailoverOrder()];
   for (const modelId of ordered) {
     const model = getModelById(modelId);
     if (!model || !isModelEnabled(model)) continue;
@@ -147,7 +375,235 @@ function buildModelAttempts(requestedId) {
     }
   }
 
-  return attempts;
+  // исчерпанный дневной бюджет — жесткий запрет, в отличие от circuit breaker
+  const affordable = attempts.filter((model) => !isProviderBudgetExhausted(model.provider));
+  const available = affordable.filter((model) => isProviderAvailable(model));
+  return available.length > 0 ? available : affordable;
+}
+
+function pickRouteModelIds(route) {
+  if (!route) {
+    return [];
+  }
+  const budgetLeft = getDailyBudgetLeftShare();
+  const rule = MODEL_CONFIG.routes.find(({ when }) => {
+    if (when.type.length > 0 && !when.type.includes(route.type)) return false;
+    if (when.mode.length > 0 && !when.mode.includes(route.mode)) return false;
+    if (when.language.length > 0 && !when.language.includes(route.language)) return false;
+    if (when.length.length > 0 && !when.length.includes(route.length)) return false;
+    if (when.minBudgetLeft !== null && budgetLeft < when.minBudgetLeft) return false;
+    if (when.maxBudgetLeft !== null && budgetLeft > when.maxBudgetLeft) return false;
+    return true;
+  });
+  return rule ? rule.models : [];
+}
+
+function getProviderDailyBudget(provider) {
+  if (Object.hasOwn(PROVIDER_DAILY_BUDGETS, provider)) {
+    return PROVIDER_DAILY_BUDGETS[provider];
+  }
+  return MODEL_CONFIG.dailyBudgetsUsd[provider] || 0;
+}
+
+function getProviderSpendToday(provider) {
+  const today = new Date().toISOString().slice(0, 10);
+  if (providerDailySpend.day !== today) {
+    providerDailySpend.day = today;
+    providerDailySpend.byProvider.clear();
+  }
+  return providerDailySpend.byProvider.get(provider) || 0;
+}
+
+function addProviderSpend(provider, costUsd) {
+  if (!(costUsd > 0)) return;
+  const spent = getProviderSpendToday(provider);
+  providerDailySpend.byProvider.set(provider, spent + costUsd);
+
+  const budget = getProviderDailyBudget(provider);
+  if (budget > 0 && spent < budget && spent + costUsd >= budget) {
+    console.warn(`Daily budget for ${provider} exhausted: $${(spent + costUsd).toFixed(4)} of $${budget}.`);
+  }
+}
+
+function isProviderBudgetExhausted(provider) {
+  const budget = getProviderDailyBudget(provider);
+  return budget > 0 && getProviderSpendToday(provider) >= budget;
+}
+
+function getBudgetedProviders() {
+  const providers = new Set(MODEL_CATALOG.filter((model) => isModelEnabled(model)).map((model) => model.provider));
+  return [...providers].filter((provider) => getProviderDailyBudget(provider) > 0);
+}
+
+function getDailyBudgetLeftShare() {
+  let total = 0;
+  let left = 0;
+  for (const provider of getBudgetedProviders()) {
+    const budget = getProviderDailyBudget(provider);
+    total += budget;
+    left += Math.max(0, budget - getProviderSpendToday(provider));
+  }
+  return total > 0 ? left / total : 1;
+}
+
+function describeProviderBudgets() {
+  return getBudgetedProviders().map((provider) => {
+    const budgetUsd = getProviderDailyBudget(provider);
+    const spentUsd = getProviderSpendToday(provider);
+    return {
+      provider,
+      budgetUsd,
+      spentUsd: Number(spentUsd.toFixed(4)),
+      exhausted: spentUsd >= budgetUsd,
+    };
+  });
+}
+
+async function loadProviderSpendFromLedger() {
+  let raw = "";
+  try {
+    raw = await fsp.readFile(USAGE_LEDGER_FILE, "utf-8");
+  } catch (error) {
+    if (error?.code !== "ENOENT") {
+      console.error("Failed to read usage ledger:", error);
+    }
+    return;
+  }
+
+  const today = new Date().toISOString().slice(0, 10);
+  for (const line of raw.split("\n")) {
+    if (!line.includes(today)) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (!String(entry.at || "").startsWith(today)) continue;
+      const provider =
+        getModelById(entry.modelId)?.provider || String(entry.provider || "").toUpperCase();
+      addProviderSpend(provider, Number(entry.costUsd) || 0);
+    } catch {
+      // недописанная строка после падения процесса
+    }
+  }
+}
+
+function getProviderHealth(model) {
+  let health = providerHealth.get(model.id);
+  if (!health) {
+    health = {
+      state: "closed",
+      outcomes: [],
+      consecutiveFailures: 0,
+      openedAt: 0,
+      probeInFlight: false,
+      lastError: "",
+      lastFailureAt: "",
+    };
+    providerHealth.set(model.id, health);
+  }
+  return health;
+}
+
+function isProviderAvailable(model) {
+  const health = getProviderHealth(model);
+  if (health.state === "open" && Date.now() - health.openedAt >= CIRCUIT_OPEN_MS) {
+    health.state = "half-open";
+    health.probeInFlight = false;
+  }
+  if (health.state === "half-open") {
+    return !health.probeInFlight;
+  }
+  return health.state === "closed";
+}
+
+function beginProviderAttempt(model) {
+  const health = getProviderHealth(model);
+  if (health.state === "half-open") {
+    health.probeInFlight = true;
+  }
+  return Date.now();
+}
+
+function recordProviderSuccess(model, startedAt) {
+  const health = getProviderHealth(model);
+  pushProviderOutcome(health, { ok: true, latencyMs: Date.now() - startedAt });
+  health.consecutiveFailures = 0;
+  health.probeInFlight = false;
+  if (health.state !== "closed") {
+    console.log(`Circuit for ${model.id} closed after a successful probe.`);
+  }
+  health.state = "closed";
+}
+
+function recordProviderFailure(model, startedAt, error) {
+  const health = getProviderHealth(model);
+  pushProviderOutcome(health, { ok: false, latencyMs: Date.now() - startedAt });
+  health.consecutiveFailures += 1;
+  health.probeInFlight = false;
+  health.lastError = oneLine(error?.message || "").slice(0, 200);
+  health.lastFailureAt = new Date().toISOString();
+
+  const { errorRate, samples } = summarizeProviderOutcomes(health.outcomes);
+  const shouldOpen =
+    health.state === "half-open" ||
+    health.consecutiveFailures >= CIRCUIT_FAILURE_THRESHOLD ||
+    (samples >= CIRCUIT_MIN_SAMPLES && errorRate >= CIRCUIT_ERROR_RATE_THRESHOLD);
+
+  if (shouldOpen) {
+    if (health.state !== "open") {
+      console.warn(`Circuit for ${model.id} opened: ${health.lastError}`);
+    }
+    health.state = "open";
+    health.openedAt = Date.now();
+  }
+}
+
+function pushProviderOutcome(health, outcome) {
+  health.outcomes.push(outcome);
+  if (health.outcomes.length > CIRCUIT_WINDOW_SIZE) {
+    health.outcomes.shift();
+  }
+}
+
+function summarizeProviderOutcomes(outcomes) {
+  const samples = outcomes.length;
+  const failures = outcomes.filter((outcome) => !outcome.ok).length;
+  const successes = outcomes.filter((outcome) => outcome.ok);
+  const avgLatencyMs = successes.length
+    ? Math.round(
+        successes.reduce((sum, outcome) => sum + outcome.latencyMs, 0) / successes.length
+      )
+    : null;
+  return {
+    samples,
+    errorRate: samples ? failures / samples : 0,
+    avgLatencyMs,
+  };
+}
+
+function describeProviderHealth(model) {
+  const health = getProviderHealth(model);
+  isProviderAvailable(model);
+  const { samples, errorRate, avgLatencyMs } = summarizeProviderOutcomes(health.outcomes);
+  return {
+    state: health.state,
+    degraded: health.state !== "closed" || health.consecutiveFailures > 0,
+    errorRate: Math.round(errorRate * 100) / 100,
+    samples,
+    avgLatencyMs,
+    consecutiveFailures: health.consecutiveFailures,
+    ...(health.state === "open"
+      ? { retryAfterSeconds: Math.ceil((health.openedAt + CIRCUIT_OPEN_MS - Date.now()) / 1000) }
+      : {}),
+    ...(health.lastFailureAt ? { lastFailureAt: health.lastFailureAt } : {}),
+  };
+}
+
+function summarizeServiceHealth(models) {
+  const enabled = models.filter((model) => isModelEnabled(model));
+  if (enabled.length === 0) return "down";
+  const states = enabled.map((model) => describeProviderHealth(model));
+  if (states.every((health) => health.state === "open")) return "down";
+  if (states.some((health) => health.degraded)) return "degraded";
+  return "ok";
 }
 
 function buildHeaders(modelConfig) {
@@ -172,16 +628,154 @@ function pickModelConfig(requestedId) {
   return { model: null, isFallback: false };
 }
 
-function missingModelMessage(model) {
+function missingModelMessage(model, language) {
   if (!model) {
-    return (
-      "Не найден API ключ. Добавьте хотя бы один из ключей: " +
-      "WORMSOFT_API_KEY, GEMINI_API_KEY или MISTRAL_API_KEY в .env " +
-      "и перезапустите сервер."
-    );
+    return localeText(language, "errors.missingApiKeys");
+  }
+
+  return localeText(language, "errors.missingProviderKey", { provider: model.providerLabel });
+}
+
+function loadModelCatalog() {
+  const builtin = {
+    models: BUILTIN_MODEL_CATALOG,
+    uiModelIds: BUILTIN_UI_MODEL_IDS,
+    failoverOrder: DEFAULT_FAILOVER_ORDER,
+    routes: [],
+    dailyBudgetsUsd: {},
+  };
+  if (!fs.existsSync(MODEL_CATALOG_FILE)) {
+    return builtin;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(MODEL_CATALOG_FILE, "utf8"));
+  } catch (error) {
+    console.error(`Не удалось прочитать каталог моделей ${MODEL_CATALOG_FILE}: ${error.message}`);
+    return builtin;
+  }
+
+  const entries = Array.isArray(parsed) ? parsed : parsed?.models;
+  const models = [];
+  for (const entry of Array.isArray(entries) ? entries : []) {
+    const model = normalizeModelCatalogEntry(entry);
+    if (model && !models.some((item) => item.id === model.id)) {
+      models.push(model);
+    }
+  }
+  if (models.length === 0) {
+    console.error(`Каталог моделей ${MODEL_CATALOG_FILE} пуст, используются встроенные модели.`);
+    return builtin;
+  }
+
+  const ids = models.map((model) => model.id);
+  const pickIds = (value) =>
+    Array.isArray(value) ? value.map((id) => String(id)).filter((id) => ids.includes(id)) : [];
+  const uiModelIds = pickIds(parsed?.uiModels);
+  const failoverOrder = pickIds(parsed?.failoverOrder);
+
+  const routes = Array.isArray(parsed?.routes)
+    ? parsed.routes.map((entry) => normalizeModelRoute(entry, pickIds)).filter(Boolean)
+    : [];
+
+  return {
+    models,
+    uiModelIds: uiModelIds.length > 0 ? uiModelIds : ids,
+    failoverOrder: failoverOrder.length > 0 ? failoverOrder : ids,
+    routes,
+    dailyBudgetsUsd: normalizeProviderBudgets(parsed?.dailyBudgetsUsd),
+  };
+}
+
+function normalizeModelRoute(entry, pickIds) {
+  const models = pickIds(entry?.models);
+  if (models.length === 0) {
+    console.error(`Каталог моделей: пропущено правило маршрутизации без известных моделей.`);
+    return null;
+  }
+
+  const when = entry.when && typeof entry.when === "object" ? entry.when : {};
+  const pickList = (value) =>
+    (Array.isArray(value) ? value : value ? [value] : [])
+      .map((item) => String(item).trim().toLowerCase())
+      .filter(Boolean);
+  const pickShare = (value) => {
+    const share = Number(value);
+    return value !== undefined && Number.isFinite(share) ? Math.min(1, Math.max(0, share)) : null;
+  };
+
+  return {
+    when: {
+      type: pickList(when.type).filter((type) => ROUTE_REQUEST_TYPES.includes(type)),
+      mode: pickList(when.mode),
+      language: pickList(when.language),
+      length: pickList(when.length),
+      minBudgetLeft: pickShare(when.minBudgetLeft),
+      maxBudgetLeft: pickShare(when.maxBudgetLeft),
+    },
+    models,
+  };
+}
+
+function normalizeProviderBudgets(value) {
+  const budgets = {};
+  if (!value || typeof value !== "object") {
+    return budgets;
+  }
+  for (const [provider, amount] of Object.entries(value)) {
+    const budget = Number(amount);
+    if (Number.isFinite(budget) && budget > 0) {
+      budgets[provider.trim().toUpperCase()] = budget;
+    }
+  }
+  return budgets;
+}
+
+function normalizeModelCatalogEntry(entry) {
+  const id = String(entry?.id || "").trim();
+  const adapterId = String(entry?.adapter || "openai-compatible").trim();
+  const adapter = PROVIDER_ADAPTERS[adapterId];
+  if (!id || !adapter) {
+    console.error(`Каталог моделей: пропущена запись ${id || "без id"} с адаптером ${adapterId}.`);
+    return null;
   }
 
-  return `Для ${model.providerLabel} нужен API ключ в .env.`;
+  const provider = String(entry.provider || id).trim().toUpperCase();
+  const timeoutSeconds = Number(entry.timeoutSeconds);
+  const maxTokens = Number(entry.maxTokens);
+  const maxTokensByLength = normalizeMaxTokensByLength(entry.maxTokensByLength);
+
+  return {
+    id,
+    label: String(entry.label || id),
+    provider,
+    providerLabel: String(entry.providerLabel || provider),
+    model: String(entry.model || ""),
+    baseUrl: String(entry.baseUrl || adapter.defaultBaseUrl || ""),
+    adapter: adapterId,
+    apiKey: entry.apiKeyEnv ? process.env[entry.apiKeyEnv] : entry.apiKey,
+    timeoutMs:
+      Number.isFinite(timeoutSeconds) && timeoutSeconds > 0
+        ? timeoutSeconds * 1000
+        : PROVIDER_TIMEOUT_MS,
+    ...(Number.isInteger(maxTokens) && maxTokens > 0 ? { maxTokens } : {}),
+    ...(Object.keys(maxTokensByLength).length > 0 ? { maxTokensByLength } : {}),
+    prices: normalizeModelPrices(entry.prices),
+    enabled: entry.enabled !== false,
+    enableImages: entry.enableImages === true,
+  };
+}
+
+function normalizeMaxTokensByLength(value) {
+  const limits = {};
+  for (const [length, raw] of Object.entries(value && typeof value === "object" ? value : {})) {
+    const maxTokens = Number(raw);
+    if (Object.hasOwn(SCENARIO_LENGTHS, length) && Number.isInteger(maxTokens) && maxTokens > 0) {
+      limits[length] = maxTokens;
+    }
+  }
+  return limits;
 }
 
 const __filename = fileURLToPath(import.meta.url);
@@ -194,6 +788,24 @@ const SHARE_LINKS_FILE = path.join(RUNTIME_DATA_DIR, "share-links.json");
 const PUBLIC_SCENARIOS_FILE = resolvePublicScenariosFile();
 const AUTO_PUBLIC_SCENARIOS_FILE = resolveAutoPublicScenariosFile();
 const SCENARIO_ENGAGEMENT_FILE = resolveScenarioEngagementFile();
+const SESSIONS_DIR = resolveSessionsDir();
+const USAGE_LEDGER_FILE = resolveUsageLedgerFile();
+const ENSEMBLE_CANDIDATES_FILE = resolveEnsembleCandidatesFile();
+const MODERATION_LOG_FILE = resolveModerationLogFile();
+const MODERATION_BLOCKLIST_FILE = resolveModerationBlocklistFile();
+const MODEL_CATALOG_FILE = resolveModelCatalogFile();
+const MODEL_CONFIG = loadModelCatalog();
+const MODEL_CATALOG = MODEL_CONFIG.models;
+const MODES_FILE = resolveModesFile();
+const MODE_REGISTRY = loadModeRegistry();
+const PROMPT_VERSIONS_FILE = resolvePromptVersionsFile();
+const PROMPT_VERSIONS = loadPromptVersions();
+const LOCALES_DIR = resolveLocalesDir();
+const LOCALE_REGISTRY = loadLocaleRegistry();
+const SESSION_MAX_STEPS = 40;
+const SESSION_RETENTION_DAYS = 90;
+const SESSION_LIST_LIMIT = 50;
+const SESSION_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
 const AUTO_REVIEW_VERSION = 1;
 const AUTO_MIN_PUBLIC_WORDS = 180;
 const AUTO_MIN_PUBLIC_PARAGRAPHS = 3;
@@ -216,34 +828,124 @@ const server = http.createServer(async (req, res) => {
 
     if (req.method === "GET" && url.pathname === "/api/meta") {
       const defaultModelId = getDefaultModelId();
-      const { model } = pickModelConfig(defaultModelId);
+      const [model] = buildModelAttempts(defaultModelId);
       const uiModels = getUiModels();
       sendJson(res, 200, {
         provider: model?.providerLabel || "",
         model: model?.label || "",
         selectedModelId: model?.id || "",
+        status: summarizeServiceHealth(MODEL_CATALOG),
         models: uiModels.map((entry) => ({
           id: entry.id,
           label: entry.label,
           provider: entry.providerLabel,
           enabled: isModelEnabled(entry),
+          health: describeProviderHealth(entry),
         })),
       });
       return;
     }
+    // расходы по провайдерам и статистика кэша видны только внутренним клиентам, а не любому посетителю
+    if (req.method === "GET" && url.pathname === "/api/meta/internal") {
+      if (!isInternalRequest(req)) {
+        sendJson(res, 403, { error: "Служебная статистика доступна только для внутренних запросов." });
+        return;
+      }
+      sendJson(res, 200, {
+        cache: describeGenerationCache(),
+        budgets: describeProviderBudgets(),
+      });
+      return;
+    }
+
+    if (req.method === "GET" && url.pathname === "/api/locales") {
+      sendJson(res, 200, { defaultLocale: DEFAULT_LOCALE, locales: describeLocales() });
+      return;
+    }
+    if (req.method === "GET" && url.pathname.startsWith("/api/locales/")) {
+      const code = url.pathname.slice("/api/locales/".length).trim().toLowerCase();
+      if (!LOCALE_REGISTRY.locales.has(code)) {
+        sendJson(res, 404, { error: "Локаль не найдена." });
+        return;
+      }
+      sendJson(res, 200, buildClientLocalePayload(code));
+      return;
+    }
+
+    if (req.method === "GET" && url.pathname === "/api/modes") {
+      sendJson(res, 200, {
+        defaultMode: MODE_REGISTRY.defaultModeId,
+        modes: MODE_REGISTRY.modes.map((mode) => serializeModeForClient(mode)),
+      });
+      return;
+    }
 
     if (req.method === "POST" && url.pathname === "/api/alt-history") {
+      if (!enforceRateLimit(req, res, "alt-history")) return;
       await handleAltHistory(req, res);
       return;
     }
+    if (req.method === "POST" && url.pathname === "/api/alt-history/stream") {
+      if (!enforceRateLimit(req, res, "alt-history")) return;
+      await handleAltHistoryStream(req, res);
+      return;
+    }
+    if (req.method === "POST" && url.pathname === "/api/alt-history/compare") {
+      if (!enforceRateLimit(req, res, "alt-history-compare")) return;
+      await handleAltHistoryCompare(req, res);
+      return;
+    }
+    if (req.method === "POST" && url.pathname === "/api/alt-history/ensemble") {
+      if (!isInternalRequest(req)) {
+        sendJson(res, 403, { error: "Ансамблевая генерация доступна только для внутренних запросов." });
+        return;
+      }
+      await handleAltHistoryEnsemble(req, res);
+      return;
+    }
+    if (req.method === "POST" && url.pathname === "/api/moderation") {
+      if (!enforceRateLimit(req, res, "moderation")) return;
+      await handleModeration(req, res);
+      return;
+    }
     if (req.method === "POST" && url.pathname === "/api/share-link") {
+      if (!enforceRateLimit(req, res, "share-link")) return;
       await handleCreateShareLink(req, res);
       return;
     }
     if (req.method === "POST" && url.pathname === "/api/scenario-engagement") {
+      if (!enforceRateLimit(req, res, "scenario-engagement")) return;
       await handleScenarioEngagement(req, res);
       return;
     }
+    if (req.method === "POST" && url.pathname === "/api/sessions") {
+      if (!enforceRateLimit(req, res, "sessions")) return;
+      await handleCreateSession(req, res);
+      return;
+    }
+    if (req.method === "GET" && url.pathname === "/api/sessions") {
+      if (!enforceRateLimit(req, res, "sessions")) return;
+      await handleListSessions(req, res, url);
+      return;
+    }
+    if (url.pathname.startsWith("/api/sessions/")) {
+      const [sessionId, subresource = ""] = url.pathname
+        .slice("/api/sessions/".length)
+        .split("/");
+      if (req.method === "GET" && !subresource) {
+        await handleGetSession(req, res, sessionId);
+        return;
+      }
+      if (req.method === "GET" && subresource === "steps") {
+        await handleGetSessionSteps(req, res, sessionId, url);
+        return;
+      }
+      if (req.method === "POST" && subresource === "steps") {
+        if (!enforceRateLimit(req, res, "alt-history")) return;
+        await handleCreateSessionStep(req, res, sessionId);
+        return;
+      }
+    }
     if (req.method === "GET" && url.pathname.startsWith("/api/share-link/")) {
       const shortId = url.pathname.slice("/api/share-link/".length);
       await handleGetShareLink(req, res, shortId);
@@ -267,26 +969,46 @@ const server = http.createServer(async (req, res) => {
         await handleScenarioOgPng(req, res, url);
         return;
       }
-      if (url.pathname === "/scenarios/") {
-        redirect(res, 301, "/scenarios");
+
+      const localePath = parseLocalePath(url.pathname);
+      const pagePath = localePath.pathname;
+      if (localePath.locale === DEFAULT_LOCALE) {
+        redirect(res, 301, `${pagePath}${url.search}`);
+        return;
+      }
+      const pageLocale = localePath.locale || DEFAULT_LOCALE;
+      // страницы без префикса отдают язык по умолчанию, а выбравших другой язык отправляют на его адрес
+      if (!localePath.locale && isLocalizedPagePath(pagePath)) {
+        const preferredLocale = resolveRequestLocale(req);
+        if (preferredLocale !== DEFAULT_LOCALE) {
+          redirect(res, 302, `${localizePath(pagePath, preferredLocale)}${url.search}`);
+          return;
+        }
+      }
+      if (pagePath === "/scenarios/") {
+        redirect(res, 301, localizePath("/scenarios", pageLocale));
         return;
       }
-      if (url.pathname === "/scenarios") {
-        await serveArchiveHtml(url, res, req.method, getSiteUrl(req));
+      if (pagePath === "/scenarios") {
+        await serveArchiveHtml(url, res, req.method, getSiteUrl(req), pageLocale);
         return;
       }
-      if (url.pathname.startsWith("/scenario/") && url.pathname !== "/scenario/") {
+      if (pagePath.startsWith("/scenario/") && pagePath !== "/scenario/") {
         const normalizedPath = url.pathname.replace(/\/+$/, "");
         if (normalizedPath !== url.pathname) {
           const location = `${normalizedPath}${url.search}`;
           redirect(res, 301, location);
           return;
         }
-        await servePublicScenarioHtml(url, res, req.method, getSiteUrl(req));
+        await servePublicScenarioHtml(url, res, req.method, getSiteUrl(req), pageLocale);
         return;
       }
-      if (url.pathname === "/" || url.pathname === "/index.html") {
-        await serveIndexHtml(url, res, req.method, getSiteUrl(req));
+      if (pagePath === "/" || pagePath === "/index.html") {
+        if (localePath.locale && url.pathname !== localizePath("/", pageLocale)) {
+          redirect(res, 301, `${localizePath("/", pageLocale)}${url.search}`);
+          return;
+        }
+        await serveIndexHtml(url, res, req.method, getSiteUrl(req), pageLocale);
         return;
       }
     }
@@ -303,368 +1025,2864 @@ const server = http.createServer(async (req, res) => {
   }
 });
 
+loadProviderSpendFromLedger();
+
 server.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
 });
 
 async function handleAltHistory(req, res) {
   const body = await readJsonBody(req);
-  const event = typeof body.event === "string" ? body.event.trim() : "";
-  const branch = typeof body.branch === "string" ? body.branch.trim() : "";
-  const language = normalizeLanguage(body.language || body.lang);
-  const context = normalizeContext(body.context);
-  const modeId = typeof body.mode === "string" ? body.mode.trim() : "";
-  const requestedModelId =
-    typeof body.modelId === "string" ? body.modelId.trim() : "";
-  const currentYear = new Date().getFullYear();
+  await respondWithAltHistory(req, res, body);
+}
 
-  if (!event) {
-    sendJson(res, 400, { error: "Введите историческое событие." });
+async function respondWithAltHistory(req, res, body) {
+  const request = await resolveAltHistoryRequest(body, { req, res });
+  if (request.error) {
+    sendJson(res, request.status, buildAltHistoryRequestError(request));
     return;
   }
 
-  const requestedModel = getModelById(requestedModelId);
-  if (!hasAnyEnabledModels()) {
-    sendJson(res, 500, { error: missingModelMessage(requestedModel) });
+  try {
+    const { scenario, usedModel, validation, consistency, languageCheck, cached } =
+      await generateScenarioWithCache(request);
+    const stepId = await recordSessionStep(request, scenario, usedModel, languageCheck);
+    sendJson(
+      res,
+      200,
+      buildAltHistoryResponse(scenario, usedModel, request, {
+        stepId,
+        validation,
+        consistency,
+        languageCheck,
+        cached,
+      })
+    );
+  } catch (error) {
+    console.error(error);
+    sendJson(res, readGenerationErrorStatus(error), buildGenerationErrorPayload(error));
+  }
+}
+
+async function handleAltHistoryStream(req, res) {
+  const body = await readJsonBody(req);
+  const request = await resolveAltHistoryRequest(body, { req, res });
+  if (request.error) {
+    sendJson(res, request.status, buildAltHistoryRequestError(request));
     return;
   }
 
-  const modeConfig = resolveModeConfig(modeId);
-  const systemMessage = buildSystemMessage(modeConfig.id, currentYear, language);
-  const userPrompt = buildUserPrompt({ event, branch, context, currentYear, language });
+  startEventStream(res);
+  // закрытая вкладка не должна дожидаться ответа провайдера за наш счет
+  const disconnect = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) disconnect.abort();
+  });
+  // пока нет фрагментов (пауза после 429, ответ без потока), комментарий не дает прокси закрыть соединение по простою
+  let streamIdle = true;
+  const heartbeat = setInterval(() => {
+    if (streamIdle && !res.writableEnded && !res.destroyed) {
+      res.write(": ping\n\n");
+    }
+    streamIdle = true;
+  }, STREAM_HEARTBEAT_MS);
 
   try {
-    const { scenario, usedModel } = await generateScenario({
-      requestedModelId,
-      systemMessage,
-      userPrompt,
-      currentYear,
-      event,
-      language,
-      temperature: modeConfig.temperature,
-    });
-
-    scenario.images = [];
-
-    sendJson(res, 200, {
-      scenario: {
-        ...scenario,
-        event,
-        mode: modeConfig.id,
-        provider: usedModel?.providerLabel || "",
-        modelLabel: usedModel?.label || "",
-        modelId: usedModel?.id || "",
+    const { scenario, usedModel, validation, consistency, languageCheck, cached } = await generateScenarioWithCache(request, {
+      signal: disconnect.signal,
+      onAttemptStart: (attempt) => {
+        streamIdle = false;
+        sendStreamEvent(res, "attempt", {
+          provider: attempt.providerLabel,
+          modelLabel: attempt.label,
+          modelId: attempt.id,
+        });
+      },
+      onNarrativeDelta: (text) => {
+        streamIdle = false;
+        sendStreamEvent(res, "delta", { text });
+      },
+      onAttemptReset: (attempt, message) => {
+        streamIdle = false;
+        sendStreamEvent(res, "reset", {
+          provider: attempt.providerLabel,
+          error: message,
+        });
       },
     });
+    const stepId = await recordSessionStep(request, scenario, usedModel, languageCheck);
+    sendStreamEvent(
+      res,
+      "scenario",
+      buildAltHistoryResponse(scenario, usedModel, request, {
+        stepId,
+        validation,
+        consistency,
+        languageCheck,
+        cached,
+      })
+    );
   } catch (error) {
-    console.error(error);
-    const message =
-      error && typeof error.message === "string"
-        ? error.message
-        : "Не удалось получить ответ от API модели.";
-    sendJson(res, 500, { error: message });
+    if (!disconnect.signal.aborted) {
+      console.error(error);
+    }
+    sendStreamEvent(res, "error", buildGenerationErrorPayload(error));
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
   }
 }
 
-async function handleCreateShareLink(req, res) {
+async function handleAltHistoryCompare(req, res) {
   const body = await readJsonBody(req);
-  const scenario = String(body?.scenario || "").trim();
-  if (!scenario) {
-    sendJson(res, 400, { error: "Пустой сценарий для короткой ссылки." });
+  const modeIds = resolveCompareModeIds(body.modes);
+  if (modeIds.length < 2) {
+    sendJson(res, 400, {
+      error: localeText(resolveErrorLanguage(req, body.language || body.lang), "errors.compareModes"),
+    });
     return;
   }
 
-  const parsed = decodeScenarioPayload(scenario);
-  if (!parsed) {
-    sendJson(res, 400, { error: "Некорректные данные сценария." });
+  const request = await resolveAltHistoryRequest(
+    {
+      ...body,
+      sessionId: "",
+      parentStepId: "",
+      mode: modeIds[0],
+    },
+    { req, res }
+  );
+  if (request.error) {
+    sendJson(res, request.status, buildAltHistoryRequestError(request));
     return;
   }
 
-  const store = await readShareLinks();
-  const existingId = findExistingShareId(store, scenario);
-  const id = existingId || generateShortShareId(store);
-  const createdAt = existingId
+  const startedAt = Date.now();
+  const results = await mapWithConcurrency(modeIds, COMPARE_CONCURRENCY, (modeId) =>
+    generateComparisonResult(withAltHistoryMode(request, modeId))
+  );
+  const payload = {
+    event: request.event,
+    language: request.language,
+    promptVersion: request.promptVersion.id,
+    ...(request.moderation ? { moderation: request.moderation } : {}),
+    concurrency: COMPARE_CONCURRENCY,
+    durationMs: Date.now() - startedAt,
+    results,
+  };
+
+  const failed = results.filter((result) => result.error);
+  if (failed.length === results.length) {
+    sendJson(res, failed[0].status, { ...payload, error: failed[0].error });
+    return;
+  }
+  sendJson(res, 200, payload);
+}
+
+function resolveCompareModeIds(rawModes) {
+  const known = MODE_REGISTRY.modes.map((mode) => mode.id);
+  if (!Array.isArray(rawModes) || rawModes.length === 0) {
+    return known;
+  }
+  return uniqueStringList(rawModes.map((mode) => String(mode || "").toLowerCase())).filter(
+    (mode) => known.includes(mode)
+  );
+}
+
+function withAltHistoryMode(request, modeId) {
+  const modeConfig = resolveModeConfig(modeId);
+  const { generation } = request;
+  return {
+    ...request,
+    modeConfig,
+    cacheKey: buildGenerationCacheKey({
+      event: request.event,
+      branch: request.branch,
+      context: request.context,
+      refine: request.refine,
+      modeId: modeConfig.id,
+      length: request.length,
+      narrativeFormat: request.narrativeFormat,
+      language: request.language,
+      modelId: generation.requestedModelId,
+      promptVersionId: request.promptVersion.id,
+      currentYear: generation.currentYear,
+    }),
+    generation: {
+      ...generation,
+      systemMessage: buildSystemMessage(
+        modeConfig.id,
+        generation.currentYear,
+        request.language,
+        request.promptVersion,
+        request.length,
+        request.narrativeFormat
+      ),
+      temperature: modeConfig.temperature,
+      route: { ...generation.route, type: "compare", mode: modeConfig.id },
+      usageContext: generation.usageContext && {
+        ...generation.usageContext,
+        mode: modeConfig.id,
+      },
+    },
+  };
+}
+
+async function generateComparisonResult(request) {
+  const mode = request.modeConfig.id;
+  const startedAt = Date.now();
+  try {
+    const { scenario, usedModel, validation, consistency, languageCheck, cached } =
+      await generateScenarioWithCache(request);
+    return {
+      mode,
+      durationMs: Date.now() - startedAt,
+      ...buildAltHistoryResponse(scenario, usedModel, request, {
+        validation,
+        consistency,
+        languageCheck,
+        cached,
+      }),
+    };
+  } catch (error) {
+    console.error(error);
+    return {
+      mode,
+      durationMs: Date.now() - startedAt,
+      status: readGenerationErrorStatus(error),
+      ...buildGenerationErrorPayload(error),
+    };
+  }
+}
+
+async function handleAltHistoryEnsemble(req, res) {
+  const body = await readJsonBody(req);
+  const request = await resolveAltHistoryRequest(body, { req, res });
+  if (request.error) {
+    sendJson(res, request.status, buildAltHistoryRequestError(request));
+    return;
+  }
+
+  const variants = buildEnsembleVariants(request, body);
+  const startedAt = Date.now();
+  const [candidates, library] = await Promise.all([
+    mapWithConcurrency(variants, ENSEMBLE_CONCURRENCY, (variant) =>
+      generateEnsembleCandidate(request, variant)
+    ),
+    loadPublicScenarioLibrary(),
+  ]);
+
+  const ranked = candidates
+    .filter((candidate) => !candidate.error)
+    .map((candidate) => ({
+      ...candidate,
+      review: reviewScenarioForPublication({
+        shareId: "",
+        parsed: {
+          ...candidate.scenario,
+          event: request.event,
+          mode: request.modeConfig.id,
+          length: request.length,
+          language: request.language,
+        },
+        createdAt: new Date().toISOString(),
+        engagement: null,
+        existingScenarios: library.allScenarios,
+      }),
+    }))
+    .sort(compareEnsembleCandidates);
+  const failed = candidates.filter((candidate) => candidate.error);
+
+  if (ranked.length === 0) {
+    sendJson(res, failed[0].status, {
+      error: failed[0].error,
+      ensemble: { candidates: failed.map((candidate) => summarizeEnsembleCandidate(candidate)) },
+    });
+    return;
+  }
+
+  const [winner, ...runnersUp] = ranked;
+  const ensembleId = crypto.randomBytes(6).toString("base64url");
+  appendJsonLine(ENSEMBLE_CANDIDATES_FILE, {
+    at: new Date().toISOString(),
+    id: ensembleId,
+    event: request.event,
+    mode: request.modeConfig.id,
+    language: request.language,
+    length: request.length,
+    narrativeFormat: request.narrativeFormat,
+    promptVersion: request.promptVersion.id,
+    winner: summarizeEnsembleCandidate(winner, 1),
+    runnersUp: runnersUp.map((candidate, index) => ({
+      ...summarizeEnsembleCandidate(candidate, index + 2),
+      scenario: candidate.scenario,
+    })),
+    failed: failed.map((candidate) => summarizeEnsembleCandidate(candidate)),
+  });
+
+  const stepId = await recordSessionStep(
+    request,
+    winner.scenario,
+    winner.usedModel,
+    winner.languageCheck
+  );
+  sendJson(res, 200, {
+    ...buildAltHistoryResponse(winner.scenario, winner.usedModel, request, {
+      stepId,
+      validation: winner.validation,
+      consistency: winner.consistency,
+      languageCheck: winner.languageCheck,
+    }),
+    ensemble: {
+      id: ensembleId,
+      durationMs: Date.now() - startedAt,
+      candidates: [
+        ...ranked.map((candidate, index) => summarizeEnsembleCandidate(candidate, index + 1)),
+        ...failed.map((candidate) => summarizeEnsembleCandidate(candidate)),
+      ],
+    },
+  });
+}
+
+function buildEnsembleVariants(request, body) {
+  const count = clampNumber(
+    Math.floor(Number(body.candidates) || ENSEMBLE_DEFAULT_CANDIDATES),
+    2,
+    Math.max(2, ENSEMBLE_MAX_CANDIDATES)
+  );
+  const modelIds = Array.isArray(body.models)
+    ? uniqueStringList(body.models.map((id) => String(id || "").trim())).filter((id) => {
+        const model = getModelById(id);
+        return model && isModelEnabled(model);
+      })
+    : [];
+  const baseTemperature = request.generation.temperature;
+
+  // без списка моделей кандидаты расходятся только температурой: 0, +шаг, -шаг, +2 шага...
+  return Array.from({ length: count }, (_, index) => {
+    const round = modelIds.length > 0 ? Math.floor(index / modelIds.length) : index;
+    const offset = Math.ceil(round / 2) * (round % 2 === 1 ? 1 : -1) * ENSEMBLE_TEMPERATURE_STEP;
+    return {
+      modelId: modelIds.length > 0 ? modelIds[index % modelIds.length] : "",
+      temperature: Number(clampNumber(baseTemperature + offset, 0, 1.5).toFixed(2)),
+    };
+  });
+}
+
+async function generateEnsembleCandidate(request, { modelId, temperature }) {
+  const { generation } = request;
+  try {
+    const result = await generateScenario({
+      ...generation,
+      requestedModelId: modelId || generation.requestedModelId,
+      temperature,
+    });
+    return { modelId, temperature, ...result };
+  } catch (error) {
+    console.error(error);
+    return {
+      modelId,
+      temperature,
+      status: readGenerationErrorStatus(error),
+      error: readGenerationErrorMessage(error),
+    };
+  }
+}
+
+function compareEnsembleCandidates(a, b) {
+  const rank = (candidate) => [
+    candidate.review.blockers.length === 0 ? 1 : 0,
+    candidate.validation.status === "fallback" ? 0 : 1,
+    candidate.review.quality.isPublicReady ? 1 : 0,
+    candidate.review.score,
+    candidate.review.quality.wordCount,
+  ];
+  const left = rank(a);
+  const right = rank(b);
+  const index = left.findIndex((value, position) => value !== right[position]);
+  return index === -1 ? 0 : right[index] - left[index];
+}
+
+function summarizeEnsembleCandidate(candidate, rank = 0) {
+  if (candidate.error) {
+    return {
+      modelId: candidate.modelId,
+      temperature: candidate.temperature,
+      error: candidate.error,
+    };
+  }
+
+  const { review } = candidate;
+  return {
+    rank,
+    modelId: candidate.usedModel?.id || "",
+    provider: candidate.usedModel?.providerLabel || "",
+    temperature: candidate.temperature,
+    score: review.score,
+    blockers: review.blockers,
+    publicIssues: review.quality.publicIssues,
+    wordCount: review.quality.wordCount,
+    validation: candidate.validation.status,
+    ...(review.duplicate ? { duplicateOfSlug: review.duplicate.slug } : {}),
+  };
+}
+
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const runners = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+}
+
+async function resolveAltHistoryRequest(body, { req, res }) {
+  const sessionId = typeof body.sessionId === "string" ? body.sessionId.trim() : "";
+  const requestedParentStepId =
+    typeof body.parentStepId === "string" ? body.parentStepId.trim() : "";
+  const requestedBranch = typeof body.branch === "string" ? body.branch.trim() : "";
+  const requestedModelId =
+    typeof body.modelId === "string" ? body.modelId.trim() : "";
+  const currentYear = new Date().getFullYear();
+  const refine = body.refine ? normalizeRefineRequest(body.refine) : null;
+  const errorLanguage = resolveErrorLanguage(req, body.language || body.lang);
+
+  let session = null;
+  let refinedStep = null;
+  if (sessionId) {
+    session = await findSessionById(sessionId);
+    if (!session) {
+      return { status: 404, error: localeText(errorLanguage, "errors.sessionNotFound") };
+    }
+    if (!canWriteSession(req, res, session)) {
+      return { status: 403, error: localeText(errorLanguage, "errors.sessionForeignWrite") };
+    }
+    if (requestedParentStepId && !findSessionStep(session, requestedParentStepId)) {
+      return { status: 404, error: localeText(errorLanguage, "errors.sessionStepNotFound") };
+    }
+    if (refine?.stepId) {
+      refinedStep = findSessionStep(session, refine.stepId);
+      if (!refinedStep) {
+        return { status: 404, error: localeText(errorLanguage, "errors.sessionStepNotFound") };
+      }
+    }
+    if (session.steps.length >= SESSION_MAX_STEPS) {
+      return { status: 409, error: localeText(errorLanguage, "errors.sessionTooManySteps") };
+    }
+  }
+
+  // доработка встает рядом с исходным шагом: тот же родитель и та же развилка
+  const parentStepId = refinedStep ? refinedStep.parentId : requestedParentStepId;
+  const rawBranch = refinedStep ? refinedStep.branch : requestedBranch;
+  const rawEvent = session
+    ? session.event
+    : typeof body.event === "string"
+      ? body.event.trim()
+      : "";
+  const language = normalizeLanguage(body.language || body.lang || session?.language);
+  const modeId =
+    typeof body.mode === "string" && body.mode.trim()
+      ? body.mode.trim()
+      : refinedStep?.mode || session?.mode || "";
+
+  if (!rawEvent) {
+    return { status: 400, error: localeText(language, "errors.emptyEvent") };
+  }
+  if (refine && refinedStep) {
+    refine.narrative = refinedStep.narrative.slice(0, 4000);
+  }
+  if (refine && (!refine.narrative || (!refine.preset && !refine.instruction))) {
+    return { status: 400, error: localeText(language, "errors.refineIncomplete") };
+  }
+
+  const requestedModel = getModelById(requestedModelId);
+  if (!hasAnyEnabledModels()) {
+    return { status: 500, error: missingModelMessage(requestedModel, language) };
+  }
+
+  const moderation = await moderateScenarioInput({
+    event: rawEvent,
+    branch: rawBranch,
+    language,
+    source: body.source,
+  });
+  if (moderation.action === "block") {
+    return { status: 422, error: moderation.message, moderation: summarizeModeration(moderation) };
+  }
+  const { event, branch } = moderation;
+
+  // шаги сессии сохранены уже проверенными, последнюю развилку берем после модерации;
+  // присланный клиентом контекст проверяем целиком
+  const contextModeration = session && parentStepId
+    ? {
+        blocked: null,
+        context: buildSessionContext(session, parentStepId, branch),
+        promptNotes: [],
+      }
+    : await moderateScenarioContext(normalizeContext(body.context), {
+        language,
+        source: body.source,
+      });
+  if (contextModeration.blocked) {
+    return {
+      status: 422,
+      error: contextModeration.blocked.message,
+      moderation: summarizeModeration(contextModeration.blocked),
+    };
+  }
+  const context = contextModeration.context;
+
+  if (refine?.instruction) {
+    const instructionModeration = await moderateScenarioInput({
+      event: refine.instruction,
+      branch: "",
+      language,
+      source: body.source,
+    });
+    if (instructionModeration.action === "block") {
+      return {
+        status: 422,
+        error: instructionModeration.message,
+        moderation: summarizeModeration(instructionModeration),
+      };
+    }
+    refine.instruction = instructionModeration.event;
+  }
+  // текст шага сессии сервер писал сам, а присланный клиентом narrative — такой же ввод, как вопрос
+  const narrativeModeration = refine && !refinedStep
+    ? await moderateScenarioInput({
+        event: refine.narrative,
+        branch: "",
+        language,
+        source: body.source,
+      })
+    : null;
+  if (narrativeModeration?.action === "block") {
+    return {
+      status: 422,
+      error: narrativeModeration.message,
+      moderation: summarizeModeration(narrativeModeration),
+    };
+  }
+  if (narrativeModeration) {
+    refine.narrative = narrativeModeration.event;
+  }
+
+  const modeConfig = resolveModeConfig(modeId);
+  const parentStep = session && parentStepId ? findSessionStep(session, parentStepId) : null;
+  const promptVersion = pickPromptVersion(
+    body.promptVersion || refinedStep?.promptVersion || parentStep?.promptVersion || ""
+  );
+  const length = normalizeScenarioLength(body.length || refinedStep?.length || parentStep?.length);
+  const narrativeFormat = normalizeNarrativeFormat(
+    body.narrativeFormat || refinedStep?.narrativeFormat || parentStep?.narrativeFormat
+  );
+  const systemMessage = buildSystemMessage(
+    modeConfig.id,
+    currentYear,
+    language,
+    promptVersion,
+    length,
+    narrativeFormat
+  );
+  const userPrompt = buildUserPrompt({
+    event,
+    branch,
+    context,
+    currentYear,
+    language,
+    promptVersion,
+    extraInstructions: [
+      ...localeLines(language, `prompt.lengths.${length}`),
+      ...uniqueStringList([
+        ...moderation.promptNotes,
+        ...contextModeration.promptNotes,
+        ...(narrativeModeration?.promptNotes || []),
+      ]),
+      ...(refine ? buildRefineInstructions(refine, language) : []),
+    ],
+  });
+
+  return {
+    event,
+    branch,
+    context,
+    language,
+    modeConfig,
+    promptVersion,
+    length,
+    narrativeFormat,
+    moderation: moderation.action === "allow" ? null : summarizeModeration(moderation),
+    refine,
+    session: session ? { id: session.id, parentStepId } : null,
+    regenerate: body.regenerate === true,
+    cacheKey: buildGenerationCacheKey({
+      event,
+      branch,
+      context,
+      refine,
+      modeId: modeConfig.id,
+      length,
+      narrativeFormat,
+      language,
+      modelId: requestedModelId,
+      promptVersionId: promptVersion.id,
+      currentYear,
+    }),
+    generation: {
+      requestedModelId,
+      systemMessage,
+      userPrompt,
+      currentYear,
+      event,
+      language,
+      temperature: modeConfig.temperature,
+      length,
+      route: {
+        type: refine ? "refine" : branch || parentStep ? "branch" : "first",
+        mode: modeConfig.id,
+        language,
+        length,
+      },
+      usageContext: {
+        source: body.source === "bot" ? "bot" : "web",
+        mode: modeConfig.id,
+        language,
+        promptVersion: promptVersion.id,
+      },
+    },
+  };
+}
+
+function normalizeRefineRequest(value) {
+  const raw = value && typeof value === "object" ? value : {};
+  const preset = String(raw.preset || "").trim().toLowerCase();
+  return {
+    preset: REFINE_PRESETS.includes(preset) ? preset : "",
+    instruction: oneLine(raw.instruction || "").slice(0, REFINE_INSTRUCTION_MAX_LENGTH),
+    narrative: typeof raw.narrative === "string" ? raw.narrative.trim().slice(0, 4000) : "",
+    stepId: typeof raw.stepId === "string" ? raw.stepId.trim() : "",
+  };
+}
+
+function buildRefineInstructions({ preset, instruction, narrative }, language) {
+  return [
+    localeText(language, "prompt.refine.intro"),
+    `"""\n${narrative}\n"""`,
+    preset ? localeText(language, `prompt.refinePresets.${preset}`) : "",
+    instruction ? localeText(language, "prompt.refine.wish", { instruction }) : "",
+    localeText(language, "prompt.refine.outro"),
+  ].filter(Boolean);
+}
+
+function summarizeRefine({ preset, instruction, stepId }) {
+  return {
+    ...(preset ? { preset } : {}),
+    ...(instruction ? { instruction } : {}),
+    ...(stepId ? { fromStepId: stepId } : {}),
+  };
+}
+
+function buildAltHistoryRequestError({ error, moderation }) {
+  return moderation ? { error, code: "moderation_blocked", moderation } : { error };
+}
+
+function summarizeModeration({ action, reasons, message }) {
+  return { action, reasons, message };
+}
+
+function buildAltHistoryResponse(
+  scenario,
+  usedModel,
+  { event, modeConfig, promptVersion, length, narrativeFormat, moderation, refine, session },
+  { stepId = "", validation = null, consistency = null, languageCheck = null, cached = false } = {}
+) {
+  return {
+    scenario: {
+      ...scenario,
+      images: [],
+      event,
+      mode: modeConfig.id,
+      promptVersion: promptVersion.id,
+      length,
+      narrativeFormat,
+      ...(moderation ? { moderation } : {}),
+      ...(refine ? { refine: summarizeRefine(refine) } : {}),
+      provider: usedModel?.providerLabel || "",
+      modelLabel: usedModel?.label || "",
+      modelId: usedModel?.id || "",
+      ...(validation ? { validation } : {}),
+      ...(consistency ? { consistency } : {}),
+      ...(languageCheck ? { languageCheck } : {}),
+      ...(cached ? { cached: true } : {}),
+      ...(session && stepId ? { sessionId: session.id, stepId } : {}),
+    },
+  };
+}
+
+function buildGenerationErrorPayload(error) {
+  if (!Array.isArray(error?.attempts)) {
+    return { error: readGenerationErrorMessage(error) };
+  }
+  return {
+    error: readGenerationErrorMessage(error),
+    providers: summarizeGenerationError(error),
+    attempts: error.attempts,
+  };
+}
+
+function readGenerationErrorStatus(error) {
+  const attempts = Array.isArray(error?.attempts) ? error.attempts : [];
+  if (attempts.length === 0) return 500;
+  return attempts.every((item) => item.kind === "timeout" || item.kind === "skipped")
+    ? 504
+    : 502;
+}
+
+function readGenerationErrorMessage(error) {
+  return error && typeof error.message === "string"
+    ? error.message
+    : "Не удалось получить ответ от API модели.";
+}
+
+function enforceRateLimit(req, res, routeId) {
+  const rule = RATE_LIMIT_RULES[routeId];
+  if (!rule || isInternalRequest(req)) {
+    return true;
+  }
+
+  const now = Date.now();
+  const ip = getClientIp(req);
+  const fingerprint = ensureFingerprintCookie(req, res);
+  pruneRateLimitBuckets(now);
+
+  const buckets = [
+    { key: `${routeId}:ip:${ip}`, limit: rule.limit * RATE_LIMIT_IP_MULTIPLIER },
+    ...(fingerprint ? [{ key: `${routeId}:fp:${fingerprint}`, limit: rule.limit }] : []),
+  ].map(({ key, limit }) => ({ limit, bucket: getRateLimitBucket(key, rule.windowMs, now) }));
+
+  const exceeded = buckets.find(({ bucket, limit }) => bucket.count >= limit);
+  if (exceeded) {
+    const retryAfterSeconds = Math.max(1, Math.ceil((exceeded.bucket.resetAt - now) / 1000));
+    const language = resolveErrorLanguage(req);
+    console.warn(`Rate limit ${routeId}: ${ip}${fingerprint ? ` / ${fingerprint}` : ""}`);
+    res.setHeader("Retry-After", String(retryAfterSeconds));
+    sendJson(res, 429, {
+      error: localeText(language, "errors.rateLimited", {
+        delay: formatRetryDelay(retryAfterSeconds, language),
+      }),
+      code: "rate_limited",
+      retryAfterSeconds,
+      limit: exceeded.limit,
+      windowSeconds: Math.round(rule.windowMs / 1000),
+    });
+    return false;
+  }
+
+  for (const { bucket } of buckets) {
+    bucket.count += 1;
+  }
+  const remaining = Math.min(...buckets.map(({ bucket, limit }) => limit - bucket.count));
+  res.setHeader("X-RateLimit-Limit", String(rule.limit));
+  res.setHeader("X-RateLimit-Remaining", String(Math.max(0, remaining)));
+  return true;
+}
+
+function getRateLimitBucket(key, windowMs, now) {
+  let bucket = rateLimitBuckets.get(key);
+  if (!bucket || bucket.resetAt <= now) {
+    bucket = { count: 0, resetAt: now + windowMs };
+    rateLimitBuckets.set(key, bucket);
+  }
+  return bucket;
+}
+
+function pruneRateLimitBuckets(now) {
+  if (rateLimitBuckets.size < 5000) {
+    return;
+  }
+  for (const [key, bucket] of rateLimitBuckets) {
+    if (bucket.resetAt <= now) {
+      rateLimitBuckets.delete(key);
+    }
+  }
+}
+
+function formatRetryDelay(seconds, language) {
+  return seconds < 60
+    ? localeText(language, "errors.retrySeconds", { seconds })
+    : localeText(language, "errors.retryMinutes", { minutes: Math.ceil(seconds / 60) });
+}
+
+function isInternalRequest(req) {
+  const token = String(req.headers["x-internal-token"] || "").trim();
+  if (INTERNAL_API_TOKEN && token) {
+    const expected = Buffer.from(INTERNAL_API_TOKEN);
+    const actual = Buffer.from(token);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  return TRUST_LOOPBACK_ENABLED && isLoopbackAddress(req.socket.remoteAddress) && !readForwardedClientIp(req);
+}
+
+function getClientIp(req) {
+  const remoteAddress = String(req.socket.remoteAddress || "");
+  if (isLoopbackAddress(remoteAddress)) {
+    return readForwardedClientIp(req) || remoteAddress;
+  }
+  return remoteAddress;
+}
+
+// nginx с proxy_add_x_forwarded_for дописывает реальный адрес в конец списка;
+// все, что левее, прислал сам клиент и доверия не заслуживает
+function readForwardedClientIp(req) {
+  const forwarded = String(req.headers["x-forwarded-for"] || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  return forwarded.at(-1) || String(req.headers["x-real-ip"] || "").trim();
+}
+
+function isLoopbackAddress(address) {
+  return ["127.0.0.1", "::1", "::ffff:127.0.0.1"].includes(String(address || ""));
+}
+
+// новый отпечаток выдается один раз на запрос, даже если его спрашивают и лимит, и сессии
+const issuedFingerprints = new WeakMap();
+
+function ensureFingerprintCookie(req, res) {
+  const current = parseCookieHeader(req.headers.cookie)[FINGERPRINT_COOKIE] || "";
+  if (/^[A-Za-z0-9_-]{16,64}$/.test(current)) {
+    return current;
+  }
+  if (issuedFingerprints.has(req)) {
+    return issuedFingerprints.get(req);
+  }
+
+  const fingerprint = crypto.randomBytes(16).toString("base64url");
+  issuedFingerprints.set(req, fingerprint);
+  res.setHeader(
+    "Set-Cookie",
+    `${FINGERPRINT_COOKIE}=${fingerprint}; Path=/; Max-Age=31536000; HttpOnly; SameSite=Lax` +
+      (SITE_URL.startsWith("https://") ? "; Secure" : "")
+  );
+  return fingerprint;
+}
+
+function parseCookieHeader(header) {
+  const cookies = {};
+  for (const part of String(header || "").split(";")) {
+    const separator = part.indexOf("=");
+    if (separator <= 0) continue;
+    cookies[part.slice(0, separator).trim()] = part.slice(separator + 1).trim();
+  }
+  return cookies;
+}
+
+async function moderateScenarioInput({ event, branch, language, source }) {
+  const lang = normalizeLanguage(language);
+  const blocklist = await readModerationBlocklist();
+  const reasons = [];
+  let action = "allow";
+  const escalate = (reason, nextAction) => {
+    reasons.push(reason);
+    if (nextAction === "block" || action === "allow") {
+      action = nextAction;
+    }
+  };
+
+  let cleanEvent = String(event || "").trim();
+  let cleanBranch = String(branch || "").trim();
+  const hasInjection = [cleanEvent, cleanBranch].some((text) =>
+    PROMPT_INJECTION_PATTERNS.some((pattern) => pattern.test(text))
+  );
+  if (hasInjection) {
+    cleanEvent = stripPromptInjection(cleanEvent);
+    cleanBranch = stripPromptInjection(cleanBranch);
+    escalate("prompt-injection", cleanEvent.length < 4 ? "block" : "soften");
+  }
+
+  const text = `${cleanEvent} ${cleanBranch}`.toLowerCase().replaceAll("ё", "е");
+  for (const rule of MODERATION_RULES) {
+    if (rule.patterns.some((pattern) => pattern.test(text))) {
+      escalate(rule.id, rule.action);
+    }
+  }
+  if (blocklist.some((term) => (term instanceof RegExp ? term.test(text) : text.includes(term)))) {
+    escalate("blocklist", "block");
+  }
+
+  const decision = {
+    action,
+    reasons: uniqueStringList(reasons),
+    event: cleanEvent,
+    branch: cleanBranch,
+    message: buildModerationMessage(action, reasons, lang),
+    promptNotes: action === "soften" ? buildModerationPromptNotes(reasons, lang) : [],
+  };
+
+  appendJsonLine(MODERATION_LOG_FILE, {
+    at: new Date().toISOString(),
+    source: source === "bot" ? "bot" : "web",
+    action: decision.action,
+    reasons: decision.reasons,
+    language: lang,
+    event: truncate(oneLine(event), 300),
+    ...(branch ? { branch: truncate(oneLine(branch), 200) } : {}),
+  });
+  if (action !== "allow") {
+    console.warn(`Moderation ${action} (${decision.reasons.join(", ")}): ${truncate(oneLine(event), 120)}`);
+  }
+
+  return decision;
+}
+
+async function moderateScenarioContext(context, { language, source }) {
+  const cleanContext = [];
+  const promptNotes = [];
+  for (const item of context) {
+    const decision = await moderateScenarioInput({
+      event: [item.narrative, ...item.timeline.flatMap((point) => [point.title, point.details])]
+        .filter(Boolean)
+        .join("\n"),
+      branch: item.branch,
+      language,
+      source,
+    });
+    if (decision.action === "block") {
+      return { blocked: decision, context: [], promptNotes: [] };
+    }
+    promptNotes.push(...decision.promptNotes);
+    if (!decision.reasons.includes("prompt-injection")) {
+      cleanContext.push(item);
+      continue;
+    }
+    cleanContext.push({
+      branch: stripPromptInjection(item.branch),
+      narrative: stripPromptInjection(item.narrative),
+      timeline: item.timeline.map((point) => ({
+        year: point.year,
+        title: stripPromptInjection(point.title),
+        details: stripPromptInjection(point.details),
+      })),
+    });
+  }
+
+  return { blocked: null, context: cleanContext, promptNotes: uniqueStringList(promptNotes) };
+}
+
+function stripPromptInjection(text) {
+  return String(text || "")
+    .split(/(?<=[.!?\n])\s*/)
+    .filter((sentence) => !PROMPT_INJECTION_PATTERNS.some((pattern) => pattern.test(sentence)))
+    .join(" ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function buildModerationMessage(action, reasons, language) {
+  if (action === "allow") {
+    return "";
+  }
+
+  const reason = action === "block"
+    ? ["adult", "weapons", "hard-drugs", "spam", "blocklist", "prompt-injection"].find((id) =>
+        reasons.includes(id)
+      )
+    : reasons[0];
+  return (
+    localeText(language, `messages.moderation.${action}.${reason}`) ||
+    localeText(language, `messages.moderation.${action}.default`)
+  );
+}
+
+function buildModerationPromptNotes(reasons, language) {
+  return reasons.map((reason) => localeText(language, `prompt.moderationNotes.${reason}`)).filter(Boolean);
+}
+
+let moderationBlocklistCache = { mtimeMs: -1, terms: [] };
+
+async function readModerationBlocklist() {
+  let stat;
+  try {
+    stat = await fsp.stat(MODERATION_BLOCKLIST_FILE);
+  } catch {
+    return [];
+  }
+  if (stat.mtimeMs === moderationBlocklistCache.mtimeMs) {
+    return moderationBlocklistCache.terms;
+  }
+
+  let terms = [];
+  try {
+    const parsed = JSON.parse(await fsp.readFile(MODERATION_BLOCKLIST_FILE, "utf-8"));
+    terms = (Array.isArray(parsed) ? parsed : parsed?.terms || [])
+      .map((value) => parseModerationBlocklistTerm(value))
+      .filter(Boolean);
+  } catch (error) {
+    console.error(`Не удалось прочитать стоп-лист ${MODERATION_BLOCKLIST_FILE}: ${error.message}`);
+  }
+
+  moderationBlocklistCache = { mtimeMs: stat.mtimeMs, terms };
+  return terms;
+}
+
+// регулярные выражения не приводим к нижнему регистру: \D, \S и \W от этого меняют смысл
+function parseModerationBlocklistTerm(value) {
+  const term = String(value || "").trim();
+  const regex = term.match(/^\/(.+)\/$/);
+  if (!regex) {
+    return term.toLowerCase().replaceAll("ё", "е");
+  }
+
+  try {
+    return new RegExp(regex[1], "i");
+  } catch (error) {
+    console.warn(`Стоп-лист: пропущено некорректное выражение ${term}: ${error.message}`);
+    return "";
+  }
+}
+
+async function handleModeration(req, res) {
+  const body = await readJsonBody(req);
+  const event = typeof body.event === "string" ? body.event.trim() : "";
+  if (!event) {
+    sendJson(res, 400, {
+      error: localeText(resolveErrorLanguage(req, body.language || body.lang), "errors.emptyEvent"),
+    });
+    return;
+  }
+
+  const decision = await moderateScenarioInput({
+    event,
+    branch: typeof body.branch === "string" ? body.branch : "",
+    language: body.language || body.lang,
+    source: body.source,
+  });
+  sendJson(res, 200, {
+    action: decision.action,
+    reasons: decision.reasons,
+    event: decision.event,
+    branch: decision.branch,
+    message: decision.message,
+  });
+}
+
+async function handleCreateShareLink(req, res) {
+  const body = await readJsonBody(req);
+  const scenario = String(body?.scenario || "").trim();
+  if (!scenario) {
+    sendJson(res, 400, { error: "Пустой сценарий для короткой ссылки." });
+    return;
+  }
+
+  const parsed = decodeScenarioPayload(scenario);
+  if (!parsed) {
+    sendJson(res, 400, { error: "Некорректные данные сценария." });
+    return;
+  }
+
+  const store = await readShareLinks();
+  const existingId = findExistingShareId(store, scenario);
+  const id = existingId || generateShortShareId(store);
+  const createdAt = existingId
     ? String(store[id]?.createdAt || "").trim() || new Date().toISOString()
     : new Date().toISOString();
 
-  if (!existingId) {
-    store[id] = {
-      scenario,
-      createdAt,
-    };
-    await writeShareLinks(store);
+  if (!existingId) {
+    const promptVersion = normalizePromptVersionId(parsed.promptVersion);
+    store[id] = {
+      scenario,
+      createdAt,
+      ...(promptVersion ? { promptVersion } : {}),
+    };
+    await writeShareLinks(store);
+  }
+
+  try {
+    await syncAutomaticScenarioManifestEntry({
+      shareId: id,
+      scenario,
+      createdAt,
+    });
+  } catch (error) {
+    console.error("Automatic publication sync failed:", error);
+  }
+
+  sendJson(res, 200, {
+    id,
+    url: `${getSiteUrl(req)}/?s=${encodeURIComponent(id)}`,
+  });
+}
+
+async function handleScenarioEngagement(req, res) {
+  const body = await readJsonBody(req);
+  const shareId = normalizeShortId(body?.shareId);
+  const event = normalizeScenarioEngagementEvent(body?.event);
+  const slug = oneLine(body?.slug || "");
+
+  if (!shareId || !event) {
+    sendJson(res, 400, { error: "Некорректные данные поведенческого сигнала." });
+    return;
+  }
+
+  const library = await loadPublicScenarioLibrary();
+  const scenario = library.byShareId.get(shareId);
+  if (!scenario) {
+    sendJson(res, 404, { error: "Сценарий для сигнала не найден." });
+    return;
+  }
+
+  if (slug && slug !== scenario.slug) {
+    sendJson(res, 400, { error: "Slug не совпадает с сохраненным сценарием." });
+    return;
+  }
+
+  const metricsStore = await readScenarioEngagementStore();
+  metricsStore[shareId] = updateScenarioEngagementMetrics(metricsStore[shareId], event);
+  await writeScenarioEngagementStore(metricsStore);
+
+  try {
+    await syncAutomaticScenarioManifestEntry({
+      shareId,
+      scenario: scenario.encodedScenario,
+      createdAt: scenario.createdAt,
+    });
+  } catch (error) {
+    console.error("Automatic review refresh failed:", error);
+  }
+
+  sendJson(res, 200, {
+    ok: true,
+    metrics: summarizeScenarioEngagementMetrics(metricsStore[shareId]),
+  });
+}
+
+async function handleGetShareLink(req, res, rawId) {
+  const id = normalizeShortId(rawId);
+  if (!id) {
+    sendJson(res, 400, { error: "Некорректный id короткой ссылки." });
+    return;
+  }
+  const store = await readShareLinks();
+  const entry = store[id];
+  if (!entry?.scenario) {
+    sendJson(res, 404, { error: "Короткая ссылка не найдена." });
+    return;
+  }
+  sendJson(res, 200, { id, scenario: entry.scenario });
+}
+
+async function handleCreateSession(req, res) {
+  const body = await readJsonBody(req);
+  const forkSessionId = normalizeShortId(body?.forkFrom?.sessionId);
+  const forkStepId = normalizeShortId(body?.forkFrom?.stepId);
+  const owner = resolveSessionOwner(req, res, body?.owner);
+  const source = forkSessionId ? await findSessionById(forkSessionId) : null;
+  const errorLanguage = resolveErrorLanguage(req, body?.language || body?.lang);
+
+  const result = await mutateSessionStore(async () => {
+    const now = new Date().toISOString();
+    const session = {
+      id: await generateSessionId(),
+      event: oneLine(body?.event || "").slice(0, 500),
+      mode: resolveModeConfig(body?.mode).id,
+      language: normalizeLanguage(body?.language || body?.lang),
+      owner,
+      createdAt: now,
+      updatedAt: now,
+      steps: [],
+    };
+
+    if (forkSessionId) {
+      if (!source) {
+        return { status: 404, error: localeText(errorLanguage, "errors.forkSessionNotFound") };
+      }
+      // чужую сессию видно только по цепочке из ссылки, поэтому и fork — только от шага
+      if (!forkStepId && !canWriteSession(req, res, source)) {
+        return { status: 403, error: localeText(errorLanguage, "errors.forkStepRequired") };
+      }
+      const chain = forkStepId ? getSessionStepChain(source, forkStepId) : source.steps;
+      if (forkStepId && chain.length === 0) {
+        return { status: 404, error: localeText(errorLanguage, "errors.forkStepNotFound") };
+      }
+      session.event = source.event;
+      session.mode = body?.mode ? session.mode : source.mode;
+      session.language = (body?.language || body?.lang) ? session.language : source.language;
+      session.steps = chain.map((step) => ({ ...step }));
+      session.forkedFrom = { sessionId: source.id, stepId: forkStepId || "" };
+    }
+
+    if (!session.event) {
+      return { status: 400, error: localeText(errorLanguage, "errors.emptyEvent") };
+    }
+
+    return { session };
+  });
+
+  if (result.error) {
+    sendJson(res, result.status, { error: result.error });
+    return;
+  }
+
+  sendJson(res, 200, { session: serializeSession(result.session) });
+}
+
+async function handleListSessions(req, res, url) {
+  const owner = resolveSessionOwner(req, res, url.searchParams.get("owner"));
+  if (!owner) {
+    sendJson(res, 400, {
+      error: localeText(resolveErrorLanguage(req, url.searchParams.get("lang")), "errors.sessionOwnerRequired"),
+    });
+    return;
+  }
+
+  const sessions = (await readSessionOwnerIndex(owner)).filter(
+    (summary) => getAgeInDays(summary.updatedAt) <= SESSION_RETENTION_DAYS
+  );
+
+  sendJson(res, 200, { sessions });
+}
+
+async function handleGetSession(req, res, rawId) {
+  const session = await findSessionById(rawId);
+  const errorLanguage = resolveErrorLanguage(req);
+  if (!session) {
+    sendJson(res, 404, { error: localeText(errorLanguage, "errors.sessionNotFound") });
+    return;
+  }
+  if (!canWriteSession(req, res, session)) {
+    sendJson(res, 403, { error: localeText(errorLanguage, "errors.sessionForeign") });
+    return;
+  }
+  sendJson(res, 200, { session: serializeSession(session) });
+}
+
+// цепочка до шага уходит в ссылку на сценарий, поэтому ее может прочитать любой, у кого есть ссылка;
+// вся сессия со всеми ветками — только владельцу
+async function handleGetSessionSteps(req, res, rawId, url) {
+  const session = await findSessionById(rawId);
+  const errorLanguage = resolveErrorLanguage(req, url.searchParams.get("lang"));
+  if (!session) {
+    sendJson(res, 404, { error: localeText(errorLanguage, "errors.sessionNotFound") });
+    return;
+  }
+
+  const owned = canWriteSession(req, res, session);
+  const stepId = String(url.searchParams.get("stepId") || "").trim();
+  if (!stepId && !owned) {
+    sendJson(res, 403, { error: localeText(errorLanguage, "errors.sessionForeign") });
+    return;
+  }
+  const steps = stepId ? getSessionStepChain(session, stepId) : session.steps;
+  if (stepId && steps.length === 0) {
+    sendJson(res, 404, { error: localeText(errorLanguage, "errors.sessionStepNotFound") });
+    return;
+  }
+
+  sendJson(res, 200, { session: { ...summarizeSession(session), owned }, steps });
+}
+
+async function handleCreateSessionStep(req, res, rawId) {
+  const sessionId = normalizeShortId(rawId);
+  if (!sessionId) {
+    sendJson(res, 400, { error: localeText(resolveErrorLanguage(req), "errors.sessionInvalidId") });
+    return;
+  }
+  const body = await readJsonBody(req);
+  await respondWithAltHistory(req, res, { ...body, sessionId });
+}
+
+// владелец сайта — cookie-отпечаток, присланному owner верим только от внутренних клиентов (бот: tg:<userId>)
+function resolveSessionOwner(req, res, requestedOwner = "") {
+  if (isInternalRequest(req)) {
+    return normalizeSessionOwner(requestedOwner);
+  }
+  return `web:${ensureFingerprintCookie(req, res)}`;
+}
+
+function canWriteSession(req, res, session) {
+  return isInternalRequest(req) || session.owner === resolveSessionOwner(req, res);
+}
+
+async function recordSessionStep(request, scenario, usedModel, languageCheck = null) {
+  if (!request.session) {
+    return "";
+  }
+
+  const result = await mutateSessionStore(async () => {
+    const session = await findSessionById(request.session.id);
+    if (!session) {
+      return { status: 404, error: localeText(request.language, "errors.sessionNotFound") };
+    }
+
+    const now = new Date().toISOString();
+    const step = {
+      id: generateSessionStepId(session),
+      parentId: request.session.parentStepId || "",
+      branch: request.branch,
+      mode: request.modeConfig.id,
+      language: request.language,
+      promptVersion: request.promptVersion.id,
+      length: request.length,
+      narrativeFormat: request.narrativeFormat,
+      modelId: usedModel?.id || "",
+      provider: usedModel?.providerLabel || "",
+      createdAt: now,
+      narrative: scenario.narrative,
+      timeline: scenario.timeline,
+      branches: scenario.branches,
+      shareCard: scenario.shareCard,
+      ...(scenario.realHistory ? { realHistory: scenario.realHistory } : {}),
+      ...(request.refine ? { refine: summarizeRefine(request.refine) } : {}),
+      ...(languageCheck ? { languageConfidence: languageCheck.confidence } : {}),
+    };
+    session.steps.push(step);
+    session.updatedAt = now;
+    return { session, step };
+  });
+
+  if (result.error) {
+    console.error("Session step was not saved:", result.error);
+    return "";
+  }
+  return result.step.id;
+}
+
+async function findSessionById(rawId) {
+  const id = normalizeShortId(rawId);
+  if (!id) return null;
+  return readJsonObjectFile(getSessionFilePath(id));
+}
+
+function findSessionStep(session, stepId) {
+  return session?.steps.find((step) => step.id === stepId) || null;
+}
+
+function getSessionStepChain(session, stepId) {
+  const byId = new Map(session.steps.map((step) => [step.id, step]));
+  const chain = [];
+  const seen = new Set();
+  let current = byId.get(stepId);
+
+  while (current && !seen.has(current.id)) {
+    seen.add(current.id);
+    chain.unshift(current);
+    current = byId.get(current.parentId);
+  }
+
+  return chain;
+}
+
+function buildSessionContext(session, parentStepId, branch) {
+  const chain = getSessionStepChain(session, parentStepId);
+  return normalizeContext(
+    chain.map((step, index) => ({
+      branch: chain[index + 1]?.branch || branch,
+      narrative: step.narrative,
+      timeline: step.timeline,
+    }))
+  );
+}
+
+function summarizeSession(session) {
+  const lastStep = session.steps[session.steps.length - 1];
+  return {
+    id: session.id,
+    event: session.event,
+    mode: session.mode,
+    language: session.language,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    stepCount: session.steps.length,
+    lastStepId: lastStep?.id || "",
+    ...(session.forkedFrom ? { forkedFrom: session.forkedFrom } : {}),
+  };
+}
+
+function serializeSession(session) {
+  return {
+    ...summarizeSession(session),
+    steps: session.steps,
+  };
+}
+
+function normalizeSessionOwner(value) {
+  const owner = String(value || "").trim();
+  if (!/^[A-Za-z0-9:_-]{6,80}$/.test(owner)) return "";
+  return owner;
+}
+
+async function generateSessionId() {
+  let id = "";
+  do {
+    id = crypto.randomBytes(5).toString("base64url");
+  } while (await fileExists(getSessionFilePath(id)));
+  return id;
+}
+
+function generateSessionStepId(session) {
+  let id = "";
+  do {
+    id = crypto.randomBytes(4).toString("base64url");
+  } while (findSessionStep(session, id));
+  return id;
+}
+
+async function generateScenario({
+  requestedModelId,
+  systemMessage,
+  userPrompt,
+  currentYear,
+  event,
+  language,
+  temperature,
+  length = DEFAULT_SCENARIO_LENGTH,
+  route = null,
+  usageContext = null,
+  onAttemptStart,
+  onNarrativeDelta,
+  onAttemptReset,
+  signal = null,
+}) {
+  const attempts = buildModelAttempts(requestedModelId, route).map((attempt) =>
+    applyLengthMaxTokens(attempt, length)
+  );
+  if (attempts.length === 0) {
+    throw new Error(
+      hasAnyEnabledModels()
+        ? "Дневной бюджет на генерации исчерпан. Попробуйте завтра."
+        : "Не найден доступный провайдер. Проверьте ключи в .env."
+    );
+  }
+
+  const streamed = typeof onNarrativeDelta === "function";
+  const messages = [systemMessage, { role: "user", content: userPrompt }];
+  const deadline = Date.now() + GENERATION_DEADLINE_MS;
+  const context = { messages, temperature, deadline, usageContext, currentYear, event, language, signal };
+  const errors = [];
+  let fallback = null;
+
+  for (const attempt of attempts) {
+    if (Date.now() >= deadline) {
+      errors.push(
+        buildAttemptError(
+          attempt,
+          createProviderError("skipped", "Общий лимит времени генерации исчерпан.")
+        )
+      );
+      continue;
+    }
+
+    let emittedNarrative = "";
+    try {
+      onAttemptStart?.(attempt);
+
+      const modelText = await requestModelText(attempt, {
+        messages,
+        temperature,
+        deadline,
+        signal,
+        usageContext: usageContext && { ...usageContext, stage: "generate" },
+        onText: streamed
+          ? (text) => {
+              const narrative = extractStreamingNarrative(text);
+              if (
+                narrative.length > emittedNarrative.length &&
+                narrative.startsWith(emittedNarrative)
+              ) {
+                onNarrativeDelta(narrative.slice(emittedNarrative.length));
+                emittedNarrative = narrative;
+              }
+            }
+          : null,
+      });
+
+      const validationIssues = validateScenarioPayload(parseJsonFromModelText(modelText));
+      if (validationIssues.length === 0) {
+        return finalizeScenarioAttempt(attempt, modelText, { status: "valid", errors: [] }, context);
+      }
+
+      const validationErrors = formatSchemaIssues(validationIssues, language);
+      fallback ??= { modelText, attempt, errors: validationErrors };
+
+      const repairedText = await requestModelText(attempt, {
+        messages: [
+          ...messages,
+          { role: "assistant", content: modelText.slice(0, 8000) },
+          { role: "user", content: buildRepairPrompt(validationErrors, language) },
+        ],
+        temperature,
+        deadline,
+        signal,
+        usageContext: usageContext && { ...usageContext, stage: "repair" },
+      });
+      const repairIssues = validateScenarioPayload(parseJsonFromModelText(repairedText));
+      // без narrative карточку не собрать, а остальное достроит нормализация:
+      // другой провайдер вряд ли исправит то, что не исправила эта модель
+      if (repairIssues.length > 0 && !repairIssues.some(isCriticalSchemaIssue)) {
+        return finalizeScenarioAttempt(
+          attempt,
+          repairIssues.length <= validationIssues.length ? repairedText : modelText,
+          { status: "fallback", errors: validationErrors },
+          context
+        );
+      }
+      if (repairIssues.length > 0) {
+        throw createProviderError(
+          "invalid",
+          `Ответ не прошел проверку схемы: ${formatSchemaIssues(repairIssues.slice(0, 3), DEFAULT_LOCALE).join("; ")}`
+        );
+      }
+
+      return finalizeScenarioAttempt(
+        attempt,
+        repairedText,
+        { status: "repaired", errors: validationErrors },
+        context
+      );
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+      const attemptError = buildAttemptError(attempt, error);
+      errors.push(attemptError);
+      if (emittedNarrative) {
+        onAttemptReset?.(attempt, attemptError.message);
+      }
+      continue;
+    }
+  }
+
+  if (fallback) {
+    return {
+      scenario: parseScenarioResponse(fallback.modelText, currentYear, event, language),
+      modelText: fallback.modelText,
+      usedModel: fallback.attempt,
+      validation: { status: "fallback", errors: fallback.errors },
+      consistency: checkModelTextConsistency(fallback.modelText, event, currentYear),
+      languageCheck: checkModelTextLanguage(fallback.modelText, language),
+    };
+  }
+
+  throw createGenerationError(errors);
+}
+
+// лимит из каталога — потолок модели: у думающих моделей в него входят и токены рассуждений,
+// поэтому длина только делит его, а точное значение для длины задается в maxTokensByLength
+function applyLengthMaxTokens(attempt, length) {
+  const lengthId = normalizeScenarioLength(length);
+  const configured = attempt.maxTokensByLength?.[lengthId];
+  if (configured) {
+    return { ...attempt, maxTokens: configured };
+  }
+
+  const { maxTokensScale } = SCENARIO_LENGTHS[lengthId];
+  if (maxTokensScale && attempt.maxTokens) {
+    return { ...attempt, maxTokens: Math.round(attempt.maxTokens * maxTokensScale) };
+  }
+  return attempt;
+}
+
+async function finalizeScenarioAttempt(attempt, modelText, validation, context) {
+  const { currentYear, event, language } = context;
+  let finalText = modelText;
+  let consistency = checkModelTextConsistency(modelText, event, currentYear);
+
+  if (consistency.status === "error" && CONSISTENCY_RETRY_ENABLED) {
+    const corrected = await requestConsistencyCorrection(attempt, modelText, consistency, context);
+    if (corrected) {
+      finalText = corrected.modelText;
+      consistency = { ...corrected.consistency, retried: true, corrected: true };
+    } else {
+      consistency = { ...consistency, retried: true, corrected: false };
+    }
+  }
+
+  let languageCheck = checkModelTextLanguage(finalText, language);
+  if (languageCheck.status === "mismatch" && LANGUAGE_RETRY_ENABLED) {
+    const corrected = await requestLanguageCorrection(
+      attempt,
+      finalText,
+      { languageCheck, consistency },
+      context
+    );
+    if (corrected) {
+      finalText = corrected.modelText;
+      consistency = { ...consistency, ...corrected.consistency };
+      languageCheck = { ...corrected.languageCheck, retried: true, corrected: true };
+    } else {
+      languageCheck = { ...languageCheck, retried: true, corrected: false };
+    }
+  }
+
+  return {
+    scenario: parseScenarioResponse(finalText, currentYear, event, language),
+    modelText: finalText,
+    usedModel: attempt,
+    validation,
+    consistency,
+    languageCheck,
+  };
+}
+
+async function requestConsistencyCorrection(
+  attempt,
+  modelText,
+  consistency,
+  { messages, temperature, deadline, usageContext, currentYear, event, language, signal }
+) {
+  try {
+    const correctedText = await requestModelText(attempt, {
+      messages: [
+        ...messages,
+        { role: "assistant", content: modelText.slice(0, 8000) },
+        {
+          role: "user",
+          content: buildConsistencyRepairPrompt(consistency, currentYear, language),
+        },
+      ],
+      temperature,
+      deadline,
+      signal,
+      usageContext: usageContext && { ...usageContext, stage: "consistency" },
+    });
+    if (validateScenarioPayload(parseJsonFromModelText(correctedText)).length > 0) {
+      return null;
+    }
+
+    const corrected = checkModelTextConsistency(correctedText, event, currentYear);
+    if (countConsistencyErrors(corrected) >= countConsistencyErrors(consistency)) {
+      return null;
+    }
+    return { modelText: correctedText, consistency: corrected };
+  } catch (error) {
+    console.warn(
+      `Consistency correction failed for ${attempt.id}: ${readGenerationErrorMessage(error)}`
+    );
+    return null;
+  }
+}
+
+async function requestLanguageCorrection(
+  attempt,
+  modelText,
+  { languageCheck, consistency },
+  { messages, temperature, deadline, usageContext, currentYear, event, language, signal }
+) {
+  try {
+    const correctedText = await requestModelText(attempt, {
+      messages: [
+        ...messages,
+        { role: "assistant", content: modelText.slice(0, 8000) },
+        { role: "user", content: buildLanguageRepairPrompt(languageCheck, language) },
+      ],
+      temperature,
+      deadline,
+      signal,
+      usageContext: usageContext && { ...usageContext, stage: "language" },
+    });
+    if (validateScenarioPayload(parseJsonFromModelText(correctedText)).length > 0) {
+      return null;
+    }
+
+    const corrected = checkModelTextLanguage(correctedText, language);
+    if (corrected.mismatches.length >= languageCheck.mismatches.length) {
+      return null;
+    }
+    // переписывание на другой язык не должно ломать уже проверенную хронологию
+    const correctedConsistency = checkModelTextConsistency(correctedText, event, currentYear);
+    if (countConsistencyErrors(correctedConsistency) > countConsistencyErrors(consistency)) {
+      return null;
+    }
+    return { modelText: correctedText, languageCheck: corrected, consistency: correctedConsistency };
+  } catch (error) {
+    console.warn(`Language correction failed for ${attempt.id}: ${readGenerationErrorMessage(error)}`);
+    return null;
+  }
+}
+
+async function generateScenarioWithCache(request, callbacks = {}) {
+  const { generation, cacheKey, regenerate } = request;
+
+  if (GENERATION_CACHE_ENABLED && regenerate) {
+    generationCacheStats.bypassed += 1;
+  } else if (GENERATION_CACHE_ENABLED) {
+    const entry = readGenerationCache(cacheKey);
+    if (entry) {
+      return {
+        scenario: parseScenarioResponse(
+          entry.modelText,
+          generation.currentYear,
+          generation.event,
+          generation.language
+        ),
+        usedModel: entry.usedModel,
+        validation: entry.validation,
+        consistency: entry.consistency,
+        languageCheck: entry.languageCheck,
+        cached: true,
+      };
+    }
+  }
+
+  const result = await generateScenario({ ...generation, ...callbacks });
+  if (GENERATION_CACHE_ENABLED && result.validation.status !== "fallback") {
+    writeGenerationCache(cacheKey, result);
+  }
+  return { ...result, cached: false };
+}
+
+function buildGenerationCacheKey({
+  event,
+  branch,
+  context,
+  refine = null,
+  modeId,
+  length = DEFAULT_SCENARIO_LENGTH,
+  narrativeFormat = DEFAULT_NARRATIVE_FORMAT,
+  language,
+  modelId,
+  promptVersionId,
+  currentYear,
+}) {
+  const normalizeText = (value) =>
+    String(value || "")
+      .toLowerCase()
+      .replaceAll("ё", "е")
+      .replace(/[\s"«»“”]+/g, " ")
+      .replace(/[\s?!.…]+$/, "")
+      .trim();
+  const contextHash = crypto
+    .createHash("sha256")
+    .update(JSON.stringify(refine ? [context || [], summarizeRefine(refine), refine.narrative] : context || []))
+    .digest("hex")
+    .slice(0, 16);
+
+  return crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify([
+        normalizeText(event),
+        normalizeText(branch),
+        contextHash,
+        modeId,
+        length,
+        narrativeFormat,
+        language,
+        modelId || "",
+        promptVersionId || "",
+        currentYear,
+      ])
+    )
+    .digest("hex");
+}
+
+function readGenerationCache(key) {
+  const entry = generationCache.get(key);
+  if (!entry || Date.now() - entry.storedAt > GENERATION_CACHE_TTL_MS) {
+    if (entry) {
+      generationCache.delete(key);
+    }
+    generationCacheStats.misses += 1;
+    return null;
+  }
+
+  generationCache.delete(key);
+  generationCache.set(key, entry);
+  generationCacheStats.hits += 1;
+  return entry;
+}
+
+function writeGenerationCache(key, { modelText, usedModel, validation, consistency, languageCheck }) {
+  generationCache.delete(key);
+  generationCache.set(key, {
+    modelText,
+    usedModel: {
+      id: usedModel.id,
+      label: usedModel.label,
+      provider: usedModel.provider,
+      providerLabel: usedModel.providerLabel,
+    },
+    validation,
+    consistency,
+    languageCheck,
+    storedAt: Date.now(),
+  });
+  generationCacheStats.stores += 1;
+
+  while (generationCache.size > GENERATION_CACHE_MAX_ENTRIES) {
+    generationCache.delete(generationCache.keys().next().value);
+    generationCacheStats.evictions += 1;
+  }
+}
+
+function describeGenerationCache() {
+  const lookups = generationCacheStats.hits + generationCacheStats.misses;
+  return {
+    enabled: GENERATION_CACHE_ENABLED,
+    size: generationCache.size,
+    maxEntries: GENERATION_CACHE_MAX_ENTRIES,
+    ttlSeconds: Math.round(GENERATION_CACHE_TTL_MS / 1000),
+    ...generationCacheStats,
+    hitRate: lookups > 0 ? Number((generationCacheStats.hits / lookups).toFixed(3)) : 0,
+  };
+}
+
+function createGenerationError(attemptErrors) {
+  const error = new Error(
+    `Все провайдеры недоступны.\n${attemptErrors
+      .map((item) => `${item.provider}: ${item.message}`)
+      .join("\n")}`
+  );
+  error.attempts = attemptErrors;
+  return error;
+}
+
+function buildAttemptError(attempt, error) {
+  return {
+    provider: attempt.providerLabel,
+    modelId: attempt.id,
+    kind: typeof error?.kind === "string" ? error.kind : "failed",
+    status: Number.isInteger(error?.status) ? error.status : null,
+    message:
+      error && typeof error.message === "string"
+        ? error.message
+        : "Неизвестная ошибка.",
+  };
+}
+
+function createProviderError(kind, message, details = {}) {
+  const error = new Error(message);
+  error.kind = kind;
+  Object.assign(error, details);
+  return error;
+}
+
+function createProviderResponseError(response, data) {
+  const status = response.status;
+  return createProviderError(status === 429 ? "rate-limited" : "rejected", readApiErrorMessage(data), {
+    status,
+    retryable: status === 429 || status === 503,
+    retryAfterMs: parseRetryAfterHeader(response.headers.get("retry-after")),
+  });
+}
+
+function parseRetryAfterHeader(value) {
+  const raw = String(value || "").trim();
+  if (!raw) return null;
+
+  const seconds = Number(raw);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(raw);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function readRateLimitDelay(error, retry, deadline) {
+  if (!error?.retryable || retry >= RATE_LIMIT_RETRIES) {
+    return null;
+  }
+
+  const delayMs = error.retryAfterMs ?? RATE_LIMIT_BACKOFF_MS * 2 ** retry;
+  if (delayMs > RATE_LIMIT_MAX_DELAY_MS || Date.now() + delayMs >= deadline) {
+    return null;
+  }
+  return delayMs;
+}
+
+function summarizeGenerationError(error) {
+  const attempts = Array.isArray(error?.attempts) ? error.attempts : [];
+  const providersBy = (...kinds) =>
+    attempts.filter((item) => kinds.includes(item.kind)).map((item) => item.provider);
+
+  return {
+    timedOut: providersBy("timeout", "skipped"),
+    rejected: providersBy("rejected", "rate-limited"),
+    failed: providersBy("network", "invalid", "failed"),
+  };
+}
+
+async function requestModelText(
+  attempt,
+  {
+    messages,
+    temperature,
+    onText = null,
+    deadline = Date.now() + GENERATION_DEADLINE_MS,
+    usageContext = null,
+    signal = null,
+  }
+) {
+  const request = getProviderAdapter(attempt).buildRequest(attempt, {
+    messages,
+    temperature: Number.isFinite(temperature) ? temperature : 0.6,
+    stream: Boolean(onText),
+  });
+
+  const startedAt = beginProviderAttempt(attempt);
+  let modelText = "";
+  let streamedText = "";
+  let usage = null;
+  // при обрыве потока токены уже потрачены: учитываем в расходах то, что успело прийти
+  const trackText = onText && ((text) => {
+    streamedText = text;
+    onText(text);
+  });
+  try {
+    for (let retry = 0; ; retry += 1) {
+      try {
+        ({ text: modelText, usage } = await fetchModelTextWithTimeout(
+          attempt,
+          request,
+          trackText,
+          deadline,
+          signal
+        ));
+        break;
+      } catch (error) {
+        const delayMs = readRateLimitDelay(error, retry, deadline);
+        if (delayMs === null) {
+          throw error;
+        }
+        await new Promise((resolve) => setTimeout(resolve, delayMs));
+      }
+    }
+
+    if (!modelText) {
+      throw createProviderError("invalid", "Модель вернула пустой ответ.");
+    }
+    if (isInvalidAssistantResponse(modelText)) {
+      throw createProviderError("invalid", "Провайдер вернул служебную заглушку вместо ответа.");
+    }
+    recordProviderSuccess(attempt, startedAt);
+    recordUsage(attempt, usageContext, { startedAt, messages, modelText, usage });
+    return modelText;
+  } catch (error) {
+    // обрыв со стороны клиента — не сбой провайдера, circuit breaker его не считает
+    if (error?.kind === "aborted") {
+      getProviderHealth(attempt).probeInFlight = false;
+    } else {
+      recordProviderFailure(attempt, startedAt, error);
+    }
+    recordUsage(attempt, usageContext, {
+      startedAt,
+      messages,
+      modelText: modelText || streamedText,
+      usage,
+      error,
+    });
+    throw error;
+  }
+}
+
+function recordUsage(attempt, usageContext, { startedAt, messages, modelText, usage, error = null }) {
+  if (!usageContext) {
+    return;
   }
 
-  try {
-    await syncAutomaticScenarioManifestEntry({
-      shareId: id,
-      scenario,
-      createdAt,
+  const estimated = !usage && Boolean(modelText);
+  const promptTokens = usage?.promptTokens ?? (estimated ? estimateTokens(messages) : 0);
+  const completionTokens = usage?.completionTokens ?? (estimated ? estimateTokens(modelText) : 0);
+  const prices = attempt.prices || {};
+  const costUsd =
+    (promptTokens / 1000) * (prices.promptPer1k || 0) +
+    (completionTokens / 1000) * (prices.completionPer1k || 0);
+  addProviderSpend(attempt.provider, costUsd);
+
+  appendUsageLedger({
+    at: new Date().toISOString(),
+    source: usageContext.source,
+    mode: usageContext.mode,
+    language: usageContext.language,
+    stage: usageContext.stage,
+    promptVersion: usageContext.promptVersion,
+    provider: attempt.providerLabel,
+    modelId: attempt.id,
+    model: attempt.model,
+    promptTokens,
+    completionTokens,
+    ...(estimated ? { estimated: true } : {}),
+    costUsd: Number(costUsd.toFixed(6)),
+    latencyMs: Date.now() - startedAt,
+    success: !error,
+    ...(error ? { errorKind: typeof error.kind === "string" ? error.kind : "failed" } : {}),
+  });
+}
+
+function estimateTokens(value) {
+  const text = Array.isArray(value)
+    ? value.map((message) => String(message?.content || "")).join("\n")
+    : String(value || "");
+  return Math.ceil(text.length / 4);
+}
+
+function appendUsageLedger(entry) {
+  appendJsonLine(USAGE_LEDGER_FILE, entry);
+}
+
+let jsonLineQueue = Promise.resolve();
+
+function appendJsonLine(filePath, entry) {
+  jsonLineQueue = jsonLineQueue
+    .then(async () => {
+      await fsp.mkdir(path.dirname(filePath), { recursive: true });
+      await fsp.appendFile(filePath, `${JSON.stringify(entry)}\n`, "utf-8");
+    })
+    .catch((error) => {
+      console.error(`Line was not appended to ${filePath}:`, error);
     });
+}
+
+async function fetchModelTextWithTimeout(attempt, request, onText, deadline, signal = null) {
+  const adapter = getProviderAdapter(attempt);
+  const timeoutMs = Math.min(attempt.timeoutMs || PROVIDER_TIMEOUT_MS, deadline - Date.now());
+  if (timeoutMs <= 0) {
+    throw createProviderError("timeout", "Общий лимит времени генерации исчерпан.");
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const abortOnDisconnect = () => controller.abort();
+  if (signal?.aborted) {
+    controller.abort();
+  }
+  signal?.addEventListener("abort", abortOnDisconnect, { once: true });
+  const options = {
+    method: "POST",
+    headers: request.headers,
+    body: JSON.stringify(request.body),
+    signal: controller.signal,
+  };
+
+  try {
+    if (adapter.complete) {
+      const text = await adapter.complete(attempt, request.body, { signal: controller.signal, onText });
+      return { text, usage: null };
+    }
+    return onText
+      ? await fetchProviderStream(request.url, options, adapter, onText)
+      : await fetchProviderText(request.url, options, adapter);
   } catch (error) {
-    console.error("Automatic publication sync failed:", error);
+    if (signal?.aborted) {
+      throw createProviderError("aborted", "Клиент закрыл соединение.");
+    }
+    if (controller.signal.aborted) {
+      throw createProviderError(
+        "timeout",
+        `Провайдер не ответил за ${Math.ceil(timeoutMs / 1000)} с.`
+      );
+    }
+    if (typeof error?.kind === "string") {
+      throw error;
+    }
+    throw createProviderError(
+      "network",
+      error && typeof error.message === "string" ? error.message : "Сетевая ошибка."
+    );
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", abortOnDisconnect);
   }
+}
 
-  sendJson(res, 200, {
-    id,
-    url: `${getSiteUrl(req)}/?s=${encodeURIComponent(id)}`,
-  });
+function buildRepairPrompt(validationErrors, language) {
+  const errorList = validationErrors.map((error) => `- ${error}`).join("\n");
+  return [
+    localeText(language, "prompt.repair", { errors: errorList }),
+    localeText(language, "prompt.jsonOnly"),
+  ].join("\n");
 }
 
-async function handleScenarioEngagement(req, res) {
-  const body = await readJsonBody(req);
-  const shareId = normalizeShortId(body?.shareId);
-  const event = normalizeScenarioEngagementEvent(body?.event);
-  const slug = oneLine(body?.slug || "");
+function buildConsistencyRepairPrompt(consistency, currentYear, language) {
+  const issueList = consistency.issues
+    .filter((issue) => issue.severity === "error")
+    .map((issue) => `- ${describeConsistencyIssue(issue, consistency, currentYear, language)}`)
+    .join("\n");
+  const bounds = consistency.divergenceYear
+    ? localeText(language, "prompt.consistencyBounds", {
+      divergenceYear: consistency.divergenceYear,
+      currentYear,
+    })
+    : localeText(language, "prompt.consistencyBoundsOpen", { currentYear });
+  return [
+    localeText(language, "prompt.consistencyRepair", { issues: issueList, bounds }),
+    localeText(language, "prompt.jsonOnly"),
+  ].join("\n");
+}
 
-  if (!shareId || !event) {
-    sendJson(res, 400, { error: "Некорректные данные поведенческого сигнала." });
+function buildLanguageRepairPrompt(languageCheck, language) {
+  const fieldList = languageCheck.mismatches.map((mismatch) => mismatch.field).join(", ");
+  return [
+    localeText(language, "prompt.languageRepair", { fields: fieldList ? `: ${fieldList}` : "" }),
+    localeText(language, "prompt.jsonOnly"),
+  ].join("\n");
+}
+
+function describeConsistencyIssue(issue, { divergenceYear }, currentYear, language) {
+  const where = issue.source === "timeline" ? "timeline" : "narrative";
+  return (
+    localeText(language, `prompt.consistencyIssues.${issue.code}`, {
+      where,
+      year: issue.year,
+      previousYear: issue.previousYear,
+      divergenceYear,
+      currentYear,
+    }) || `${where}: ${issue.code} ${issue.year || ""}`.trim()
+  );
+}
+
+function buildChatCompletionRequest(attempt, { messages, temperature, stream }) {
+  return {
+    url: `${attempt.baseUrl.replace(/\/+$/, "")}/chat/completions`,
+    headers: buildHeaders(attempt),
+    body: {
+      model: attempt.model,
+      messages,
+      temperature,
+      ...(attempt.maxTokens ? { max_tokens: attempt.maxTokens } : {}),
+      // без include_usage OpenAI-совместимые провайдеры не присылают токены в потоке
+      ...(stream ? { stream: true, stream_options: { include_usage: true } } : {}),
+    },
+  };
+}
+
+function buildAnthropicMessagesRequest(attempt, { messages, temperature, stream }) {
+  const system = messages
+    .filter((message) => message.role === "system")
+    .map((message) => message.content)
+    .join("\n\n");
+
+  return {
+    url: `${attempt.baseUrl.replace(/\/+$/, "")}/messages`,
+    headers: {
+      "Content-Type": "application/json",
+      "x-api-key": attempt.apiKey,
+      "anthropic-version": ANTHROPIC_API_VERSION,
+    },
+    body: {
+      model: attempt.model,
+      max_tokens: attempt.maxTokens || 4096,
+      temperature: Math.min(temperature, 1),
+      ...(system ? { system } : {}),
+      messages: messages.filter((message) => message.role !== "system"),
+      ...(stream ? { stream: true } : {}),
+    },
+  };
+}
+
+function buildOllamaChatRequest(attempt, { messages, temperature, stream }) {
+  return {
+    url: `${attempt.baseUrl.replace(/\/+$/, "")}/api/chat`,
+    headers: attempt.apiKey
+      ? buildHeaders(attempt)
+      : { "Content-Type": "application/json" },
+    body: {
+      model: attempt.model,
+      messages,
+      stream,
+      options: {
+        temperature,
+        ...(attempt.maxTokens ? { num_predict: attempt.maxTokens } : {}),
+      },
+    },
+  };
+}
+
+async function fetchProviderText(url, options, adapter) {
+  const { response, data } = await fetchJson(url, options);
+  if (!response.ok) {
+    throw createProviderResponseError(response, data);
+  }
+  return { text: adapter.extractText(data), usage: adapter.extractUsage(data) };
+}
+
+async function fetchProviderStream(url, options, adapter, onText) {
+  const response = await fetch(url, options);
+  const contentType = String(response.headers.get("content-type") || "");
+
+  if (!response.ok || !contentType.includes(adapter.streamContentType) || !response.body) {
+    const data = parseResponseText(await response.text());
+    if (!response.ok) {
+      throw createProviderResponseError(response, data);
+    }
+    const text = adapter.extractText(data);
+    onText(text);
+    return { text, usage: adapter.extractUsage(data) };
+  }
+
+  const decoder = new TextDecoder();
+  const state = { text: "", completed: false, usage: null };
+  let buffer = "";
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop() || "";
+    for (const line of lines) {
+      adapter.readStreamLine(line, state, onText);
+    }
+  }
+  buffer += decoder.decode();
+  adapter.readStreamLine(buffer, state, onText);
+
+  if (!state.completed) {
+    throw new Error("Поток ответа оборвался до завершения.");
+  }
+
+  return { text: state.text.trim(), usage: state.usage };
+}
+
+function readChatCompletionStreamLine(line, state, onText) {
+  const value = String(line || "").trim();
+  if (!value.startsWith("data:")) {
     return;
   }
 
-  const library = await loadPublicScenarioLibrary();
-  const scenario = library.byShareId.get(shareId);
-  if (!scenario) {
-    sendJson(res, 404, { error: "Сценарий для сигнала не найден." });
+  const payload = value.slice("data:".length).trim();
+  if (payload === "[DONE]") {
+    state.completed = true;
     return;
   }
 
-  if (slug && slug !== scenario.slug) {
-    sendJson(res, 400, { error: "Slug не совпадает с сохраненным сценарием." });
+  let data;
+  try {
+    data = JSON.parse(payload);
+  } catch {
     return;
   }
 
-  const metricsStore = await readScenarioEngagementStore();
-  metricsStore[shareId] = updateScenarioEngagementMetrics(metricsStore[shareId], event);
-  await writeScenarioEngagementStore(metricsStore);
+  if (data?.error) {
+    throw createProviderError("rejected", readApiErrorMessage(data));
+  }
+
+  if (data?.usage) {
+    state.usage = extractUsageFromChatCompletion(data);
+  }
+
+  const choice = data?.choices?.[0];
+  const content = choice?.delta?.content;
+  const delta = Array.isArray(content)
+    ? content
+        .filter((part) => typeof part?.text === "string")
+        .map((part) => part.text)
+        .join("")
+    : typeof content === "string"
+      ? content
+      : "";
+
+  if (choice?.finish_reason) {
+    state.completed = true;
+  }
+  if (delta) {
+    state.text += delta;
+    onText(state.text);
+  }
+}
+
+function readAnthropicStreamLine(line, state, onText) {
+  const value = String(line || "").trim();
+  if (!value.startsWith("data:")) {
+    return;
+  }
 
+  let data;
   try {
-    await syncAutomaticScenarioManifestEntry({
-      shareId,
-      scenario: scenario.encodedScenario,
-      createdAt: scenario.createdAt,
-    });
+    data = JSON.parse(value.slice("data:".length).trim());
+  } catch {
+    return;
+  }
+
+  if (data?.type === "error") {
+    throw createProviderError("rejected", readApiErrorMessage(data));
+  }
+  if (data?.type === "message_start" || data?.type === "message_delta") {
+    const usage = data.message?.usage || data.usage;
+    state.usage = buildTokenUsage(
+      usage?.input_tokens ?? state.usage?.promptTokens,
+      usage?.output_tokens ?? state.usage?.completionTokens
+    );
+  }
+  if (data?.type === "message_stop") {
+    state.completed = true;
+    return;
+  }
+  if (data?.type === "content_block_delta" && typeof data.delta?.text === "string") {
+    state.text += data.delta.text;
+    onText(state.text);
+  }
+}
+
+function readOllamaStreamLine(line, state, onText) {
+  const value = String(line || "").trim();
+  if (!value) {
+    return;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(value);
+  } catch {
+    return;
+  }
+
+  if (data?.error) {
+    throw createProviderError("rejected", readApiErrorMessage(data));
+  }
+
+  const delta = data?.message?.content;
+  if (typeof delta === "string" && delta) {
+    state.text += delta;
+    onText(state.text);
+  }
+  if (data?.done) {
+    state.usage = extractUsageFromOllamaChat(data);
+    state.completed = true;
+  }
+}
+
+const JSON_STRING_ESCAPES = {
+  '"': '"',
+  "\\": "\\",
+  "/": "/",
+  b: "\b",
+  f: "\f",
+  n: "\n",
+  r: "\r",
+  t: "\t",
+};
+
+function extractStreamingNarrative(text) {
+  const source = String(text || "");
+  const match = /"narrative"\s*:\s*"/.exec(source);
+  if (!match) {
+    return "";
+  }
+
+  let result = "";
+  for (let i = match.index + match[0].length; i < source.length; i += 1) {
+    const char = source[i];
+    if (char === '"') break;
+    if (char !== "\\") {
+      result += char;
+      continue;
+    }
+
+    const next = source[i + 1];
+    if (next === undefined) break;
+    if (next === "u") {
+      const hex = source.slice(i + 2, i + 6);
+      if (!/^[0-9a-f]{4}$/i.test(hex)) break;
+      result += String.fromCharCode(Number.parseInt(hex, 16));
+      i += 5;
+      continue;
+    }
+    if (!Object.hasOwn(JSON_STRING_ESCAPES, next)) break;
+    result += JSON_STRING_ESCAPES[next];
+    i += 1;
+  }
+
+  // половинка суррогатной пары дождется второй в следующем фрагменте
+  return /[\uD800-\uDBFF]$/.test(result) ? result.slice(0, -1) : result;
+}
+
+
+function readApiErrorMessage(data) {
+  return (
+    data?.error?.message ||
+    (typeof data?.error === "string" ? data.error : "") ||
+    data?.message ||
+    "Ошибка при обращении к API модели."
+  );
+}
+
+async function fetchJson(url, options) {
+  const response = await fetch(url, options);
+  const text = await response.text();
+  return { response, data: parseResponseText(text) };
+}
+
+function parseResponseText(text) {
+  if (!text) {
+    return {};
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    return { raw: text };
+  }
+}
+
+function normalizeLanguage(value) {
+  return normalizeOptionalLanguage(value) || DEFAULT_LOCALE;
+}
+
+function getLocale(language) {
+  return LOCALE_REGISTRY.locales.get(normalizeLanguage(language));
+}
+
+function readLocaleValue(language, key) {
+  return key
+    .split(".")
+    .reduce((node, part) => (node && typeof node === "object" ? node[part] : undefined), getLocale(language));
+}
+
+// строки каталога могут быть массивами строк: так в JSON удобнее хранить многострочные шаблоны
+function localeText(language, key, params = {}) {
+  const value = readLocaleValue(language, key);
+  const template = Array.isArray(value) ? value.join("\n") : typeof value === "string" ? value : "";
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    Object.hasOwn(params, name) ? String(params[name] ?? "") : match
+  );
+}
+
+function pageText(language, key, params) {
+  return localeText(language, `client.${key}`, params);
+}
+
+function localeLines(language, key) {
+  const value = readLocaleValue(language, key);
+  return (Array.isArray(value) ? value : [value]).filter((line) => typeof line === "string" && line.trim());
+}
+
+function negotiateLocale(header) {
+  const ranges = String(header || "")
+    .split(",")
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(";");
+      const qualityParam = params.map((param) => param.trim()).find((param) => param.startsWith("q="));
+      const quality = qualityParam ? Number(qualityParam.slice(2)) : 1;
+      return { tag: tag.trim(), quality: Number.isFinite(quality) ? quality : 0, index };
+    })
+    .filter((range) => range.tag && range.quality > 0)
+    .sort((left, right) => right.quality - left.quality || left.index - right.index);
+
+  for (const { tag } of ranges) {
+    const code = normalizeOptionalLanguage(tag);
+    if (code) {
+      return code;
+    }
+  }
+  return DEFAULT_LOCALE;
+}
+
+function resolveRequestLocale(req) {
+  return (
+    normalizeOptionalLanguage(parseCookieHeader(req.headers.cookie)[LANGUAGE_COOKIE]) ||
+    negotiateLocale(req.headers["accept-language"])
+  );
+}
+
+// ошибки API — на языке запроса, а без него на языке страницы, как у HTML
+function resolveErrorLanguage(req, requested) {
+  return normalizeOptionalLanguage(requested) || resolveRequestLocale(req);
+}
+
+// язык по умолчанию живет без префикса, остальные — под /<код>: /en/scenarios
+function parseLocalePath(pathname) {
+  const [, first = "", ...rest] = String(pathname || "/").split("/");
+  const code = first.toLowerCase();
+  if (!LOCALE_REGISTRY.locales.has(code)) {
+    return { locale: "", pathname };
+  }
+  return { locale: code, pathname: `/${rest.join("/")}` };
+}
+
+function localizePath(pathname, language) {
+  const locale = normalizeLanguage(language);
+  if (locale === DEFAULT_LOCALE) {
+    return pathname;
+  }
+  return pathname === "/" ? `/${locale}` : `/${locale}${pathname}`;
+}
+
+function isLocalizedPagePath(pathname) {
+  return (
+    pathname === "/" ||
+    pathname === "/index.html" ||
+    pathname === "/scenarios" ||
+    pathname === "/scenarios/" ||
+    pathname.startsWith("/scenario/")
+  );
+}
+
+function buildLocaleAlternates(siteUrl, pathname) {
+  return [
+    ...[...LOCALE_REGISTRY.locales.keys()].map((code) => ({
+      hreflang: code,
+      href: `${siteUrl}${localizePath(pathname, code)}`,
+    })),
+    { hreflang: "x-default", href: `${siteUrl}${pathname}` },
+  ];
+}
+
+function describeLocales() {
+  return [...LOCALE_REGISTRY.locales.values()].map(({ code, name, bcp47 }) => ({ code, name, bcp47 }));
+}
+
+function buildClientLocalePayload(language) {
+  const locale = getLocale(language);
+  return {
+    code: locale.code,
+    defaultLocale: DEFAULT_LOCALE,
+    locales: describeLocales(),
+    messages: locale.client,
+  };
+}
+
+function buildOutputLanguageInstruction(language) {
+  return localeText(language, "prompt.outputLanguage");
+}
+
+function buildUserPrompt({
+  event,
+  branch,
+  context,
+  currentYear,
+  language,
+  promptVersion,
+  extraInstructions = [],
+}) {
+  const lang = normalizeLanguage(language);
+  const labels = readLocaleValue(lang, "prompt.labels");
+  const extra = [...(promptVersion?.userInstructions[lang] || []), ...extraInstructions].join("\n");
+  const serializedContext =
+    context.length > 0
+      ? JSON.stringify(context, null, 2)
+      : "[]";
+
+  return [
+    `${labels.event}: ${event}`,
+    ...(branch ? [`${labels.branch}: ${branch}`] : []),
+    `${labels.currentYear}: ${currentYear}`,
+    `${branch ? labels.branchContext : labels.firstContext}:`,
+    serializedContext,
+    "",
+    localeText(lang, branch ? "prompt.branchStep" : "prompt.firstStep"),
+    localeText(lang, "prompt.style"),
+    extra,
+  ]
+    .join("\n")
+    .trim();
+}
+
+function resolveModeConfig(rawMode) {
+  const mode = String(rawMode || "").trim().toLowerCase();
+  return (
+    MODE_REGISTRY.modes.find((entry) => entry.id === mode) ||
+    MODE_REGISTRY.modes.find((entry) => entry.id === MODE_REGISTRY.defaultModeId)
+  );
+}
+
+function loadModeRegistry() {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(MODES_FILE, "utf8"));
   } catch (error) {
-    console.error("Automatic review refresh failed:", error);
+    throw new Error(`Не удалось прочитать реестр режимов ${MODES_FILE}: ${error.message}`);
   }
 
-  sendJson(res, 200, {
-    ok: true,
-    metrics: summarizeScenarioEngagementMetrics(metricsStore[shareId]),
-  });
-}
-
-async function handleGetShareLink(req, res, rawId) {
-  const id = normalizeShortId(rawId);
-  if (!id) {
-    sendJson(res, 400, { error: "Некорректный id короткой ссылки." });
-    return;
+  const modes = [];
+  for (const entry of Array.isArray(parsed?.modes) ? parsed.modes : []) {
+    const mode = normalizeModeRegistryEntry(entry);
+    if (mode && !modes.some((item) => item.id === mode.id)) {
+      modes.push(mode);
+    }
   }
-  const store = await readShareLinks();
-  const entry = store[id];
-  if (!entry?.scenario) {
-    sendJson(res, 404, { error: "Короткая ссылка не найдена." });
-    return;
+  if (modes.length === 0) {
+    throw new Error(`В реестре режимов ${MODES_FILE} нет ни одного режима.`);
   }
-  sendJson(res, 200, { id, scenario: entry.scenario });
+
+  const defaultModeId = String(parsed.defaultMode || "").trim().toLowerCase();
+  return {
+    defaultModeId: modes.some((mode) => mode.id === defaultModeId) ? defaultModeId : modes[0].id,
+    modes,
+  };
 }
 
-async function generateScenario({
-  requestedModelId,
-  systemMessage,
-  userPrompt,
-  currentYear,
-  event,
-  language,
-  temperature,
-}) {
-  const attempts = buildModelAttempts(requestedModelId);
-  if (attempts.length === 0) {
-    throw new Error(
-      "Не найден доступный провайдер. Проверьте ключи в .env."
-    );
+function normalizeModeRegistryEntry(entry) {
+  const id = String(entry?.id || "").trim().toLowerCase();
+  const rawPrompt = entry?.prompt && typeof entry.prompt === "object" ? entry.prompt : {};
+  // поле prompt — строка для всех языков или объект { ru, en, ... }, как labels
+  const readPromptField = (value) =>
+    value && typeof value === "object"
+      ? Object.fromEntries(
+          Object.entries(value)
+            .map(([lang, text]) => [lang, String(text || "").trim()])
+            .filter(([, text]) => text)
+        )
+      : String(value || "").trim()
+        ? { [DEFAULT_LOCALE]: String(value).trim() }
+        : {};
+  const prompt = Object.fromEntries(
+    ["persona", "hook", "focus", "avoid", "finale"].map((field) => [
+      field,
+      readPromptField(rawPrompt[field]),
+    ])
+  );
+  if (!/^[a-z0-9-]{2,32}$/.test(id) || Object.keys(prompt.persona).length === 0) {
+    console.error(`Реестр режимов: пропущен режим ${id || "без id"} без id или prompt.persona.`);
+    return null;
   }
 
-  const errors = [];
-  for (const attempt of attempts) {
-    try {
-      const baseUrl = attempt.baseUrl.replace(/\/+$/, "");
-      const headers = buildHeaders(attempt);
-      const payload = {
-        model: attempt.model,
-        messages: [systemMessage, { role: "user", content: userPrompt }],
-        temperature: Number.isFinite(temperature) ? temperature : 0.6,
-      };
+  const readLabels = (value) =>
+    value && typeof value === "object"
+      ? Object.fromEntries(
+          Object.entries(value)
+            .map(([lang, label]) => [lang, oneLine(label)])
+            .filter(([, label]) => label)
+        )
+      : {};
+  const labels = readLabels(entry.labels);
+  const temperature = Number(entry.temperature);
 
-      const { response, data } = await fetchJson(
-        `${baseUrl}/chat/completions`,
-        {
-          method: "POST",
-          headers,
-          body: JSON.stringify(payload),
-        }
-      );
+  return {
+    id,
+    labels: Object.keys(labels).length > 0 ? labels : { ru: id, en: id },
+    shortLabels: readLabels(entry.shortLabels),
+    emoji: oneLine(entry.emoji),
+    temperature: Number.isFinite(temperature) ? Math.min(Math.max(temperature, 0), 2) : 0.6,
+    colors: entry.colors && typeof entry.colors === "object" ? entry.colors : {},
+    prompt,
+  };
+}
 
-      if (!response.ok) {
-        const apiMessage =
-          data?.error?.message ||
-          data?.message ||
-          "Ошибка при обращении к API модели.";
-        throw new Error(apiMessage);
-      }
+// части промпта на языке генерации; чего нет в режиме, берется из prompt.modeDefaults каталога
+function resolveModePrompt(mode, language) {
+  const lang = normalizeLanguage(language);
+  const readField = (field) => {
+    const texts = mode.prompt[field];
+    return texts[lang] || texts[DEFAULT_LOCALE] || Object.values(texts)[0] || "";
+  };
+  return {
+    persona: readField("persona"),
+    hook: oneLine(readField("hook")) || localeText(lang, "prompt.modeDefaults.hook"),
+    focus: readField("focus"),
+    avoid: readField("avoid") || localeText(lang, "prompt.modeDefaults.avoid"),
+    finale: readField("finale") || localeText(lang, "prompt.modeDefaults.finale"),
+  };
+}
 
-      const modelText = extractTextFromChatCompletion(data);
-      if (!modelText) {
-        throw new Error("Модель вернула пустой ответ.");
-      }
-      if (isInvalidAssistantResponse(modelText)) {
-        throw new Error("Провайдер вернул служебную заглушку вместо ответа.");
-      }
+function loadLocaleRegistry() {
+  let files;
+  try {
+    files = fs.readdirSync(LOCALES_DIR).filter((file) => file.endsWith(".json")).sort();
+  } catch (error) {
+    throw new Error(`Не удалось прочитать каталоги локалей ${LOCALES_DIR}: ${error.message}`);
+  }
 
-      return {
-        scenario: parseScenarioResponse(modelText, currentYear, event, language),
-        usedModel: attempt,
-      };
+  const catalogs = [];
+  for (const file of files) {
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), "utf8"));
     } catch (error) {
-      const message =
-        error && typeof error.message === "string"
-          ? error.message
-          : "Неизвестная ошибка.";
-      errors.push(`${attempt.providerLabel}: ${message}`);
+      console.error(`Каталоги локалей: пропущен ${file}: ${error.message}`);
       continue;
     }
+    const catalog = normalizeLocaleCatalog(parsed, file);
+    if (catalog && !catalogs.some((item) => item.code === catalog.code)) {
+      catalogs.push(catalog);
+    }
+  }
+
+  const fallback = catalogs.find((catalog) => catalog.code === DEFAULT_LOCALE);
+  if (!fallback) {
+    throw new Error(`В ${LOCALES_DIR} нет каталога локали по умолчанию ${DEFAULT_LOCALE}.json.`);
   }
 
-  throw new Error(`Все провайдеры недоступны.\n${errors.join("\n")}`);
+  // недостающие в каталоге строки берутся из каталога по умолчанию
+  const ordered = [fallback, ...catalogs.filter((catalog) => catalog !== fallback)];
+  return {
+    locales: new Map(
+      ordered.map((catalog) => [
+        catalog.code,
+        catalog === fallback ? catalog : mergeLocaleSections(fallback, catalog),
+      ])
+    ),
+    scriptPatterns: Object.fromEntries(
+      ordered.map((catalog) => [catalog.script, new RegExp(`\\p{Script=${catalog.script}}`, "gu")])
+    ),
+    taxonomy: buildTaxonomyRules(ordered),
+  };
 }
 
-async function fetchJson(url, options) {
-  const response = await fetch(url, options);
-  const text = await response.text();
-  if (!text) {
-    return { response, data: {} };
+function normalizeLocaleCatalog(entry, file) {
+  const code = String(entry?.code || "").trim().toLowerCase();
+  if (!/^[a-z]{2,3}$/.test(code)) {
+    console.error(`Каталоги локалей: пропущен ${file} без кода языка.`);
+    return null;
   }
+
+  const script = String(entry.script || "").trim();
   try {
-    return { response, data: JSON.parse(text) };
+    new RegExp(`\\p{Script=${script}}`, "u");
   } catch {
-    return { response, data: { raw: text } };
+    console.error(`Каталоги локалей: пропущен ${file} с неизвестной письменностью ${script || "(пусто)"}.`);
+    return null;
   }
+
+  const readSection = (value) => (value && typeof value === "object" && !Array.isArray(value) ? value : {});
+  return {
+    code,
+    name: oneLine(entry.name) || code,
+    bcp47: oneLine(entry.bcp47) || code,
+    ogLocale: oneLine(entry.ogLocale) || code,
+    script,
+    messages: readSection(entry.messages),
+    prompt: readSection(entry.prompt),
+    errors: readSection(entry.errors),
+    taxonomy: readSection(entry.taxonomy),
+    client: readSection(entry.client),
+  };
 }
 
-function normalizeLanguage(value) {
-  return String(value || "").toLowerCase() === "en" ? "en" : "ru";
+function mergeLocaleSections(base, override) {
+  const isSection = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    result[key] = isSection(value) && isSection(base[key]) ? mergeLocaleSections(base[key], value) : value;
+  }
+  return result;
 }
 
-function byLanguage(language, ruText, enText) {
-  return normalizeLanguage(language) === "en" ? enText : ruText;
+// id тегов задает каталог по умолчанию, а паттерны собираются из всех каталогов:
+// так сценарий на любом языке получает одинаковые теги
+function buildTaxonomyRules(catalogs) {
+  const [fallback] = catalogs;
+  const readRules = (group) =>
+    Object.keys(fallback.taxonomy[group] || {}).map((id) => ({
+      id,
+      patterns: catalogs.flatMap((catalog) =>
+        compileLocalePatterns(catalog.taxonomy[group]?.[id]?.patterns, catalog.code)
+      ),
+    }));
+
+  return {
+    countries: readRules("countries"),
+    themes: readRules("themes"),
+    eras: readRules("eras"),
+    century: catalogs.flatMap((catalog) =>
+      compileLocalePatterns(catalog.taxonomy.century?.patterns, catalog.code)
+    ),
+  };
 }
 
-function buildOutputLanguageInstruction(language) {
-  return byLanguage(
-    language,
-    "Отвечай только на русском языке. Английский не используй.",
-    "Respond in English only. Do not use Russian. All text fields in JSON must be in English."
-  );
+function compileLocalePatterns(patterns, code) {
+  const compiled = [];
+  for (const pattern of Array.isArray(patterns) ? patterns : []) {
+    try {
+      compiled.push(new RegExp(String(pattern), "i"));
+    } catch (error) {
+      console.error(`Каталоги локалей: в ${code}.json пропущен паттерн ${pattern}: ${error.message}`);
+    }
+  }
+  return compiled;
 }
 
-function buildUserPrompt({ event, branch, context, currentYear, language }) {
-  const lang = normalizeLanguage(language);
-  const serializedContext =
-    context.length > 0
-      ? JSON.stringify(context, null, 2)
-      : "[]";
+function pickPromptVersion(requestedId) {
+  const requested = normalizePromptVersionId(requestedId);
+  const exact = PROMPT_VERSIONS.find((version) => version.id === requested);
+  if (exact) {
+    return exact;
+  }
 
-  if (lang === "en") {
-    if (branch) {
-      return `
-Initial event: ${event}
-Selected branch: ${branch}
-Current year: ${currentYear}
-Short context from previous steps:
-${serializedContext}
-
-Continue exactly this alternate branch.
-Make the text vivid and shareable, like something you'd send to a friend.
-The main card title is already equal to the original question, so do not invent abstract titles.
-Narrative structure: 1) core turning point, 2) chain of concrete consequences, 3) picture of the world today.
-Write concretely: dates, consequences, and everyday details, without vague filler.
-`.trim();
-    }
-
-    return `
-Initial event: ${event}
-Current year: ${currentYear}
-Context from previous steps (if empty, this is the first step):
-${serializedContext}
-
-Build the first step of alternate history.
-Make the text vivid and shareable, like something you'd send to a friend.
-The main card title is already equal to the original question, so do not invent abstract titles.
-Narrative structure: 1) core turning point, 2) chain of concrete consequences, 3) picture of the world today.
-Write concretely: dates, consequences, and everyday details, without vague filler.
-`.trim();
-  }
-
-  if (branch) {
-    return `
-Исходное событие: ${event}
-Выбранная развилка: ${branch}
-Текущий год: ${currentYear}
-Краткий контекст прошлых шагов:
-${serializedContext}
-
-Продолжи именно эту альтернативную ветку.
-Сделай текст ярким и репостным: чтобы хотелось отправить другу в чат.
-Главный заголовок карточки уже равен исходному вопросу, не придумывай абстрактных названий.
-Структура narrative: 1) главный перелом, 2) цепочка конкретных последствий, 3) картина мира сегодня.
-Пиши конкретно: с датами, последствиями и деталями жизни людей, без канцелярита и расплывчатых фраз.
-`.trim();
+  const totalWeight = PROMPT_VERSIONS.reduce((sum, version) => sum + version.weight, 0);
+  if (totalWeight <= 0) {
+    return PROMPT_VERSIONS[0];
   }
 
-  return `
-Исходное событие: ${event}
-Текущий год: ${currentYear}
-Контекст прошлых шагов (если пусто, это первый шаг):
-${serializedContext}
+  let roll = Math.random() * totalWeight;
+  for (const version of PROMPT_VERSIONS) {
+    roll -= version.weight;
+    if (roll < 0) {
+      return version;
+    }
+  }
+  return PROMPT_VERSIONS[PROMPT_VERSIONS.length - 1];
+}
+
+function loadPromptVersions() {
+  const builtin = [
+    { id: "v1", weight: 1, description: "", systemRules: {}, userInstructions: {} },
+  ];
+  if (!fs.existsSync(PROMPT_VERSIONS_FILE)) {
+    return builtin;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(PROMPT_VERSIONS_FILE, "utf8"));
+  } catch (error) {
+    console.error(`Не удалось прочитать версии промптов ${PROMPT_VERSIONS_FILE}: ${error.message}`);
+    return builtin;
+  }
 
-Построй первый шаг альтернативной истории.
-Сделай текст ярким и репостным: чтобы хотелось отправить другу в чат.
-Главный заголовок карточки уже равен исходному вопросу, не придумывай абстрактных названий.
-Структура narrative: 1) главный перелом, 2) цепочка конкретных последствий, 3) картина мира сегодня.
-Пиши конкретно: с датами, последствиями и деталями жизни людей, без канцелярита и расплывчатых фраз.
-`.trim();
+  const versions = [];
+  for (const entry of Array.isArray(parsed?.versions) ? parsed.versions : []) {
+    const version = normalizePromptVersionEntry(entry);
+    if (version && !versions.some((item) => item.id === version.id)) {
+      versions.push(version);
+    }
+  }
+  if (versions.length === 0) {
+    console.error(`В ${PROMPT_VERSIONS_FILE} нет ни одной версии промпта, используется v1.`);
+    return builtin;
+  }
+  return versions;
 }
 
-function resolveModeConfig(rawMode) {
-  const mode = String(rawMode || "").toLowerCase();
-  switch (mode) {
-    case "dark":
-      return {
-        id: "dark",
-        temperature: 0.3,
-      };
-    case "prosperity":
-      return {
-        id: "prosperity",
-        temperature: 0.6,
-      };
-    case "madness":
-      return {
-        id: "madness",
-        temperature: 0.9,
-      };
-    case "humor":
-      return {
-        id: "humor",
-        temperature: 0.9,
-      };
-    case "realism":
-    default:
-      return {
-        id: "realism",
-        temperature: 0.3,
-      };
+function normalizePromptVersionEntry(entry) {
+  const id = normalizePromptVersionId(entry?.id);
+  if (!id) {
+    console.error(`Версии промптов: пропущена запись с некорректным id ${entry?.id || ""}.`);
+    return null;
   }
+
+  const readLines = (value) =>
+    Array.isArray(value) ? value.map((line) => String(line || "").trim()).filter(Boolean) : [];
+  const weight = Number(entry.weight ?? 1);
+  // строки по языкам { ru: [...], en: [...] }; простой массив systemRules считается строками языка по умолчанию
+  const readLocalizedLines = (value) =>
+    Array.isArray(value)
+      ? { [DEFAULT_LOCALE]: readLines(value) }
+      : Object.fromEntries(
+          Object.entries(value && typeof value === "object" ? value : {}).map(([lang, lines]) => [
+            lang,
+            readLines(lines),
+          ])
+        );
+
+  return {
+    id,
+    weight: Number.isFinite(weight) && weight > 0 ? weight : 0,
+    description: oneLine(entry.description),
+    systemRules: readLocalizedLines(entry.systemRules),
+    userInstructions: readLocalizedLines(entry.userInstructions),
+  };
+}
+
+function normalizePromptVersionId(value) {
+  const id = String(value || "").trim().toLowerCase();
+  return /^[a-z0-9][a-z0-9._-]{0,39}$/.test(id) ? id : "";
+}
+
+function serializeModeForClient(mode) {
+  return {
+    id: mode.id,
+    labels: mode.labels,
+    shortLabels: mode.shortLabels,
+    emoji: mode.emoji,
+    temperature: mode.temperature,
+    colors: mode.colors,
+  };
 }
 
 function normalizeContext(value) {
@@ -691,145 +3909,285 @@ function normalizeContext(value) {
   });
 }
 
-function buildSystemMessage(modeId, currentYear, language) {
-  const languageInstruction = buildOutputLanguageInstruction(language);
-  switch (modeId) {
-    case "dark":
-      return {
-        role: "system",
-        content: `
-Ты летописец катастроф и мрачных альтернативных миров. Пиши тревожно, тяжело, с ощущением надвигающейся катастрофы. Не скатывайся в сухую аналитику.
-${languageInstruction}
-Нельзя писать markdown, пояснения, префиксы или блоки кода.
-Верни только корректный JSON-объект с полями:
-- "narrative": строка 220-380 слов. Формат: 3 абзаца, в каждом 2-4 предложения. Первые 1-2 предложения сразу дают самый сильный эффект.
-- "timeline": массив из ровно 6 объектов:
-  {"year": number, "title": string, "details": string}
-  Годы должны идти по возрастанию и быть конкретными числами.
-  Последняя точка timeline должна быть про текущий год ${currentYear}.
-- "branches": массив из 2-3 коротких вариантов продолжения (действие/развилка).
-- "share_card": объект для сторис:
-  {"title": string, "subtitle": string, "items": [{"year": number, "text": string}], "footer": string}
-Требования:
-- "share_card.title" должен в точности повторять исходный вопрос пользователя, без перефразирования.
-- "share_card.subtitle" — короткий тревожный хук, 1 фраза.
-- Сначала назови главный перелом, потом покажи цепочку последствий, потом дай картину мира сегодня.
-- В narrative обязательно вплетай 3-5 конкретных лет прямо в текст.
-- Показывай, что конкретно рушится или меняется: власть, города, экономика, быт, страхи людей, международные союзы.
-- Избегай канцелярита, воды и общих фраз вроде "все изменилось".
-- Финал должен быть сильным и запоминающимся, чтобы текст хотелось переслать.
-- "items" содержит 4-5 коротких строк как запасной формат и не повторяет narrative дословно.
-`.trim(),
-      };
-    case "prosperity":
-      return {
-        role: "system",
-        content: `
-Ты футуролог и автор вдохновляющей альтернативной истории. Пиши масштабно и ярко: ощущение великого шанса, но без сладкой наивности.
-${languageInstruction}
-Нельзя писать markdown, пояснения, префиксы или блоки кода.
-Верни только корректный JSON-объект с полями:
-- "narrative": строка 220-380 слов. Формат: 3 абзаца, в каждом 2-4 предложения. Первые 1-2 предложения сразу дают самый сильный эффект.
-- "timeline": массив из ровно 6 объектов:
-  {"year": number, "title": string, "details": string}
-  Годы должны идти по возрастанию и быть конкретными числами.
-  Последняя точка timeline должна быть про текущий год ${currentYear}.
-- "branches": массив из 2-3 коротких вариантов продолжения (действие/развилка).
-- "share_card": объект для сторис:
-  {"title": string, "subtitle": string, "items": [{"year": number, "text": string}], "footer": string}
-Требования:
-- "share_card.title" должен в точности повторять исходный вопрос пользователя, без перефразирования.
-- "share_card.subtitle" — короткий вдохновляющий хук, 1 фраза.
-- Сначала назови главный перелом, потом покажи цепочку последствий, потом дай картину мира сегодня.
-- В narrative обязательно вплетай 3-5 конкретных лет прямо в текст.
-- Пиши конкретно, как меняются города, наука, образование, медицина, культура, уровень жизни и отношения между странами.
-- Избегай канцелярита, воды и общих фраз вроде "это привело к изменениям".
-- Финал должен звучать мощно и светло, чтобы текст хотелось переслать.
-- "items" содержит 4-5 коротких строк как запасной формат и не повторяет narrative дословно.
-`.trim(),
-      };
-    case "madness":
-      return {
-        role: "system",
-        content: `
-Ты автор безумной и очень образной альтернативной истории. Пиши странно, ярко и неожиданно, но сохраняй причинно-следственную связность.
-${languageInstruction}
-Нельзя писать markdown, пояснения, префиксы или блоки кода.
-Верни только корректный JSON-объект с полями:
-- "narrative": строка 220-380 слов. Формат: 3 абзаца, в каждом 2-4 предложения. Первые 1-2 предложения сразу дают самый сильный эффект.
-- "timeline": массив из ровно 6 объектов:
-  {"year": number, "title": string, "details": string}
-  Годы должны идти по возрастанию и быть конкретными числами.
-  Последняя точка timeline должна быть про текущий год ${currentYear}.
-- "branches": массив из 2-3 коротких вариантов продолжения (действие/развилка).
-- "share_card": объект для сторис:
-  {"title": string, "subtitle": string, "items": [{"year": number, "text": string}], "footer": string}
-Требования:
-- "share_card.title" должен в точности повторять исходный вопрос пользователя, без перефразирования.
-- "share_card.subtitle" — короткий хук с эффектом удивления, 1 фраза.
-- Сначала назови главный перелом, потом покажи цепочку последствий, потом дай картину мира сегодня.
-- В narrative обязательно вплетай 3-5 конкретных лет прямо в текст.
-- Даже в безумии показывай конкретику: как меняются политика, культура, технологии, города и повседневная жизнь.
-- Избегай канцелярита, воды и общих фраз.
-- Финал должен быть мощным, странным и запоминающимся, чтобы текст хотелось переслать.
-- "items" содержит 4-5 коротких строк как запасной формат и не повторяет narrative дословно.
-`.trim(),
-      };
-    case "humor":
-      return {
-        role: "system",
-        content: `
-Ты автор сатирического издания и точный комик. Пиши остро и смешно, но логично: не балаган, а цельная альтернативная история с колкими деталями.
-${languageInstruction}
-Нельзя писать markdown, пояснения, префиксы или блоки кода.
-Верни только корректный JSON-объект с полями:
-- "narrative": строка 220-380 слов. Формат: 3 абзаца, в каждом 2-4 предложения. Первые 1-2 предложения сразу дают самый сильный эффект.
-- "timeline": массив из ровно 6 объектов:
-  {"year": number, "title": string, "details": string}
-  Годы должны идти по возрастанию и быть конкретными числами.
-  Последняя точка timeline должна быть про текущий год ${currentYear}.
-- "branches": массив из 2-3 коротких вариантов продолжения (действие/развилка).
-- "share_card": объект для сторис:
-  {"title": string, "subtitle": string, "items": [{"year": number, "text": string}], "footer": string}
-Требования:
-- "share_card.title" должен в точности повторять исходный вопрос пользователя, без перефразирования.
-- "share_card.subtitle" — короткий смешной хук, 1 фраза.
-- Сначала назови главный перелом, потом покажи цепочку последствий, потом дай картину мира сегодня.
-- В narrative обязательно вплетай 3-5 конкретных лет прямо в текст.
-- Показывай конкретно, как меняются элиты, пропаганда, экономика, города, культура и бытовые привычки.
-- Избегай канцелярита, воды и пустых обобщений.
-- Финал должен быть колким и запоминающимся, чтобы текст хотелось переслать другу.
-- "items" содержит 4-5 коротких строк как запасной формат и не повторяет narrative дословно.
-`.trim(),
-      };
-    case "realism":
+function normalizeScenarioLength(value) {
+  const length = String(value || "").trim().toLowerCase();
+  return Object.hasOwn(SCENARIO_LENGTHS, length) ? length : DEFAULT_SCENARIO_LENGTH;
+}
+
+function normalizeNarrativeFormat(value) {
+  const format = String(value || "").trim().toLowerCase();
+  return NARRATIVE_FORMATS.includes(format) ? format : DEFAULT_NARRATIVE_FORMAT;
+}
+
+function buildNarrativeStructureRule(length, narrativeFormat, language) {
+  const lengthId = normalizeScenarioLength(length);
+  const format = normalizeNarrativeFormat(narrativeFormat);
+  const structure = localeText(language, `prompt.narrativeFormats.${format}`, {
+    ...SCENARIO_LENGTHS[lengthId],
+    paragraphs: localeText(language, `prompt.lengthParagraphs.${lengthId}`),
+  });
+  if (format === DEFAULT_NARRATIVE_FORMAT) {
+    return structure;
+  }
+  return `${structure} ${localeText(language, "prompt.narrativeFormatLayout")}`;
+}
+
+function buildSystemMessage(
+  modeId,
+  currentYear,
+  language,
+  promptVersion,
+  length = DEFAULT_SCENARIO_LENGTH,
+  narrativeFormat = DEFAULT_NARRATIVE_FORMAT
+) {
+  const prompt = resolveModePrompt(resolveModeConfig(modeId), language);
+  const lengthConfig = SCENARIO_LENGTHS[normalizeScenarioLength(length)];
+  const lang = normalizeLanguage(language);
+  const systemRules = promptVersion?.systemRules[lang] || promptVersion?.systemRules[DEFAULT_LOCALE] || [];
+  const extraRules = systemRules.map((rule) => `\n- ${rule}`).join("");
+  return {
+    role: "system",
+    content: localeText(language, "prompt.system", {
+      persona: prompt.persona,
+      outputLanguage: buildOutputLanguageInstruction(language),
+      words: lengthConfig.words,
+      structure: buildNarrativeStructureRule(length, narrativeFormat, language),
+      currentYear,
+      hook: prompt.hook,
+      years: lengthConfig.years,
+      modeRules: [prompt.focus, prompt.avoid, prompt.finale]
+        .filter(Boolean)
+        .map((rule) => `- ${rule}`)
+        .join("\n"),
+      extraRules,
+    }).trim(),
+  };
+}
+
+const SCENARIO_RESPONSE_SCHEMA = {
+  type: "object",
+  required: ["narrative", "timeline", "branches", "share_card"],
+  properties: {
+    narrative: { type: "string", minLength: 200 },
+    timeline: {
+      type: "array",
+      minItems: 3,
+      maxItems: 8,
+      items: {
+        type: "object",
+        required: ["year", "title", "details"],
+        properties: {
+          year: { type: "integer", minimum: 1, maximum: 4000 },
+          title: { type: "string", minLength: 1 },
+          details: { type: "string", minLength: 1 },
+        },
+      },
+    },
+    branches: {
+      type: "array",
+      minItems: 2,
+      maxItems: 3,
+      items: { type: "string", minLength: 3 },
+    },
+    share_card: {
+      type: "object",
+      required: ["subtitle"],
+      properties: {
+        title: { type: "string" },
+        subtitle: { type: "string", minLength: 1 },
+        items: { type: "array" },
+        footer: { type: "string" },
+      },
+    },
+    // real_history необязательна и в схему не входит: ради неверного года не стоит ни ремонта, ни failover,
+    // normalizeRealHistory(...) сама отбросит то, что не годится
+  },
+};
+
+function validateScenarioPayload(parsed) {
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    return [{ path: "scenario", code: "not-json" }];
+  }
+
+  const issues = validateAgainstSchema(parsed, SCENARIO_RESPONSE_SCHEMA, "scenario");
+  if (typeof parsed.narrative === "string" && looksLikeStructuredPayload(parsed.narrative)) {
+    issues.push({ path: "scenario.narrative", code: "structured-narrative" });
+  }
+  return issues;
+}
+
+function isCriticalSchemaIssue({ path: issuePath }) {
+  return issuePath === "scenario" || issuePath === "scenario.narrative";
+}
+
+// ошибки уходят в промпт ремонта, поэтому пишутся на языке генерации
+function formatSchemaIssues(issues, language) {
+  return issues.map(
+    ({ path: issuePath, code, limit }) =>
+      localeText(language, `prompt.schemaIssues.${code}`, { path: issuePath, limit }) ||
+      `${issuePath}: ${code} ${limit ?? ""}`.trim()
+  );
+}
+
+function checkModelTextConsistency(modelText, event, currentYear) {
+  const parsed = parseJsonFromModelText(modelText);
+  return checkScenarioConsistency({
+    event,
+    narrative: pickString(parsed?.narrative) || String(modelText || ""),
+    timeline: parsed?.timeline,
+    currentYear,
+  });
+}
+
+function checkModelTextLanguage(modelText, language) {
+  const parsed = parseJsonFromModelText(modelText);
+  const shareCard = parsed?.share_card && typeof parsed.share_card === "object" ? parsed.share_card : {};
+  return checkScenarioLanguage(
+    {
+      narrative: pickString(parsed?.narrative) || String(modelText || ""),
+      subtitle: shareCard.subtitle,
+      shareCardItems: shareCard.items,
+      branches: parsed?.branches,
+    },
+    language
+  );
+}
+
+// заголовок карточки не проверяется: это исходный вопрос пользователя, он может быть на любом языке
+function checkScenarioLanguage({ narrative, subtitle, shareCardItems = [], branches = [] }, language) {
+  const expected = normalizeLanguage(language);
+  const expectedScript = getLocale(expected).script;
+  const fields = [
+    ["narrative", narrative],
+    ["share_card.subtitle", subtitle],
+    ...(Array.isArray(shareCardItems) ? shareCardItems : []).map((item, index) => [
+      `share_card.items[${index}]`,
+      item && typeof item === "object" ? item.text : item,
+    ]),
+    ...(Array.isArray(branches) ? branches : []).map((branch, index) => [
+      `branches[${index}]`,
+      branch,
+    ]),
+  ];
+
+  const totals = { letters: 0, expected: 0 };
+  const mismatches = [];
+  for (const [field, value] of fields) {
+    const counts = countLanguageLetters(typeof value === "string" ? value : "");
+    totals.letters += counts.letters;
+    totals.expected += counts.byScript[expectedScript];
+    if (counts.letters < LANGUAGE_FIELD_MIN_LETTERS) continue;
+
+    const confidence = counts.byScript[expectedScript] / counts.letters;
+    if (confidence < LANGUAGE_MIN_CONFIDENCE) {
+      mismatches.push({
+        field,
+        detected: detectDominantScript(counts),
+        confidence: roundConfidence(confidence),
+      });
+    }
+  }
+
+  const confidence = totals.letters > 0 ? totals.expected / totals.letters : 1;
+  return {
+    status: mismatches.length > 0 || confidence < LANGUAGE_MIN_CONFIDENCE ? "mismatch" : "ok",
+    expected,
+    confidence: roundConfidence(confidence),
+    mismatches,
+  };
+}
+
+// языки различаются по письменности: украинский не отличить от русского, а немецкий от английского
+function countLanguageLetters(text) {
+  const byScript = {};
+  let letters = 0;
+  for (const [script, pattern] of Object.entries(LOCALE_REGISTRY.scriptPatterns)) {
+    byScript[script] = (text.match(pattern) || []).length;
+    letters += byScript[script];
+  }
+  return { letters, byScript };
+}
+
+function detectDominantScript({ byScript }) {
+  return Object.entries(byScript).sort((a, b) => b[1] - a[1])[0][0];
+}
+
+function roundConfidence(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function countConsistencyErrors(consistency) {
+  return (consistency?.issues || []).filter((issue) => issue.severity === "error").length;
+}
+
+function validateAgainstSchema(value, schema, pathLabel) {
+  // "1917" вместо 1917 нормализация все равно прочитает, ремонт ради этого не нужен
+  if (schema.type === "integer" && typeof value === "string" && /^\s*-?\d+\s*$/.test(value)) {
+    value = Number(value);
+  }
+  if (schema.type && !matchesSchemaType(value, schema.type)) {
+    return [{ path: pathLabel, code: "type", limit: schema.type }];
+  }
+
+  const errors = [];
+  if (typeof value === "string") {
+    if (schema.minLength && value.trim().length < schema.minLength) {
+      errors.push({ path: pathLabel, code: "minLength", limit: schema.minLength });
+    }
+  }
+
+  if (typeof value === "number") {
+    if (Number.isFinite(schema.minimum) && value < schema.minimum) {
+      errors.push({ path: pathLabel, code: "minimum", limit: schema.minimum });
+    }
+    if (Number.isFinite(schema.maximum) && value > schema.maximum) {
+      errors.push({ path: pathLabel, code: "maximum", limit: schema.maximum });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (Number.isFinite(schema.minItems) && value.length < schema.minItems) {
+      errors.push({ path: pathLabel, code: "minItems", limit: schema.minItems });
+    }
+    if (Number.isFinite(schema.maxItems) && value.length > schema.maxItems) {
+      errors.push({ path: pathLabel, code: "maxItems", limit: schema.maxItems });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateAgainstSchema(item, schema.items, `${pathLabel}[${index}]`));
+      });
+    }
+  }
+
+  if (schema.type === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push({ path: `${pathLabel}.${key}`, code: "required" });
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] === undefined || value[key] === null) continue;
+      errors.push(...validateAgainstSchema(value[key], propertySchema, `${pathLabel}.${key}`));
+    }
+  }
+
+  return errors;
+}
+
+function matchesSchemaType(value, type) {
+  switch (type) {
+    case "object":
+      return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+    case "array":
+      return Array.isArray(value);
+    case "string":
+      return typeof value === "string";
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
     default:
-      return {
-        role: "system",
-        content: `
-Ты сильный автор альтернативной истории и исторический аналитик. Пиши правдоподобно, напряженно и образно, как трейлер документального фильма, но без сухого академизма.
-${languageInstruction}
-Нельзя писать markdown, пояснения, префиксы или блоки кода.
-Верни только корректный JSON-объект с полями:
-- "narrative": строка 220-380 слов. Формат: 3 абзаца, в каждом 2-4 предложения. Первые 1-2 предложения сразу дают самый сильный эффект.
-- "timeline": массив из ровно 6 объектов:
-  {"year": number, "title": string, "details": string}
-  Годы должны идти по возрастанию и быть конкретными числами.
-  Последняя точка timeline должна быть про текущий год ${currentYear}.
-- "branches": массив из 2-3 коротких вариантов продолжения (действие/развилка).
-- "share_card": объект для сторис:
-  {"title": string, "subtitle": string, "items": [{"year": number, "text": string}], "footer": string}
-Требования:
-- "share_card.title" должен в точности повторять исходный вопрос пользователя, без перефразирования.
-- "share_card.subtitle" — короткий сильный хук для репоста, 1 фраза.
-- Сначала назови главный перелом, потом покажи цепочку последствий, потом дай картину мира сегодня.
-- В narrative обязательно вплетай 3-5 конкретных лет прямо в текст.
-- Пиши конкретно, что меняется в политике, экономике, международных отношениях, городах, технологиях и повседневной жизни людей.
-- Избегай канцелярита, воды и расплывчатых фраз вроде "это привело к изменениям".
-- Финал должен быть сильным и запоминающимся, чтобы текст хотелось переслать другу.
-- "items" содержит 4-5 коротких строк как запасной формат и не повторяет narrative дословно.
-`.trim(),
-      };
+      return true;
   }
 }
 
@@ -848,13 +4206,40 @@ function parseScenarioResponse(modelText, currentYear, event, language) {
     event,
     language,
   });
+  const realHistory = normalizeRealHistory(parsed?.real_history, currentYear);
+
+  return {
+    narrative,
+    timeline,
+    branches,
+    images: [],
+    shareCard,
+    ...(realHistory ? { realHistory } : {}),
+  };
+}
+
+function normalizeRealHistory(raw, currentYear) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return null;
+  }
+
+  const event = truncate(oneLine(pickString(raw.event)), 220);
+  if (event.length < 3) {
+    return null;
+  }
+
+  const date = truncate(oneLine(pickString(raw.date)), 60);
+  const year = normalizeYear(raw.year);
+  const facts = uniqueStringList(Array.isArray(raw.facts) ? raw.facts.map(pickString) : [])
+    .filter((fact) => fact.length >= 3)
+    .map((fact) => truncate(fact, 220))
+    .slice(0, 4);
 
   return {
-    narrative,
-    timeline,
-    branches,
-    images: [],
-    shareCard,
+    event,
+    ...(date ? { date } : {}),
+    ...(year && year <= currentYear ? { year } : {}),
+    facts,
   };
 }
 
@@ -889,11 +4274,7 @@ function parseJsonFromModelText(text) {
 function sanitizeNarrative(value, language) {
   const raw = stripCodeFences(String(value || ""));
   if (!raw) {
-    return byLanguage(
-      language,
-      "Гипотеза построена, но текстовое описание оказалось неполным.",
-      "The hypothesis was generated, but the text description was incomplete."
-    );
+    return localeText(language, "messages.narrativeIncomplete");
   }
 
   const parsed = parseJsonFromModelText(raw);
@@ -908,14 +4289,15 @@ function sanitizeNarrative(value, language) {
   }
 
   if (looksLikeStructuredPayload(raw)) {
-    return byLanguage(
-      language,
-      "Гипотеза построена, но модель вернула служебный JSON вместо чистого текста.",
-      "The hypothesis was generated, but the model returned service JSON instead of clean text."
-    );
+    return localeText(language, "messages.narrativeJson");
   }
 
-  return raw.replace(/\s+/g, " ").trim();
+  // переносы строк нужны форматам дневника, переписки и учебника
+  return raw
+    .split(/\n+/)
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n\n");
 }
 
 function stripCodeFences(text) {
@@ -975,7 +4357,7 @@ function normalizeTimeline(rawTimeline, currentYear, narrative, language) {
       year: normalizeYear(item?.year) ?? defaults[Math.min(index, defaults.length - 1)].year,
       title:
         pickString(item?.title) ||
-        `${byLanguage(language, "Этап", "Phase")} ${index + 1}`,
+        localeText(language, "messages.timelinePhase", { index: index + 1 }),
       details:
         pickString(item?.details) ||
         pickString(item?.text) ||
@@ -1011,83 +4393,18 @@ function normalizeTimeline(rawTimeline, currentYear, narrative, language) {
 }
 
 function buildDefaultTimeline(currentYear, narrative, language) {
-  const snippet = pickString(narrative) || byLanguage(
-    language,
-    "Последствия разворачиваются постепенно.",
-    "Consequences unfold step by step."
-  );
-  return [
-    {
-      year: currentYear - 120,
-      title: byLanguage(language, "Ранний перелом", "Early Breakpoint"),
-      details: snippet.slice(0, 180),
-    },
-    {
-      year: currentYear - 80,
-      title: byLanguage(language, "Закрепление тренда", "Trend Consolidation"),
-      details: byLanguage(
-        language,
-        "Новые политические и экономические правила начинают стабилизироваться.",
-        "New political and economic rules begin to stabilize."
-      ),
-    },
-    {
-      year: currentYear - 50,
-      title: byLanguage(language, "Институциональный сдвиг", "Institutional Shift"),
-      details: byLanguage(
-        language,
-        "Изменения входят в рутину управления и становятся нормой.",
-        "Changes become part of governance routines and turn into the norm."
-      ),
-    },
-    {
-      year: currentYear - 35,
-      title: byLanguage(language, "Глобальный эффект", "Global Impact"),
-      details: byLanguage(
-        language,
-        "Изменения переходят на мировой уровень и влияют на союзы и технологии.",
-        "Shifts scale globally and reshape alliances and technology."
-      ),
-    },
-    {
-      year: currentYear - 15,
-      title: byLanguage(language, "Эхо перемен", "Echo Of Change"),
-      details: byLanguage(
-        language,
-        "Новые поколения живут в иной политической и культурной реальности.",
-        "New generations live in a different political and cultural reality."
-      ),
-    },
-    {
-      year: currentYear,
-      title: byLanguage(language, "Состояние сегодня", "Present-Day State"),
-      details: byLanguage(
-        language,
-        "Мир приходит к альтернативной современной конфигурации.",
-        "The world arrives at an alternate modern configuration."
-      ),
-    },
-  ];
+  const snippet = pickString(narrative) || localeText(language, "messages.timelineSnippetFallback");
+  const offsets = [120, 80, 50, 35, 15, 0];
+  return offsets.map((offset, index) => ({
+    year: currentYear - offset,
+    title: localeText(language, `messages.defaultTimeline.${index}.title`),
+    details:
+      index === 0 ? snippet.slice(0, 180) : localeText(language, `messages.defaultTimeline.${index}.details`),
+  }));
 }
 
 function normalizeBranches(rawBranches, language) {
-  const defaults = [
-    byLanguage(
-      language,
-      "Сделать ставку на технологический рывок и его последствия",
-      "Double down on a technological leap and its consequences"
-    ),
-    byLanguage(
-      language,
-      "Усилить международные союзы и проверить, как меняется баланс сил",
-      "Strengthen international alliances and test how the balance of power changes"
-    ),
-    byLanguage(
-      language,
-      "Сфокусироваться на внутренних реформах и реакции общества",
-      "Focus on internal reforms and social response"
-    ),
-  ];
+  const defaults = localeLines(language, "messages.defaultBranches");
 
   if (!Array.isArray(rawBranches)) {
     return defaults.slice(0, 3);
@@ -1122,11 +4439,7 @@ function normalizeShareCard(rawCard, { narrative, timeline, currentYear, event,
 
   const title = forcedTitle;
   const subtitle = pickString(rawCard.subtitle) || fallback.subtitle;
-  const footer = byLanguage(
-    language,
-    "butterfly-history.ru\nсмоделировать свою ветку реальности",
-    "butterfly-history.ru\nmodel your own alternate timeline"
-  );
+  const footer = buildShareCardFooter(language);
   const rawItems = Array.isArray(rawCard.items)
     ? rawCard.items
     : Array.isArray(rawCard.timeline)
@@ -1186,14 +4499,14 @@ function ensureUniqueYears(items, timeline, currentYear) {
 }
 
 function buildFallbackShareCard({ narrative, timeline, currentYear, event, language }) {
-  const title = pickString(event) || byLanguage(language, "Что если?", "What if?");
+  const title = pickString(event) || localeText(language, "messages.shareCardTitleFallback");
   const subtitle = buildCardSubtitle(narrative, language);
   const items = timeline.slice(0, 6).map((point) => ({
     year: point.year || currentYear,
     text:
       pickString(point.title) ||
       pickString(point.details) ||
-      byLanguage(language, "Ключевой поворот истории.", "Key turning point in history."),
+      localeText(language, "messages.shareCardItemFallback"),
   }));
 
   const trimmed = items
@@ -1206,11 +4519,7 @@ function buildFallbackShareCard({ narrative, timeline, currentYear, event, langu
   while (trimmed.length < 5) {
     trimmed.push({
       year: currentYear,
-      text: byLanguage(
-        language,
-        "Финальный эффект захватывает современность.",
-        "The final effect reaches the present day."
-      ),
+      text: localeText(language, "messages.shareCardFinalItem"),
     });
   }
 
@@ -1218,30 +4527,22 @@ function buildFallbackShareCard({ narrative, timeline, currentYear, event, langu
     title,
     subtitle,
     items: trimmed,
-    footer: byLanguage(
-      language,
-      "butterfly-history.ru\nсмоделировать свою ветку реальности",
-      "butterfly-history.ru\nmodel your own alternate timeline"
-    ),
+    footer: buildShareCardFooter(language),
   };
 }
 
+function buildShareCardFooter(language) {
+  return `butterfly-history.ru\n${localeText(language, "messages.shareCardCta")}`;
+}
+
 function buildCardSubtitle(narrative, language) {
   const text = pickString(narrative).replace(/\s+/g, " ").trim();
   if (!text) {
-    return byLanguage(
-      language,
-      "Хроника альтернативного перелома — коротко и дерзко.",
-      "A sharp snapshot of an alternate turning point."
-    );
+    return localeText(language, "messages.shareCardSubtitleFallback");
   }
   const sentence = text.split(/[.!?]/).find((part) => part.trim());
   if (!sentence) {
-    return byLanguage(
-      language,
-      "Хроника альтернативного перелома — коротко и дерзко.",
-      "A sharp snapshot of an alternate turning point."
-    );
+    return localeText(language, "messages.shareCardSubtitleFallback");
   }
   const trimmed = sentence.trim();
   return trimmed;
@@ -1254,17 +4555,6 @@ function pickString(value) {
   return value.trim();
 }
 
-function normalizeYear(value) {
-  const year = Number.parseInt(String(value), 10);
-  if (!Number.isFinite(year)) {
-    return null;
-  }
-  if (year < 500 || year > 4000) {
-    return null;
-  }
-  return year;
-}
-
 function escapeXml(value) {
   return String(value || "")
     .replaceAll("&", "&amp;")
@@ -1274,6 +4564,30 @@ function escapeXml(value) {
     .replaceAll("'", "&apos;");
 }
 
+function extractUsageFromChatCompletion(data) {
+  return buildTokenUsage(data?.usage?.prompt_tokens, data?.usage?.completion_tokens);
+}
+
+function extractUsageFromAnthropicMessage(data) {
+  return buildTokenUsage(data?.usage?.input_tokens, data?.usage?.output_tokens);
+}
+
+function extractUsageFromOllamaChat(data) {
+  return buildTokenUsage(data?.prompt_eval_count, data?.eval_count);
+}
+
+function buildTokenUsage(promptTokens, completionTokens) {
+  const prompt = Number(promptTokens);
+  const completion = Number(completionTokens);
+  if (!Number.isFinite(prompt) && !Number.isFinite(completion)) {
+    return null;
+  }
+  return {
+    promptTokens: Number.isFinite(prompt) ? prompt : 0,
+    completionTokens: Number.isFinite(completion) ? completion : 0,
+  };
+}
+
 function extractTextFromChatCompletion(data) {
   const content = data?.choices?.[0]?.message?.content;
   if (typeof content === "string" && content.trim()) {
@@ -1290,6 +4604,282 @@ function extractTextFromChatCompletion(data) {
   return texts.join("\n").trim();
 }
 
+function extractTextFromAnthropicMessage(data) {
+  if (!Array.isArray(data?.content)) {
+    return "";
+  }
+
+  return data.content
+    .filter((part) => part?.type === "text" && typeof part.text === "string")
+    .map((part) => part.text)
+    .join("\n")
+    .trim();
+}
+
+function extractTextFromOllamaChat(data) {
+  const content = data?.message?.content;
+  return typeof content === "string" ? content.trim() : "";
+}
+
+function buildMockRequest(attempt, { messages, temperature, stream }) {
+  return {
+    url: attempt.baseUrl,
+    headers: {},
+    body: { model: attempt.model, messages, temperature, stream },
+  };
+}
+
+async function completeMockRequest(attempt, body, { signal, onText }) {
+  const behavior = nextMockBehavior(attempt);
+
+  if (behavior === "slow") {
+    await waitForMock(MOCK_LLM_DELAY_MS, signal);
+  }
+  if (behavior === "error") {
+    throw createProviderError("rejected", "Mock: провайдер вернул ошибку 500.", { status: 500 });
+  }
+  if (behavior === "rate-limit") {
+    throw createProviderError("rate-limited", "Mock: превышен лимит запросов.", {
+      status: 429,
+      retryable: true,
+      retryAfterMs: 1000,
+    });
+  }
+
+  const text = buildMockResponseText(behavior, body.messages);
+  if (!onText) {
+    return text;
+  }
+
+  let streamed = "";
+  for (let index = 0; index < text.length; index += 48) {
+    await waitForMock(MOCK_LLM_CHUNK_MS, signal);
+    streamed += text.slice(index, index + 48);
+    onText(streamed);
+  }
+  return text;
+}
+
+function nextMockBehavior(attempt) {
+  const behaviors = String(attempt.model || "ok")
+    .split(",")
+    .map((value) => value.trim().toLowerCase())
+    .filter((value) => MOCK_LLM_BEHAVIORS.has(value));
+  if (behaviors.length === 0) {
+    return "ok";
+  }
+
+  const counter = mockBehaviorCounters.get(attempt.id) || 0;
+  mockBehaviorCounters.set(attempt.id, counter + 1);
+  return behaviors[counter % behaviors.length];
+}
+
+function waitForMock(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new Error("Mock: запрос отменен."));
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(new Error("Mock: запрос отменен."));
+      },
+      { once: true }
+    );
+  });
+}
+
+function buildMockResponseText(behavior, messages) {
+  if (behavior === "empty") {
+    return "";
+  }
+  if (behavior === "placeholder") {
+    return "No assistant response";
+  }
+
+  const prompt = String(
+    (Array.isArray(messages) ? messages : []).find(
+      (message) => message?.role === "user" && findMockPromptLocale(message.content)
+    )?.content || ""
+  );
+  const locale = findMockPromptLocale(prompt) || getLocale(DEFAULT_LOCALE);
+  const labels = locale.prompt.labels;
+  // мок пишет только по-русски и по-английски: остальные локали получают текст той же письменности
+  const language = locale.script === "Cyrillic" ? "ru" : "en";
+  const event = readMockPromptField(prompt, labels.event);
+  const branch = readMockPromptField(prompt, labels.branch);
+  const scenario = buildMockScenario({
+    event,
+    branch,
+    currentYear: Number(readMockPromptField(prompt, labels.currentYear)) || new Date().getFullYear(),
+    language,
+  });
+
+  if (behavior === "wrong-language") {
+    const other = buildMockScenario({
+      event,
+      branch,
+      currentYear: scenario.timeline[scenario.timeline.length - 1].year,
+      language: language === "en" ? "ru" : "en",
+    });
+    return JSON.stringify({ ...scenario, narrative: other.narrative, branches: other.branches });
+  }
+
+  if (behavior === "anachronism") {
+    const [first, ...rest] = scenario.timeline;
+    const futureYear = scenario.timeline[scenario.timeline.length - 1].year + 15;
+    return JSON.stringify({
+      ...scenario,
+      narrative: `${scenario.narrative}\n\n${
+        language === "en"
+          ? `By ${futureYear} the new order had finally settled in.`
+          : `К ${futureYear} году новый порядок окончательно утвердился.`
+      }`,
+      timeline: [...rest.slice(0, -1), first, { ...rest[rest.length - 1], year: futureYear }],
+    });
+  }
+
+  if (behavior === "malformed") {
+    const text = JSON.stringify({
+      narrative: scenario.narrative.split("\n\n")[0],
+      branches: scenario.branches.slice(0, 1),
+    });
+    return `${language === "en" ? "Here is the scenario:" : "Вот сценарий:"}\n${text.slice(0, -2)}`;
+  }
+
+  return JSON.stringify(scenario);
+}
+
+function findMockPromptLocale(prompt) {
+  return [...LOCALE_REGISTRY.locales.values()].find((locale) =>
+    String(prompt || "").startsWith(`${locale.prompt.labels?.event}:`)
+  );
+}
+
+function readMockPromptField(prompt, label) {
+  const match = prompt.match(new RegExp(`^${label}:\\s*(.+)$`, "m"));
+  return match ? match[1].trim() : "";
+}
+
+function buildMockScenario({ event, branch, currentYear, language }) {
+  const lang = language === "en" ? "en" : "ru";
+  const topic = String(event || (lang === "en" ? "history went differently" : "история пошла иначе"))
+    .replace(/^(что\s+если\s+(бы\s+)?|what\s+if\s+)/i, "")
+    .replace(/[?!.]+$/, "")
+    .trim();
+  const seed = crypto
+    .createHash("sha1")
+    .update(`${lang}|${event}|${branch}`)
+    .digest()
+    .readUInt32BE(0);
+  const mentionedYear = Number(String(event || "").match(/\b(1[0-9]{3}|20[0-9]{2})\b/)?.[1]);
+  const startYear = Math.min(
+    Number.isFinite(mentionedYear) ? mentionedYear : 1800 + (seed % 150),
+    currentYear - 5
+  );
+  // шесть разных лет, как требует промпт: иначе normalizeTimeline допишет повтор последнего
+  const step = Math.max(1, Math.floor((currentYear - startYear) / 5));
+  const years = [0, 1, 2, 3, 4].map((index) => startYear + step * index).concat(currentYear);
+  const pick = (variants, offset = 0) => variants[(seed + offset) % variants.length];
+
+  if (lang === "en") {
+    return {
+      narrative: [
+        `${years[0]} became the year everything turned: ${topic}. ${pick([
+          "Contemporaries called it an accident, but within months it was clear the old order would not come back.",
+          "Nobody in the capitals understood it at first, yet the news travelled faster than any official denial.",
+        ])}${branch ? ` The "${branch}" turn only sped things up.` : ""}`,
+        `By ${years[1]} the consequences had piled up: new trade routes, ${pick(
+          ["rewritten borders", "different alliances", "a new generation of leaders"],
+          1
+        )} and ${pick(
+          ["cities where villages used to be", "schools teaching a different history", "factories nobody expected"],
+          2
+        )}. By ${years[2]} ordinary families had already adapted their everyday life to the new rules.`,
+        `In ${currentYear} the world looks familiar and strange at once: people still argue about the past, but the map, the prices in shops and even the jokes in group chats grew out of that one turn in ${years[0]}.`,
+      ].join("\n\n"),
+      timeline: years.map((year, index) => ({
+        year,
+        title: [
+          "The turning point",
+          "First consequences",
+          "A new balance",
+          "A new normal",
+          "Echo of change",
+          "The world today",
+        ][index],
+        details: `Key changes of ${year} in the "${topic}" timeline.`,
+      })),
+      branches: [
+        "What if the reform failed halfway?",
+        "What if a neighbour copied the idea?",
+        "What if the old elite struck back?",
+      ],
+      share_card: {
+        subtitle: `One turn in ${years[0]} changed everything up to ${currentYear}.`,
+      },
+      real_history: {
+        event: `In real history this never happened: "${topic}" is only an assumption.`,
+        date: String(years[0]),
+        year: years[0],
+        facts: [
+          `In ${years[0]} contemporaries expected nothing unusual.`,
+          "Historians still argue about how close the turn really was.",
+        ],
+      },
+    };
+  }
+
+  return {
+    narrative: [
+      `${years[0]} год стал точкой перелома: ${topic}. ${pick([
+        "Современники считали это случайностью, но уже через несколько месяцев стало ясно, что старый порядок не вернется.",
+        "В столицах сначала ничего не поняли, зато новости разошлись быстрее любых официальных опровержений.",
+      ])}${branch ? ` Развилка «${branch}» только ускорила перемены.` : ""}`,
+      `К ${years[1]} году последствия накопились: новые торговые пути, ${pick(
+        ["перекроенные границы", "другие союзы", "новое поколение лидеров"],
+        1
+      )} и ${pick(
+        ["города на месте бывших деревень", "школы с другим учебником истории", "заводы там, где их никто не ждал"],
+        2
+      )}. К ${years[2]} году обычные семьи уже подстроили быт под новые правила.`,
+      `В ${currentYear} году мир выглядит знакомым и странным одновременно: люди все так же спорят о прошлом, но карта, цены в магазинах и даже шутки в чатах выросли из того самого поворота ${years[0]} года.`,
+    ].join("\n\n"),
+    timeline: years.map((year, index) => ({
+      year,
+      title: [
+        "Точка перелома",
+        "Первые последствия",
+        "Новый баланс",
+        "Новая норма",
+        "Эхо перемен",
+        "Мир сегодня",
+      ][index],
+      details: `Ключевые перемены ${year} года в ветке «${topic}».`,
+    })),
+    branches: [
+      "Что если реформа провалилась на полпути?",
+      "Что если соседи повторили этот путь?",
+      "Что если старая элита нанесла ответный удар?",
+    ],
+    share_card: {
+      subtitle: `Один поворот ${years[0]} года изменил все вплоть до ${currentYear}.`,
+    },
+    real_history: {
+      event: `В реальной истории этого не случилось: ${topic} — только допущение.`,
+      date: `${years[0]} год`,
+      year: years[0],
+      facts: [
+        `В ${years[0]} году современники не ждали ничего необычного.`,
+        "Историки до сих пор спорят, насколько близко был этот поворот.",
+      ],
+    },
+  };
+}
+
 function isInvalidAssistantResponse(value) {
   const normalized = String(value || "")
     .replace(/\s+/g, " ")
@@ -1329,13 +4919,19 @@ async function serveStaticFile(pathname, res, method = "GET") {
   }
 }
 
-async function serveIndexHtml(url, res, method = "GET", siteUrl = "https://butterfly-history.ru") {
+async function serveIndexHtml(
+  url,
+  res,
+  method = "GET",
+  siteUrl = "https://butterfly-history.ru",
+  locale = DEFAULT_LOCALE
+) {
   try {
     const library = await loadPublicScenarioLibrary();
     const resolved = await resolveIncomingScenario(url, library);
 
     if (resolved.redirectTo) {
-      redirect(res, 302, resolved.redirectTo);
+      redirect(res, 302, localizePath(resolved.redirectTo, locale));
       return;
     }
 
@@ -1344,12 +4940,13 @@ async function serveIndexHtml(url, res, method = "GET", siteUrl = "https://butte
         scenarioParam: resolved.scenarioParam,
         shareId: resolved.shareId,
         siteUrl,
+        locale,
       })
-      : buildHomePageMeta(siteUrl, library);
+      : buildHomePageMeta(siteUrl, library, locale);
 
     const html = await renderShellHtml({
-      primaryHtml: renderHomeLead(),
-      secondaryHtml: renderArchivePreviewSection(library),
+      primaryHtml: renderHomeLead(locale),
+      secondaryHtml: renderArchivePreviewSection(library, {}, locale),
       scenarioParam: resolved.scenarioParam,
       pageContext: {
         kind: resolved.scenarioParam ? "shared" : "home",
@@ -1357,6 +4954,7 @@ async function serveIndexHtml(url, res, method = "GET", siteUrl = "https://butte
         disableScenarioHydration: false,
       },
       meta: pageMeta,
+      locale,
     });
 
     sendHtml(res, 200, html, method);
@@ -1369,13 +4967,19 @@ async function serveIndexHtml(url, res, method = "GET", siteUrl = "https://butte
   }
 }
 
-async function serveArchiveHtml(url, res, method = "GET", siteUrl = "https://butterfly-history.ru") {
+async function serveArchiveHtml(
+  url,
+  res,
+  method = "GET",
+  siteUrl = "https://butterfly-history.ru",
+  locale = DEFAULT_LOCALE
+) {
   try {
     const library = await loadPublicScenarioLibrary();
     const filters = readArchiveFilters(url);
     const filteredScenarios = filterPublicScenarios(library.scenarios, filters);
     const html = await renderShellHtml({
-      primaryHtml: renderArchivePage(library, filteredScenarios, filters),
+      primaryHtml: renderArchivePage(library, filteredScenarios, filters, locale),
       secondaryHtml: "",
       scenarioParam: "",
       pageContext: {
@@ -1383,7 +4987,8 @@ async function serveArchiveHtml(url, res, method = "GET", siteUrl = "https://but
         allowClientTitle: false,
         disableScenarioHydration: true,
       },
-      meta: buildArchivePageMeta(siteUrl, library, filteredScenarios, filters),
+      meta: buildArchivePageMeta(siteUrl, library, filteredScenarios, filters, locale),
+      locale,
     });
 
     sendHtml(res, 200, html, method);
@@ -1396,19 +5001,25 @@ async function serveArchiveHtml(url, res, method = "GET", siteUrl = "https://but
   }
 }
 
-async function servePublicScenarioHtml(url, res, method = "GET", siteUrl = "https://butterfly-history.ru") {
+async function servePublicScenarioHtml(
+  url,
+  res,
+  method = "GET",
+  siteUrl = "https://butterfly-history.ru",
+  locale = DEFAULT_LOCALE
+) {
   try {
     const library = await loadPublicScenarioLibrary();
-    const slug = decodeURIComponent(url.pathname.slice("/scenario/".length)).trim();
+    const slug = decodeURIComponent(parseLocalePath(url.pathname).pathname.slice("/scenario/".length)).trim();
     const scenario = library.bySlug.get(slug);
 
     if (!scenario) {
-      await serveNotFoundHtml(res, method, siteUrl, library);
+      await serveNotFoundHtml(res, method, siteUrl, library, locale);
       return;
     }
 
     const html = await renderShellHtml({
-      primaryHtml: renderPublicScenarioPage(scenario, library),
+      primaryHtml: renderPublicScenarioPage(scenario, library, locale),
       secondaryHtml: "",
       scenarioParam: scenario.encodedScenario,
       pageContext: {
@@ -1419,7 +5030,8 @@ async function servePublicScenarioHtml(url, res, method = "GET", siteUrl = "http
         scenarioShareId: scenario.shareId,
         publicationStatus: scenario.status,
       },
-      meta: buildPublicScenarioPageMeta(scenario, siteUrl),
+      meta: buildPublicScenarioPageMeta(scenario, siteUrl, locale),
+      locale,
     });
 
     sendHtml(res, 200, html, method);
@@ -1432,21 +5044,28 @@ async function servePublicScenarioHtml(url, res, method = "GET", siteUrl = "http
   }
 }
 
-async function serveNotFoundHtml(res, method = "GET", siteUrl = "https://butterfly-history.ru", library = null) {
+async function serveNotFoundHtml(
+  res,
+  method = "GET",
+  siteUrl = "https://butterfly-history.ru",
+  library = null,
+  locale = DEFAULT_LOCALE
+) {
   const contentLibrary = library || await loadPublicScenarioLibrary();
   const html = await renderShellHtml({
-    primaryHtml: renderNotFoundSection(),
+    primaryHtml: renderNotFoundSection(locale),
     secondaryHtml: renderArchivePreviewSection(contentLibrary, {
-      title: "Лучшие сценарии из архива",
-      subtitle: "Пока эта страница не найдена, можно открыть уже опубликованные развилки.",
-    }),
+      titleKey: "notFoundArchiveTitle",
+      subtitleKey: "notFoundArchiveSubtitle",
+    }, locale),
     scenarioParam: "",
     pageContext: {
       kind: "not-found",
       allowClientTitle: false,
       disableScenarioHydration: true,
     },
-    meta: buildNotFoundPageMeta(siteUrl),
+    meta: buildNotFoundPageMeta(siteUrl, locale),
+    locale,
   });
 
   sendHtml(res, 404, html, method);
@@ -1458,27 +5077,62 @@ async function renderShellHtml({
   scenarioParam = "",
   pageContext = {},
   meta,
+  locale = DEFAULT_LOCALE,
 }) {
   const filePath = path.join(PUBLIC_DIR, "index.html");
   const rawHtml = await fsp.readFile(filePath, "utf-8");
-  const withContent = injectPageContent(rawHtml, { primaryHtml, secondaryHtml });
-  const withBootstrap = injectPageBootstrap(withContent, { scenarioParam, pageContext });
+  const withContent = injectPageContent(localizeShellHtml(rawHtml, locale), { primaryHtml, secondaryHtml });
+  const withBootstrap = injectPageBootstrap(withContent, { scenarioParam, pageContext, locale });
   return injectPageMeta(withBootstrap, meta);
 }
 
+// тексты index.html размечены так же, как серверные секции: data-page-i18n и data-page-i18n-attr-key
+// (в атрибутах можно перечислить несколько пар через пробел: attr="aria-label title")
+function localizeShellHtml(html, locale) {
+  const locales = [...LOCALE_REGISTRY.locales.values()];
+  const nextLocale = locales[(locales.findIndex((entry) => entry.code === locale) + 1) % locales.length];
+  const params = { language: nextLocale.name };
+  return html
+    .replace(
+      /(<([a-z][a-z0-9]*)\b[^>]*\sdata-page-i18n="([^"]+)"[^>]*>)[^<]*(<\/\2>)/gi,
+      (match, openTag, tagName, key, closeTag) =>
+        `${openTag}${escapeHtmlAttr(pageText(locale, key))}${closeTag}`
+    )
+    .replace(/<[a-z][a-z0-9]*\b[^>]*\sdata-page-i18n-attr-key="([^"]+)"[^>]*>/gi, (tag, keys) => {
+      const attributes = (tag.match(/\sdata-page-i18n-attr="([^"]+)"/)?.[1] || "aria-label").split(/\s+/);
+      return keys.split(/\s+/).reduce(
+        (result, key, index) =>
+          result.replace(
+            new RegExp(`(\\s${attributes[index] || attributes[0]}=")[^"]*"`),
+            (match, prefix) => `${prefix}${escapeHtmlAttr(pageText(locale, key, params))}"`
+          ),
+        tag
+      );
+    })
+    .replace(
+      /(<button\b[^>]*\sdata-mode="([^"]+)"[^>]*>)[^<]*(<\/button>)/gi,
+      (match, openTag, modeId, closeTag) =>
+        `${openTag}${escapeHtmlAttr(getModeLabelForLang(modeId, locale))}${closeTag}`
+    )
+    .replace(/(<a\b[^>]*\shref=")(\/|\/scenarios)"/gi, (match, prefix, pathname) =>
+      `${prefix}${localizePath(pathname, locale)}"`
+    );
+}
+
 function injectPageContent(html, { primaryHtml = "", secondaryHtml = "" }) {
   return html
     .replace("<!-- PAGE_PRIMARY -->", primaryHtml)
     .replace("<!-- PAGE_SECONDARY -->", secondaryHtml);
 }
 
-function injectPageBootstrap(html, { scenarioParam = "", pageContext = {} }) {
+function injectPageBootstrap(html, { scenarioParam = "", pageContext = {}, locale = DEFAULT_LOCALE }) {
   const scenario = String(scenarioParam || "").trim();
   const scenarioScript = `<script>window.__SCENARIO_PAYLOAD__ = "${escapeJsString(scenario)}";</script>`;
   const contextScript = `<script>window.__PAGE_CONTEXT__ = ${serializeInlineJson(pageContext)};</script>`;
+  const localeScript = `<script>window.__LOCALE__ = ${serializeInlineJson(buildClientLocalePayload(locale))};</script>`;
   return html.replace(
     "<!-- SCENARIO_BOOTSTRAP -->",
-    `${scenarioScript}\n    ${contextScript}`
+    `${scenarioScript}\n    ${contextScript}\n    ${localeScript}`
   );
 }
 
@@ -1504,6 +5158,12 @@ function injectPageMeta(html, meta) {
   ].join("\n    ");
 
   const structuredDataBlock = `<script type="application/ld+json">\n${serializeInlineJson(resolved.structuredData)}\n    </script>`;
+  const alternateLinks = resolved.alternates
+    .map(
+      (entry) =>
+        `\n    <link rel="alternate" hreflang="${escapeHtmlAttr(entry.hreflang)}" href="${escapeHtmlAttr(entry.href)}" />`
+    )
+    .join("");
 
   return html
     .replace(/<html\s+lang="[^"]*"/i, `<html lang="${escapeHtmlAttr(resolved.htmlLang)}"`)
@@ -1511,7 +5171,7 @@ function injectPageMeta(html, meta) {
     .replace(/\s*<meta\s+name="robots"\s+content="[^"]*"\s*\/?>/i, "")
     .replace(
       /<link\s+rel="canonical"\s+href="[^"]*"\s*\/?>/i,
-      `<link rel="canonical" href="${escapeHtmlAttr(resolved.canonicalUrl)}" />\n    <meta name="robots" content="${escapeHtmlAttr(resolved.robots)}" />`
+      `<link rel="canonical" href="${escapeHtmlAttr(resolved.canonicalUrl)}" />${alternateLinks}\n    <meta name="robots" content="${escapeHtmlAttr(resolved.robots)}" />`
     )
     .replace(
       /<!--\s*SOCIAL_META_START\s*-->[\s\S]*?<!--\s*SOCIAL_META_END\s*-->/i,
@@ -1521,10 +5181,10 @@ function injectPageMeta(html, meta) {
 }
 
 function normalizePageMeta(meta) {
-  const fallbackTitle = "Эффект Бабочки";
-  const fallbackDescription =
-    "Генератор и архив альтернативной истории с публичными сценариями и внутренней навигацией.";
-  const siteName = "Эффект Бабочки";
+  const pageLocale = normalizeLanguage(meta?.htmlLang);
+  const fallbackTitle = localeText(pageLocale, "messages.siteName");
+  const fallbackDescription = localeText(pageLocale, "messages.pages.description");
+  const siteName = localeText(pageLocale, "messages.siteName");
   const siteUrl = "https://butterfly-history.ru";
   const title = oneLine(meta?.title || fallbackTitle);
   const description = oneLine(meta?.description || fallbackDescription);
@@ -1532,13 +5192,18 @@ function normalizePageMeta(meta) {
   const ogUrl = String(meta?.ogUrl || canonicalUrl).trim() || canonicalUrl;
   const imageUrl = String(meta?.imageUrl || `${siteUrl}/logo.png`).trim() || `${siteUrl}/logo.png`;
   const locale = String(meta?.locale || "ru_RU").trim() || "ru_RU";
-  const htmlLang = String(meta?.htmlLang || (locale === "en_US" ? "en" : "ru")).trim() || "ru";
+  const htmlLang = String(
+    meta?.htmlLang ||
+      [...LOCALE_REGISTRY.locales.values()].find((entry) => entry.ogLocale === locale)?.code ||
+      DEFAULT_LOCALE
+  ).trim() || DEFAULT_LOCALE;
   const robots = String(meta?.robots || "index,follow").trim() || "index,follow";
   const ogType = String(meta?.ogType || "website").trim() || "website";
   const structuredData = meta?.structuredData || buildWebsiteStructuredData(siteUrl, {
     title,
     description,
-  });
+  }, pageLocale);
+  const alternates = Array.isArray(meta?.alternates) ? meta.alternates : [];
 
   return {
     title,
@@ -1553,6 +5218,7 @@ function normalizePageMeta(meta) {
     siteName,
     imageAlt: meta?.imageAlt || title,
     structuredData,
+    alternates,
   };
 }
 
@@ -1561,15 +5227,11 @@ function buildScenarioMeta(scenarioParam, siteUrl) {
   if (!parsed) return null;
 
   const lang = normalizeLanguage(parsed.lang || parsed.language);
-  const title = oneLine(parsed.event || parsed.title || byLanguage(lang, "Эффект Бабочки", "Butterfly Effect"));
+  const title = oneLine(parsed.event || parsed.title || localeText(lang, "messages.siteName"));
   const subtitle = oneLine(parsed.subtitle || "");
   const narrative = oneLine(parsed.narrative || "");
   const description = truncate(subtitle || firstSentence(narrative), 220)
-    || byLanguage(
-      lang,
-      "Альтернативная история с неожиданной развилкой и последствиями.",
-      "Alternate history with an unexpected branch and consequences."
-    );
+    || localeText(lang, "messages.scenarioDescriptionFallback");
   const imageUrl = `${siteUrl}/og/scenario.png?scenario=${encodeURIComponent(scenarioParam)}`;
   return {
     title,
@@ -1578,8 +5240,8 @@ function buildScenarioMeta(scenarioParam, siteUrl) {
     subtitle,
     narrative,
     lang,
-    locale: lang === "en" ? "en_US" : "ru_RU",
-    siteName: byLanguage(lang, "Эффект Бабочки", "Butterfly Effect"),
+    locale: getLocale(lang).ogLocale,
+    siteName: localeText(lang, "messages.siteName"),
   };
 }
 
@@ -1711,6 +5373,7 @@ function normalizePublicScenarioRecord(entry, storeEntry, engagementEntry) {
   const era = oneLine(entry.era || "");
   const wordCount = countWords(narrative);
   const paragraphs = splitNarrativeIntoParagraphs(narrative);
+  const narrativeFormat = normalizeNarrativeFormat(parsed.narrativeFormat);
   const engagement = normalizeScenarioEngagementMetrics(engagementEntry);
   const quality = buildScenarioQualityReport({
     slug,
@@ -1723,6 +5386,7 @@ function normalizePublicScenarioRecord(entry, storeEntry, engagementEntry) {
     era,
     themes,
     tone,
+    createdAt,
   });
   const autoReview = normalizeAutoReview(entry.autoReview);
   const autoManaged = Boolean(entry.autoManaged) || entry.publicationSource === "auto";
@@ -1758,6 +5422,9 @@ function normalizePublicScenarioRecord(entry, storeEntry, engagementEntry) {
     description,
     narrative,
     paragraphs,
+    narrativeFormat,
+    blocks: parseNarrativeBlocks(parsed.narrative, narrativeFormat),
+    realHistory: normalizeRealHistory(parsed.realHistory, new Date().getFullYear()),
     countries,
     era,
     themes,
@@ -1854,7 +5521,7 @@ function buildScenarioFacets(scenarios) {
     themes: buildFacetList(scenarios.flatMap((entry) => entry.themes)),
     tones: buildFacetList(scenarios.map((entry) => entry.tone).filter(Boolean)),
     languages: buildFacetList(
-      scenarios.map((entry) => (entry.lang === "en" ? "English" : "Русский"))
+      scenarios.map((entry) => getLocale(entry.lang).name)
     ),
   };
 }
@@ -1877,38 +5544,41 @@ function buildFacetList(values) {
     });
 }
 
-function buildHomePageMeta(siteUrl, library) {
-  const title = "Эффект Бабочки — генератор и архив альтернативной истории";
-  const description = `Генератор альтернативной истории и публичный архив с ${library.totalCount} отобранными сценариями, внутренними ссылками и поисковыми страницами.`;
+function buildHomePageMeta(siteUrl, library, locale = DEFAULT_LOCALE) {
+  const title = localeText(locale, "messages.pages.homeTitle");
+  const description = localeText(locale, "messages.pages.homeDescription", { count: library.totalCount });
+  const pageUrl = `${siteUrl}${localizePath("/", locale)}`;
 
   return {
     title,
     description,
-    canonicalUrl: `${siteUrl}/`,
-    ogUrl: `${siteUrl}/`,
+    canonicalUrl: pageUrl,
+    ogUrl: pageUrl,
     imageUrl: `${siteUrl}/logo.png`,
-    locale: "ru_RU",
-    htmlLang: "ru",
+    locale: getLocale(locale).ogLocale,
+    htmlLang: locale,
     robots: "index,follow",
     ogType: "website",
-    structuredData: buildWebsiteStructuredData(siteUrl, { title, description }),
+    alternates: buildLocaleAlternates(siteUrl, "/"),
+    structuredData: buildWebsiteStructuredData(siteUrl, { title, description }, locale),
   };
 }
 
-function buildPrivateScenarioPageMeta({ scenarioParam, shareId, siteUrl }) {
+function buildPrivateScenarioPageMeta({ scenarioParam, shareId, siteUrl, locale = DEFAULT_LOCALE }) {
   const scenarioMeta = buildScenarioMeta(scenarioParam, siteUrl);
   if (!scenarioMeta) {
-    return buildHomePageMeta(siteUrl, { totalCount: 0 });
+    return buildHomePageMeta(siteUrl, { totalCount: 0 }, locale);
   }
 
+  const homeUrl = `${siteUrl}${localizePath("/", locale)}`;
   const shareUrl = shareId
-    ? `${siteUrl}/?s=${encodeURIComponent(shareId)}`
-    : `${siteUrl}/?scenario=${encodeURIComponent(scenarioParam)}`;
+    ? `${homeUrl}?s=${encodeURIComponent(shareId)}`
+    : `${homeUrl}?scenario=${encodeURIComponent(scenarioParam)}`;
 
   return {
-    title: `${scenarioMeta.title} | Эффект Бабочки`,
+    title: localeText(scenarioMeta.lang, "messages.pages.titleTemplate", { title: scenarioMeta.title }),
     description: scenarioMeta.description,
-    canonicalUrl: shareId ? shareUrl : `${siteUrl}/`,
+    canonicalUrl: shareId ? shareUrl : homeUrl,
     ogUrl: shareUrl,
     imageUrl: scenarioMeta.imageUrl,
     locale: scenarioMeta.locale,
@@ -1919,78 +5589,93 @@ function buildPrivateScenarioPageMeta({ scenarioParam, shareId, siteUrl }) {
   };
 }
 
-function buildArchivePageMeta(siteUrl, library, filteredScenarios, filters) {
-  const suffix = filters.hasFilters
-    ? `: ${formatActiveFilterSummary(filters)}`
-    : "";
-  const title = `Архив сценариев альтернативной истории${suffix} | Эффект Бабочки`;
+function buildArchivePageMeta(siteUrl, library, filteredScenarios, filters, locale = DEFAULT_LOCALE) {
+  const filterSummary = formatActiveFilterSummary(filters, locale);
+  const title = localeText(locale, "messages.pages.titleTemplate", {
+    title: filters.hasFilters
+      ? localeText(locale, "messages.pages.archiveTitleFiltered", { filters: filterSummary })
+      : localeText(locale, "messages.pages.archiveTitle"),
+  });
   const description = filters.hasFilters
-    ? `Подборка из ${filteredScenarios.length} опубликованных сценариев по фильтру "${formatActiveFilterSummary(filters)}".`
-    : `Публичный архив из ${library.totalCount} отобранных сценариев: политика, цивилизации, катастрофы, эволюция и неожиданные развилки мировой истории.`;
+    ? localeText(locale, "messages.pages.archiveDescriptionFiltered", {
+      count: filteredScenarios.length,
+      filters: filterSummary,
+    })
+    : localeText(locale, "messages.pages.archiveDescription", { count: library.totalCount });
+  const archiveUrl = `${siteUrl}${localizePath("/scenarios", locale)}`;
 
   return {
     title,
     description,
-    canonicalUrl: `${siteUrl}/scenarios`,
+    canonicalUrl: archiveUrl,
     ogUrl: filters.hasFilters
-      ? `${siteUrl}/scenarios?${buildArchiveQueryString(filters)}`
-      : `${siteUrl}/scenarios`,
+      ? `${archiveUrl}?${buildArchiveQueryString(filters)}`
+      : archiveUrl,
     imageUrl: `${siteUrl}/logo.png`,
-    locale: "ru_RU",
-    htmlLang: "ru",
+    locale: getLocale(locale).ogLocale,
+    htmlLang: locale,
     robots: filters.hasFilters ? "noindex,follow" : "index,follow",
     ogType: "website",
-    structuredData: buildArchiveStructuredData(siteUrl, library.totalCount, title, description),
+    alternates: filters.hasFilters ? [] : buildLocaleAlternates(siteUrl, "/scenarios"),
+    structuredData: buildArchiveStructuredData(siteUrl, library.totalCount, title, description, locale),
   };
 }
 
-function buildPublicScenarioPageMeta(scenario, siteUrl) {
-  const canonicalUrl = `${siteUrl}${scenario.url}`;
+// текст сценария существует на одном языке: версии с чужим интерфейсом не дубли для поиска,
+// поэтому canonical и hreflang ведут только на адрес с языком самого сценария
+function buildPublicScenarioPageMeta(scenario, siteUrl, locale = DEFAULT_LOCALE) {
+  const canonicalUrl = `${siteUrl}${localizePath(scenario.url, scenario.lang)}`;
   const imageUrl = `${siteUrl}/og/scenario.png?scenario=${encodeURIComponent(scenario.encodedScenario)}`;
+  const isIndexable = scenario.status === "public";
 
   return {
-    title: `${scenario.title} | Эффект Бабочки`,
+    title: localeText(locale, "messages.pages.titleTemplate", { title: scenario.title }),
     description: scenario.description,
     canonicalUrl,
     ogUrl: canonicalUrl,
     imageUrl,
-    locale: scenario.lang === "en" ? "en_US" : "ru_RU",
-    htmlLang: scenario.lang,
-    robots: scenario.status === "public" ? "index,follow" : "noindex,follow",
+    locale: getLocale(locale).ogLocale,
+    htmlLang: locale,
+    robots: isIndexable ? "index,follow" : "noindex,follow",
     ogType: "article",
-    structuredData: buildPublicScenarioStructuredData(siteUrl, scenario, imageUrl),
+    alternates: isIndexable ? [{ hreflang: scenario.lang, href: canonicalUrl }] : [],
+    structuredData: buildPublicScenarioStructuredData(siteUrl, scenario, imageUrl, locale),
   };
 }
 
-function buildNotFoundPageMeta(siteUrl) {
+function buildNotFoundPageMeta(siteUrl, locale = DEFAULT_LOCALE) {
+  const homeUrl = `${siteUrl}${localizePath("/", locale)}`;
   return {
-    title: "Страница не найдена | Эффект Бабочки",
-    description: "Запрошенная страница не найдена. Откройте архив сценариев альтернативной истории или запустите новый генератор.",
-    canonicalUrl: `${siteUrl}/`,
-    ogUrl: `${siteUrl}/`,
+    title: localeText(locale, "messages.pages.titleTemplate", {
+      title: localeText(locale, "messages.pages.notFoundTitle"),
+    }),
+    description: localeText(locale, "messages.pages.notFoundDescription"),
+    canonicalUrl: homeUrl,
+    ogUrl: homeUrl,
     imageUrl: `${siteUrl}/logo.png`,
-    locale: "ru_RU",
-    htmlLang: "ru",
+    locale: getLocale(locale).ogLocale,
+    htmlLang: locale,
     robots: "noindex,follow",
     ogType: "website",
     structuredData: buildWebsiteStructuredData(siteUrl, {
-      title: "Эффект Бабочки",
-      description: "Генератор и архив альтернативной истории.",
-    }),
+      title: localeText(locale, "messages.siteName"),
+      description: localeText(locale, "messages.pages.notFoundSiteDescription"),
+    }, locale),
   };
 }
 
-function buildWebsiteStructuredData(siteUrl, { title, description }) {
+function buildWebsiteStructuredData(siteUrl, { title, description }, locale = DEFAULT_LOCALE) {
+  const siteName = localeText(locale, "messages.siteName");
   return {
     "@context": "https://schema.org",
     "@type": "WebSite",
-    name: "Эффект Бабочки",
+    name: siteName,
     url: siteUrl,
-    inLanguage: "ru-RU",
+    inLanguage: getLocale(locale).bcp47,
     description,
     publisher: {
       "@type": "Organization",
-      name: "Эффект Бабочки",
+      name: siteName,
       logo: {
         "@type": "ImageObject",
         url: `${siteUrl}/logo.png`,
@@ -1998,29 +5683,29 @@ function buildWebsiteStructuredData(siteUrl, { title, description }) {
     },
     potentialAction: {
       "@type": "SearchAction",
-      target: `${siteUrl}/scenarios?theme={search_term_string}`,
+      target: `${siteUrl}${localizePath("/scenarios", locale)}?theme={search_term_string}`,
       "query-input": "required name=search_term_string",
     },
     headline: title,
   };
 }
 
-function buildArchiveStructuredData(siteUrl, totalCount, title, description) {
+function buildArchiveStructuredData(siteUrl, totalCount, title, description, locale = DEFAULT_LOCALE) {
   return {
     "@context": "https://schema.org",
     "@type": "CollectionPage",
     name: title,
-    url: `${siteUrl}/scenarios`,
+    url: `${siteUrl}${localizePath("/scenarios", locale)}`,
     description,
-    inLanguage: "ru-RU",
+    inLanguage: getLocale(locale).bcp47,
     isPartOf: {
       "@type": "WebSite",
-      name: "Эффект Бабочки",
+      name: localeText(locale, "messages.siteName"),
       url: siteUrl,
     },
     about: {
       "@type": "Thing",
-      name: "Альтернативная история",
+      name: localeText(locale, "messages.pages.archiveAbout"),
     },
     mainEntity: {
       "@type": "ItemList",
@@ -2037,12 +5722,14 @@ function buildTemporaryScenarioStructuredData(url, scenarioMeta) {
     name: scenarioMeta.title,
     description: scenarioMeta.description,
     url,
-    inLanguage: scenarioMeta.lang === "en" ? "en-US" : "ru-RU",
+    inLanguage: getLocale(scenarioMeta.lang).bcp47,
     isAccessibleForFree: true,
   };
 }
 
-function buildPublicScenarioStructuredData(siteUrl, scenario, imageUrl) {
+function buildPublicScenarioStructuredData(siteUrl, scenario, imageUrl, locale = DEFAULT_LOCALE) {
+  const pageUrl = `${siteUrl}${localizePath(scenario.url, locale)}`;
+  const siteName = localeText(locale, "messages.siteName");
   return [
     {
       "@context": "https://schema.org",
@@ -2051,20 +5738,20 @@ function buildPublicScenarioStructuredData(siteUrl, scenario, imageUrl) {
         {
           "@type": "ListItem",
           position: 1,
-          name: "Главная",
-          item: `${siteUrl}/`,
+          name: pageText(locale, "scenarioBreadcrumbHome"),
+          item: `${siteUrl}${localizePath("/", locale)}`,
         },
         {
           "@type": "ListItem",
           position: 2,
-          name: "Архив сценариев",
-          item: `${siteUrl}/scenarios`,
+          name: pageText(locale, "scenarioBreadcrumbArchive"),
+          item: `${siteUrl}${localizePath("/scenarios", locale)}`,
         },
         {
           "@type": "ListItem",
           position: 3,
           name: scenario.title,
-          item: `${siteUrl}${scenario.url}`,
+          item: pageUrl,
         },
       ],
     },
@@ -2074,220 +5761,288 @@ function buildPublicScenarioStructuredData(siteUrl, scenario, imageUrl) {
       headline: scenario.title,
       alternativeHeadline: scenario.subtitle,
       description: scenario.description,
-      url: `${siteUrl}${scenario.url}`,
-      inLanguage: scenario.lang === "en" ? "en-US" : "ru-RU",
+      url: pageUrl,
+      inLanguage: getLocale(scenario.lang).bcp47,
       datePublished: scenario.publishedAt,
       dateModified: scenario.updatedAt,
       image: [imageUrl],
       author: {
         "@type": "Organization",
-        name: "Эффект Бабочки",
+        name: siteName,
       },
       publisher: {
         "@type": "Organization",
-        name: "Эффект Бабочки",
+        name: siteName,
         logo: {
           "@type": "ImageObject",
           url: `${siteUrl}/logo.png`,
         },
       },
-      mainEntityOfPage: `${siteUrl}${scenario.url}`,
+      mainEntityOfPage: pageUrl,
       isAccessibleForFree: true,
       articleSection: scenario.themes.join(", "),
       keywords: [...scenario.countries, scenario.era, ...scenario.themes, scenario.tone]
         .filter(Boolean)
         .join(", "),
+      ...(scenario.realHistory
+        ? {
+          about: {
+            "@type": "Event",
+            name: scenario.realHistory.event,
+            ...(scenario.realHistory.year ? { startDate: String(scenario.realHistory.year) } : {}),
+            ...(scenario.realHistory.facts.length
+              ? { description: scenario.realHistory.facts.join(" ") }
+              : {}),
+          },
+        }
+        : {}),
     },
   ];
 }
 
-function renderHomeLead() {
+function renderHomeLead(locale = DEFAULT_LOCALE) {
   return `
       <section class="hero-shell" aria-labelledby="hero-title-text">
         <div class="hero">
-          <p id="hero-eyebrow" class="eyebrow">Альтернативная история</p>
+          <p id="hero-eyebrow" class="eyebrow" data-page-i18n="heroEyebrow">${escapeHtmlAttr(pageText(locale, "heroEyebrow"))}</p>
           <div class="hero-title">
-            <h1 id="hero-title-text">Эффект Бабочки</h1>
+            <h1 id="hero-title-text" data-page-i18n="heroTitle">${escapeHtmlAttr(pageText(locale, "heroTitle"))}</h1>
           </div>
-          <p id="hero-subtitle" class="subtitle">
-            Напишите реальное историческое событие, а ИИ построит гипотезу: что было бы, если всё пошло иначе.
+          <p id="hero-subtitle" class="subtitle" data-page-i18n="heroSubtitle">
+            ${escapeHtmlAttr(pageText(locale, "heroSubtitle"))}
           </p>
           <div class="hero-actions">
-            <a id="hero-primary-link" class="hero-link hero-link-primary" href="#workspace">Создать сценарий</a>
-            <a id="hero-secondary-link" class="hero-link" href="#support-section">Поддержать проект</a>
+            <a id="hero-primary-link" class="hero-link hero-link-primary" href="#workspace" data-page-i18n="heroPrimaryLink">${escapeHtmlAttr(pageText(locale, "heroPrimaryLink"))}</a>
+            <a id="hero-secondary-link" class="hero-link" href="#support-section" data-page-i18n="heroSecondaryLink">${escapeHtmlAttr(pageText(locale, "heroSecondaryLink"))}</a>
           </div>
         </div>
       </section>`;
 }
 
-function renderArchivePreviewSection(library, options = {}) {
+function renderArchivePreviewSection(library, options = {}, locale = DEFAULT_LOCALE) {
   const scenarios = (library.featured.length > 0 ? library.featured : library.recent).slice(0, 4);
   if (scenarios.length === 0) {
     return "";
   }
 
-  const title = options.title || "Публичный архив сценариев";
-  const subtitle =
-    options.subtitle ||
-    "Сильные сценарии теперь живут не только в чате, но и как отдельные страницы, по которым можно ходить дальше.";
+  const titleKey = options.titleKey || "archivePreviewTitle";
+  const subtitleKey = options.subtitleKey || "archivePreviewSubtitle";
 
   return `
       <section class="content-section" aria-labelledby="archive-preview-title">
         <div class="section-head">
           <div>
-            <p class="section-eyebrow" data-page-i18n="archivePreviewEyebrow">Архив</p>
-            <h2 id="archive-preview-title" class="section-heading" data-page-i18n="archivePreviewTitle">${escapeHtmlAttr(title)}</h2>
-            <p class="section-copy" data-page-i18n="archivePreviewSubtitle">${escapeHtmlAttr(subtitle)}</p>
+            <p class="section-eyebrow" data-page-i18n="archivePreviewEyebrow">${escapeHtmlAttr(pageText(locale, "archivePreviewEyebrow"))}</p>
+            <h2 id="archive-preview-title" class="section-heading" data-page-i18n="${escapeHtmlAttr(titleKey)}">${escapeHtmlAttr(pageText(locale, titleKey))}</h2>
+            <p class="section-copy" data-page-i18n="${escapeHtmlAttr(subtitleKey)}">${escapeHtmlAttr(pageText(locale, subtitleKey))}</p>
           </div>
-          <a class="hero-link" href="/scenarios" data-page-i18n="archivePreviewLink">Открыть весь архив</a>
+          <a class="hero-link" href="${escapeHtmlAttr(localizePath("/scenarios", locale))}" data-page-i18n="archivePreviewLink">${escapeHtmlAttr(pageText(locale, "archivePreviewLink"))}</a>
         </div>
         <div class="scenario-grid">
-          ${scenarios.map((scenario) => renderScenarioCard(scenario)).join("\n")}
+          ${scenarios.map((scenario) => renderScenarioCard(scenario, locale)).join("\n")}
         </div>
       </section>`;
 }
 
-function renderArchivePage(library, filteredScenarios, filters) {
+function renderArchivePage(library, filteredScenarios, filters, locale = DEFAULT_LOCALE) {
+  const text = (key, params) => escapeHtmlAttr(pageText(locale, key, params));
+  const archivePath = localizePath("/scenarios", locale);
+
   return `
       <section class="page-lead archive-lead">
-        <p class="eyebrow" data-page-i18n="archiveEyebrow">Публичный архив</p>
-        <h1 data-page-i18n="archiveTitle">Сценарии альтернативной истории</h1>
+        <p class="eyebrow" data-page-i18n="archiveEyebrow">${text("archiveEyebrow")}</p>
+        <h1 data-page-i18n="archiveTitle">${text("archiveTitle")}</h1>
         <p class="subtitle" data-page-i18n="archiveSubtitle">
-          Отобранные публикации с самостоятельными URL, метаданными и внутренними переходами. Это уже не просто генератор, а библиотека развилок.
+          ${text("archiveSubtitle")}
         </p>
         <div class="hero-stats archive-stats">
           <div class="hero-stat">
             <span class="hero-stat-value">${library.totalCount}</span>
-            <span class="hero-stat-label" data-page-i18n="archiveStatPublished">опубликованных сценариев</span>
+            <span class="hero-stat-label" data-page-i18n="archiveStatPublished">${text("archiveStatPublished")}</span>
           </div>
           <div class="hero-stat">
             <span class="hero-stat-value">${library.facets.themes.length}</span>
-            <span class="hero-stat-label" data-page-i18n="archiveStatThemes">основных тем</span>
+            <span class="hero-stat-label" data-page-i18n="archiveStatThemes">${text("archiveStatThemes")}</span>
           </div>
           <div class="hero-stat">
             <span class="hero-stat-value">${library.facets.eras.length}</span>
-            <span class="hero-stat-label" data-page-i18n="archiveStatEras">эпох и периодов</span>
+            <span class="hero-stat-label" data-page-i18n="archiveStatEras">${text("archiveStatEras")}</span>
           </div>
         </div>
       </section>
       <section class="content-section filters-shell" aria-labelledby="archive-filters-title">
         <div class="section-head compact">
           <div>
-            <p class="section-eyebrow" data-page-i18n="archiveNavigationEyebrow">Навигация</p>
-            <h2 id="archive-filters-title" class="section-heading" data-page-i18n="archiveFiltersTitle">Фильтры и таксономия</h2>
+            <p class="section-eyebrow" data-page-i18n="archiveNavigationEyebrow">${text("archiveNavigationEyebrow")}</p>
+            <h2 id="archive-filters-title" class="section-heading" data-page-i18n="archiveFiltersTitle">${text("archiveFiltersTitle")}</h2>
             <p id="archive-filters-copy" class="section-copy">
               ${filters.hasFilters
-                ? `Сейчас показаны сценарии по фильтру: ${escapeHtmlAttr(formatActiveFilterSummary(filters))}.`
-                : "Фильтруйте по стране, эпохе, теме и тону, чтобы архив был удобен и людям, и поисковикам."}
+                ? text("archiveFiltersActiveCopy", { filters: formatActiveFilterSummary(filters, locale) })
+                : text("archiveFiltersDefaultCopy")}
             </p>
           </div>
-          ${filters.hasFilters ? '<a class="hero-link" href="/scenarios" data-page-i18n="archiveResetFilters">Сбросить фильтры</a>' : ""}
+          ${filters.hasFilters ? `<a class="hero-link" href="${escapeHtmlAttr(archivePath)}" data-page-i18n="archiveResetFilters">${text("archiveResetFilters")}</a>` : ""}
         </div>
         <div class="filter-groups">
-          ${renderFilterGroup("Страна", "country", library.facets.countries, filters)}
-          ${renderFilterGroup("Эпоха", "era", library.facets.eras, filters)}
-          ${renderFilterGroup("Тема", "theme", library.facets.themes, filters)}
-          ${renderFilterGroup("Тон", "tone", library.facets.tones, filters)}
+          ${renderFilterGroup("country", library.facets.countries, filters, locale)}
+          ${renderFilterGroup("era", library.facets.eras, filters, locale)}
+          ${renderFilterGroup("theme", library.facets.themes, filters, locale)}
+          ${renderFilterGroup("tone", library.facets.tones, filters, locale)}
         </div>
       </section>
       <section class="content-section" aria-labelledby="archive-grid-title">
         <div class="section-head compact">
           <div>
-            <p class="section-eyebrow" data-page-i18n="archiveResultsEyebrow">Результаты</p>
-            <h2 id="archive-grid-title" class="section-heading" data-page-i18n="archiveResultsTitle">Доступные сценарии</h2>
-            <p id="archive-results-count" class="section-copy" data-count="${filteredScenarios.length}">Найдено сценариев: ${filteredScenarios.length}.</p>
+            <p class="section-eyebrow" data-page-i18n="archiveResultsEyebrow">${text("archiveResultsEyebrow")}</p>
+            <h2 id="archive-grid-title" class="section-heading" data-page-i18n="archiveResultsTitle">${text("archiveResultsTitle")}</h2>
+            <p id="archive-results-count" class="section-copy" data-count="${filteredScenarios.length}">${text("archiveResultsCount", { count: filteredScenarios.length })}</p>
           </div>
         </div>
         ${filteredScenarios.length
-          ? `<div class="scenario-grid">${filteredScenarios.map((scenario) => renderScenarioCard(scenario)).join("\n")}</div>`
-          : '<div class="empty-state"><h3 data-page-i18n="archiveEmptyTitle">Под этот фильтр пока нет сценариев.</h3><p data-page-i18n="archiveEmptyCopy">Попробуйте снять часть ограничений или открыть весь архив.</p></div>'}
+          ? `<div class="scenario-grid">${filteredScenarios.map((scenario) => renderScenarioCard(scenario, locale)).join("\n")}</div>`
+          : `<div class="empty-state"><h3 data-page-i18n="archiveEmptyTitle">${text("archiveEmptyTitle")}</h3><p data-page-i18n="archiveEmptyCopy">${text("archiveEmptyCopy")}</p></div>`}
       </section>`;
 }
 
-function renderPublicScenarioPage(scenario, library) {
+function renderPublicScenarioPage(scenario, library, locale = DEFAULT_LOCALE) {
+  const text = (key, params) => escapeHtmlAttr(pageText(locale, key, params));
   const related = getRelatedScenarios(scenario, library.scenarios, 4);
   const recent = library.recent.filter((entry) => entry.slug !== scenario.slug).slice(0, 4);
   const popular = library.popular.filter((entry) => entry.slug !== scenario.slug).slice(0, 4);
+  const archivePath = escapeHtmlAttr(localizePath("/scenarios", locale));
+  const contentLang = renderContentLangAttr(scenario.lang, locale);
 
   return `
       <section class="page-lead scenario-lead">
-        <nav class="breadcrumbs" aria-label="Хлебные крошки" data-page-i18n-attr="aria-label" data-page-i18n-attr-key="breadcrumbAria">
-          <a href="/" data-page-i18n="scenarioBreadcrumbHome">Главная</a>
+        <nav class="breadcrumbs" aria-label="${text("breadcrumbAria")}" data-page-i18n-attr="aria-label" data-page-i18n-attr-key="breadcrumbAria">
+          <a href="${escapeHtmlAttr(localizePath("/", locale))}" data-page-i18n="scenarioBreadcrumbHome">${text("scenarioBreadcrumbHome")}</a>
           <span>/</span>
-          <a href="/scenarios" data-page-i18n="scenarioBreadcrumbArchive">Архив сценариев</a>
+          <a href="${archivePath}" data-page-i18n="scenarioBreadcrumbArchive">${text("scenarioBreadcrumbArchive")}</a>
           <span>/</span>
-          <span>${escapeHtmlAttr(scenario.title)}</span>
+          <span${contentLang}>${escapeHtmlAttr(scenario.title)}</span>
         </nav>
-        <p class="eyebrow" data-page-i18n="publicScenarioEyebrow">Публичный сценарий</p>
-        <h1>${escapeHtmlAttr(scenario.title)}</h1>
-        <p class="subtitle">${escapeHtmlAttr(scenario.subtitle || scenario.summary)}</p>
+        <p class="eyebrow" data-page-i18n="publicScenarioEyebrow">${text("publicScenarioEyebrow")}</p>
+        <h1${contentLang}>${escapeHtmlAttr(scenario.title)}</h1>
+        <p class="subtitle"${contentLang}>${escapeHtmlAttr(scenario.subtitle || scenario.summary)}</p>
         <div class="taxonomy-pills">
-          ${renderScenarioPills(scenario)}
-          <span id="scenario-reading-time" class="taxonomy-pill" data-count="${scenario.readingMinutes}">${scenario.readingMinutes} мин чтения</span>
+          ${renderScenarioPills(scenario, locale)}
+          <span id="scenario-reading-time" class="taxonomy-pill" data-count="${scenario.readingMinutes}">${text("scenarioReadingTime", { count: scenario.readingMinutes })}</span>
         </div>
         <div class="hero-actions">
-          <a class="hero-link hero-link-primary" href="#workspace" data-page-i18n="scenarioPrimaryCta">Смоделировать свою развилку</a>
-          <a class="hero-link" href="/scenarios" data-page-i18n="scenarioSecondaryCta">Вернуться в архив</a>
+          <a class="hero-link hero-link-primary" href="#workspace" data-page-i18n="scenarioPrimaryCta">${text("scenarioPrimaryCta")}</a>
+          <a class="hero-link" href="${archivePath}" data-page-i18n="scenarioSecondaryCta">${text("scenarioSecondaryCta")}</a>
         </div>
       </section>
       <article class="story-card" aria-labelledby="story-title">
         <div class="story-summary">
-          <p class="section-eyebrow" data-page-i18n="storyEyebrow">Краткий заход</p>
-          <h2 id="story-title" class="section-heading" data-page-i18n="storyTitle">Что меняется в этой версии истории</h2>
-          <p class="story-summary-copy">${escapeHtmlAttr(scenario.summary)}</p>
-        </div>
-        <div class="story-body">
-          ${scenario.paragraphs.map((paragraph) => `<p>${escapeHtmlAttr(paragraph)}</p>`).join("\n")}
+          <p class="section-eyebrow" data-page-i18n="storyEyebrow">${text("storyEyebrow")}</p>
+          <h2 id="story-title" class="section-heading" data-page-i18n="storyTitle">${text("storyTitle")}</h2>
+          <p class="story-summary-copy"${contentLang}>${escapeHtmlAttr(scenario.summary)}</p>
         </div>
+        ${renderScenarioStoryBody(scenario, locale)}
+        ${renderRealHistoryBlock(scenario.realHistory, scenario.lang, locale)}
       </article>
       <section class="content-section" aria-labelledby="discovery-title">
         <div class="section-head compact">
           <div>
-            <p class="section-eyebrow" data-page-i18n="discoveryEyebrow">Что читать дальше</p>
-            <h2 id="discovery-title" class="section-heading" data-page-i18n="discoveryTitle">Внутренние переходы</h2>
-            <p class="section-copy" data-page-i18n="discoveryCopy">Сценарий должен вести дальше по сайту. Поэтому рядом всегда есть похожие, свежие и популярные развилки.</p>
+            <p class="section-eyebrow" data-page-i18n="discoveryEyebrow">${text("discoveryEyebrow")}</p>
+            <h2 id="discovery-title" class="section-heading" data-page-i18n="discoveryTitle">${text("discoveryTitle")}</h2>
+            <p class="section-copy" data-page-i18n="discoveryCopy">${text("discoveryCopy")}</p>
           </div>
         </div>
         <div class="discovery-columns">
-          ${renderScenarioListBlock("relatedTitle", "Похожие сценарии", "relatedCopy", "Ближайшие страницы по эпохе, теме и стране.", related)}
-          ${renderScenarioListBlock("recentTitle", "Свежие публикации", "recentCopy", "Новые материалы, которые уже добавлены в архив.", recent)}
-          ${renderScenarioListBlock("popularTitle", "Популярные развилки", "popularCopy", "Сценарии, которые логично ставить в верхнюю навигацию архива.", popular)}
+          ${renderScenarioListBlock("relatedTitle", "relatedCopy", related, locale)}
+          ${renderScenarioListBlock("recentTitle", "recentCopy", recent, locale)}
+          ${renderScenarioListBlock("popularTitle", "popularCopy", popular, locale)}
         </div>
       </section>`;
 }
 
-function renderNotFoundSection() {
+// текст сценария остается на языке генерации, даже если оформление страницы на другом
+function renderContentLangAttr(contentLang, locale) {
+  return contentLang && contentLang !== locale ? ` lang="${escapeHtmlAttr(contentLang)}"` : "";
+}
+
+function renderScenarioStoryBody(scenario, locale = DEFAULT_LOCALE) {
+  const contentLang = renderContentLangAttr(scenario.lang, locale);
+  if (scenario.narrativeFormat === DEFAULT_NARRATIVE_FORMAT || scenario.blocks.length === 0) {
+    return `<div class="story-body"${contentLang}>
+          ${scenario.paragraphs.map((paragraph) => `<p>${escapeHtmlAttr(paragraph)}</p>`).join("\n")}
+        </div>`;
+  }
+
+  const authors = [];
+  const blocks = scenario.blocks.map((block) => {
+    const classes = ["story-block", `story-block-${block.kind}`];
+    if (block.kind === "message") {
+      if (!authors.includes(block.label)) authors.push(block.label);
+      if (authors.indexOf(block.label) % 2 === 1) classes.push("is-alt");
+    }
+    const label = block.label
+      ? `<span class="story-block-label">${escapeHtmlAttr(block.label)}</span> `
+      : "";
+    return `<p class="${classes.join(" ")}"${contentLang}>${label}${escapeHtmlAttr(block.text)}</p>`;
+  });
+
+  return `<div class="story-body story-format story-format-${escapeHtmlAttr(scenario.narrativeFormat)}">
+          <p class="story-format-label">${escapeHtmlAttr(localeText(locale, `messages.narrativeFormats.${scenario.narrativeFormat}.ogLabel`))}</p>
+          ${blocks.join("\n")}
+        </div>`;
+}
+
+function renderRealHistoryBlock(realHistory, contentLang = DEFAULT_LOCALE, locale = DEFAULT_LOCALE) {
+  if (!realHistory) {
+    return "";
+  }
+
+  const when = realHistory.date || (realHistory.year ? String(realHistory.year) : "");
+  const langAttr = renderContentLangAttr(contentLang, locale);
+  return `<aside class="story-reality" aria-labelledby="reality-title">
+          <p class="section-eyebrow" data-page-i18n="realityEyebrow">${escapeHtmlAttr(pageText(locale, "realityEyebrow"))}</p>
+          <h2 id="reality-title" class="section-heading" data-page-i18n="realityTitle">${escapeHtmlAttr(pageText(locale, "realityTitle"))}</h2>
+          <p class="story-reality-event"${langAttr}>${when ? `<strong>${escapeHtmlAttr(when)}</strong> — ` : ""}${escapeHtmlAttr(realHistory.event)}</p>
+          ${realHistory.facts.length
+            ? `<ul class="story-reality-facts"${langAttr}>
+            ${realHistory.facts.map((fact) => `<li>${escapeHtmlAttr(fact)}</li>`).join("\n")}
+          </ul>`
+            : ""}
+        </aside>`;
+}
+
+function renderNotFoundSection(locale = DEFAULT_LOCALE) {
+  const text = (key) => escapeHtmlAttr(pageText(locale, key));
   return `
       <section class="page-lead not-found-lead">
         <p class="eyebrow">404</p>
-        <h1 data-page-i18n="notFoundTitle">Эта ветка истории не найдена</h1>
+        <h1 data-page-i18n="notFoundTitle">${text("notFoundTitle")}</h1>
         <p class="subtitle" data-page-i18n="notFoundSubtitle">
-          Возможно, ссылка устарела или сценарий еще не был опубликован. Ниже можно открыть архив или запустить новую генерацию.
+          ${text("notFoundSubtitle")}
         </p>
         <div class="hero-actions">
-          <a class="hero-link hero-link-primary" href="/scenarios" data-page-i18n="notFoundPrimaryCta">Открыть архив</a>
-          <a class="hero-link" href="#workspace" data-page-i18n="notFoundSecondaryCta">Создать новый сценарий</a>
+          <a class="hero-link hero-link-primary" href="${escapeHtmlAttr(localizePath("/scenarios", locale))}" data-page-i18n="notFoundPrimaryCta">${text("notFoundPrimaryCta")}</a>
+          <a class="hero-link" href="#workspace" data-page-i18n="notFoundSecondaryCta">${text("notFoundSecondaryCta")}</a>
         </div>
       </section>`;
 }
 
 function getModeIdFromToneLabel(tone) {
   const normalized = String(tone || "").trim().toLowerCase();
-  if (normalized === "реализм" || normalized === "realism") return "realism";
-  if (normalized === "мрачная хроника" || normalized === "dark chronicle") return "dark";
-  if (normalized === "эпоха процветания" || normalized === "age of prosperity") {
-    return "prosperity";
-  }
-  if (normalized === "безумие" || normalized === "madness") return "madness";
-  if (normalized === "юмор" || normalized === "humor") return "humor";
-  return "";
+  if (!normalized) return "";
+  const mode = MODE_REGISTRY.modes.find((entry) =>
+    [...Object.values(entry.labels), ...Object.values(entry.shortLabels)].some(
+      (label) => label.toLowerCase() === normalized
+    )
+  );
+  return mode?.id || "";
 }
 
-function renderScenarioCard(scenario) {
+function renderScenarioCard(scenario, locale = DEFAULT_LOCALE) {
   const toneModeId = getModeIdFromToneLabel(scenario.tone);
   const toneMarkup = toneModeId
-    ? `<span data-mode-label="true" data-mode-id="${escapeHtmlAttr(toneModeId)}">${escapeHtmlAttr(scenario.tone)}</span>`
+    ? `<span data-mode-label="true" data-mode-id="${escapeHtmlAttr(toneModeId)}">${escapeHtmlAttr(getModeLabelForLang(toneModeId, locale))}</span>`
     : `<span>${escapeHtmlAttr(scenario.tone)}</span>`;
+  const href = escapeHtmlAttr(localizePath(scenario.url, locale));
+  const contentLang = renderContentLangAttr(scenario.lang, locale);
 
   return `
             <article class="scenario-card">
@@ -2295,36 +6050,36 @@ function renderScenarioCard(scenario) {
                 <span>${escapeHtmlAttr(scenario.era)}</span>
                 ${toneMarkup}
               </div>
-              <h3><a href="${escapeHtmlAttr(scenario.url)}">${escapeHtmlAttr(scenario.title)}</a></h3>
-              <p class="scenario-card-copy">${escapeHtmlAttr(scenario.description)}</p>
+              <h3${contentLang}><a href="${href}">${escapeHtmlAttr(scenario.title)}</a></h3>
+              <p class="scenario-card-copy"${contentLang}>${escapeHtmlAttr(scenario.description)}</p>
               <div class="taxonomy-pills compact">
-                ${renderScenarioPills(scenario)}
+                ${renderScenarioPills(scenario, locale)}
               </div>
-              <a class="scenario-card-link" href="${escapeHtmlAttr(scenario.url)}" data-page-i18n="archiveReadLink">Читать сценарий</a>
+              <a class="scenario-card-link" href="${href}" data-page-i18n="archiveReadLink">${escapeHtmlAttr(pageText(locale, "archiveReadLink"))}</a>
             </article>`;
 }
 
-function renderScenarioListBlock(titleKey, title, descriptionKey, description, scenarios) {
+function renderScenarioListBlock(titleKey, descriptionKey, scenarios, locale = DEFAULT_LOCALE) {
   if (!scenarios.length) {
     return "";
   }
 
   return `
             <section class="list-block">
-              <h3 data-page-i18n="${escapeHtmlAttr(titleKey)}">${escapeHtmlAttr(title)}</h3>
-              <p data-page-i18n="${escapeHtmlAttr(descriptionKey)}">${escapeHtmlAttr(description)}</p>
+              <h3 data-page-i18n="${escapeHtmlAttr(titleKey)}">${escapeHtmlAttr(pageText(locale, titleKey))}</h3>
+              <p data-page-i18n="${escapeHtmlAttr(descriptionKey)}">${escapeHtmlAttr(pageText(locale, descriptionKey))}</p>
               <ul>
                 ${scenarios
                   .map(
                     (scenario) =>
-                      `<li><a href="${escapeHtmlAttr(scenario.url)}">${escapeHtmlAttr(scenario.title)}</a><span>${escapeHtmlAttr(scenario.era)}</span></li>`
+                      `<li><a href="${escapeHtmlAttr(localizePath(scenario.url, locale))}"${renderContentLangAttr(scenario.lang, locale)}>${escapeHtmlAttr(scenario.title)}</a><span>${escapeHtmlAttr(scenario.era)}</span></li>`
                   )
                   .join("\n")}
               </ul>
             </section>`;
 }
 
-function renderScenarioPills(scenario) {
+function renderScenarioPills(scenario, locale = DEFAULT_LOCALE) {
   const pills = [
     { label: scenario.countries[0], modeId: "" },
     { label: scenario.era, modeId: "" },
@@ -2337,12 +6092,13 @@ function renderScenarioPills(scenario) {
       const modeAttrs = entry.modeId
         ? ` data-mode-label="true" data-mode-id="${escapeHtmlAttr(entry.modeId)}"`
         : "";
-      return `<span class="taxonomy-pill"${modeAttrs}>${escapeHtmlAttr(entry.label)}</span>`;
+      const label = entry.modeId ? getModeLabelForLang(entry.modeId, locale) : entry.label;
+      return `<span class="taxonomy-pill"${modeAttrs}>${escapeHtmlAttr(label)}</span>`;
     })
     .join("\n");
 }
 
-function renderFilterGroup(title, key, items, filters) {
+function renderFilterGroup(key, items, filters, locale = DEFAULT_LOCALE) {
   if (!items.length) {
     return "";
   }
@@ -2354,6 +6110,7 @@ function renderFilterGroup(title, key, items, filters) {
     tone: "archiveFilterTone",
   };
   const titleKey = titleKeys[key] || "";
+  const title = titleKey ? pageText(locale, titleKey) : key;
 
   return `
             <section class="filter-group" aria-label="${escapeHtmlAttr(title)}">
@@ -2369,10 +6126,10 @@ function renderFilterGroup(title, key, items, filters) {
                       ...filters,
                       [key]: isActive ? "" : item.label,
                     };
-                    const href = buildArchiveHref(nextFilters);
+                    const href = buildArchiveHref(nextFilters, locale);
                     const toneModeId = key === "tone" ? getModeIdFromToneLabel(item.label) : "";
                     const labelMarkup = toneModeId
-                      ? `<span data-mode-label="true" data-mode-id="${escapeHtmlAttr(toneModeId)}">${escapeHtmlAttr(item.label)}</span>`
+                      ? `<span data-mode-label="true" data-mode-id="${escapeHtmlAttr(toneModeId)}">${escapeHtmlAttr(getModeLabelForLang(toneModeId, locale))}</span>`
                       : escapeHtmlAttr(item.label);
                     return `<a class="filter-pill${isActive ? " is-active" : ""}" href="${escapeHtmlAttr(href)}">${labelMarkup} <span>${item.count}</span></a>`;
                   })
@@ -2381,9 +6138,10 @@ function renderFilterGroup(title, key, items, filters) {
             </section>`;
 }
 
-function buildArchiveHref(filters) {
+function buildArchiveHref(filters, locale = DEFAULT_LOCALE) {
+  const archivePath = localizePath("/scenarios", locale);
   const query = buildArchiveQueryString(filters);
-  return query ? `/scenarios?${query}` : "/scenarios";
+  return query ? `${archivePath}?${query}` : archivePath;
 }
 
 function buildArchiveQueryString(filters) {
@@ -2396,13 +6154,14 @@ function buildArchiveQueryString(filters) {
   return params.toString();
 }
 
-function formatActiveFilterSummary(filters) {
+function formatActiveFilterSummary(filters, locale = DEFAULT_LOCALE) {
+  const toneModeId = getModeIdFromToneLabel(filters.tone);
   return [
     filters.country,
     filters.era,
     filters.theme,
-    filters.tone,
-    filters.lang === "en" ? "English" : filters.lang === "ru" ? "Русский" : "",
+    toneModeId ? getModeLabelForLang(toneModeId, locale) : filters.tone,
+    filters.lang ? getLocale(filters.lang).name : "",
   ]
     .filter(Boolean)
     .join(" / ");
@@ -2459,15 +6218,8 @@ function overlapScore(left, right) {
 }
 
 function getModeLabelForLang(modeId, lang) {
-  const mode = String(modeId || "realism").trim();
-  const labels = {
-    realism: lang === "en" ? "Realism" : "Реализм",
-    dark: lang === "en" ? "Dark Chronicle" : "Мрачная хроника",
-    prosperity: lang === "en" ? "Age of Prosperity" : "Эпоха процветания",
-    madness: lang === "en" ? "Madness" : "Безумие",
-    humor: lang === "en" ? "Humor" : "Юмор",
-  };
-  return labels[mode] || labels.realism;
+  const { labels } = resolveModeConfig(modeId);
+  return labels[lang] || labels[DEFAULT_LOCALE] || Object.values(labels)[0];
 }
 
 function normalizeTagList(values) {
@@ -2489,6 +6241,7 @@ function buildScenarioQualityReport({
   era,
   themes,
   tone,
+  createdAt,
 }) {
   const routeIssues = [];
   const publicIssues = [];
@@ -2528,11 +6281,22 @@ function buildScenarioQualityReport({
     publicIssues.push("tone");
   }
 
+  const createdYear = new Date(createdAt || Date.now()).getUTCFullYear();
+  const consistency = checkScenarioConsistency({
+    event: title,
+    narrative,
+    currentYear: Number.isFinite(createdYear) ? createdYear : new Date().getUTCFullYear(),
+  });
+  if (consistency.status === "error") {
+    publicIssues.push("chronology");
+  }
+
   return {
     wordCount,
     paragraphCount: paragraphList.length,
     routeIssues,
     publicIssues,
+    consistency,
     isRoutable: routeIssues.length === 0,
     isPublicReady: routeIssues.length === 0 && publicIssues.length === 0,
   };
@@ -2563,6 +6327,41 @@ function splitNarrativeIntoParagraphs(narrative) {
   return paragraphs.length > 0 ? paragraphs : [clean];
 }
 
+function parseNarrativeBlocks(narrative, narrativeFormat) {
+  const format = normalizeNarrativeFormat(narrativeFormat);
+  return String(narrative || "")
+    .split(/\n+/)
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .map((text, index) => readNarrativeBlock(text, index, format));
+}
+
+function readNarrativeBlock(text, index, format) {
+  if (format === "newspaper" && index === 0) {
+    return { kind: "lead", label: "", text };
+  }
+  if (format === "textbook") {
+    if (/^§\s*\d+/.test(text)) {
+      return { kind: "heading", label: "", text };
+    }
+    const questions = text.match(/^((?:Вопросы|Questions)[^:]{0,40}):\s*(.+)$/i);
+    if (questions) {
+      return { kind: "questions", label: questions[1], text: questions[2] };
+    }
+  }
+  if (format === "diary" || format === "chat") {
+    const labeled = text.match(/^([^:]{2,48}):\s+(.+)$/);
+    if (labeled && (format === "chat" || /\d/.test(labeled[1]))) {
+      return {
+        kind: format === "chat" ? "message" : "entry",
+        label: labeled[1].trim(),
+        text: labeled[2],
+      };
+    }
+  }
+  return { kind: "paragraph", label: "", text };
+}
+
 function countWords(text) {
   return oneLine(text).split(" ").filter(Boolean).length;
 }
@@ -2627,6 +6426,9 @@ function normalizeAutoReview(value) {
     riskFlags: normalizeTagList(review.riskFlags),
     duplicateOfSlug: oneLine(review.duplicateOfSlug || ""),
     lowIntent: Boolean(review.lowIntent),
+    ...(Number.isFinite(review.languageConfidence)
+      ? { languageConfidence: clampNumber(review.languageConfidence, 0, 1) }
+      : {}),
     updatedAt: normalizeIsoTimestamp(review.updatedAt),
   };
 }
@@ -2815,19 +6617,84 @@ async function syncAutomaticScenarioManifestEntry({ shareId, scenario, createdAt
     return null;
   }
 
-  const nextManifest = upsertAutomaticManifestEntry(autoManifest, nextEntry);
-  await writeAutoPublicScenarioManifest(nextManifest);
-  return nextEntry;
+  const nextManifest = upsertAutomaticManifestEntry(autoManifest, nextEntry);
+  await writeAutoPublicScenarioManifest(nextManifest);
+  return nextEntry;
+}
+
+function buildAutomaticScenarioManifestEntry({
+  shareId,
+  parsed,
+  createdAt,
+  existingEntry,
+  engagement,
+  existingScenarios,
+}) {
+  const {
+    lang,
+    title,
+    subtitle,
+    summary,
+    description,
+    countries,
+    themes,
+    era,
+    tone,
+    slug,
+    quality,
+    duplicate,
+    riskFlags,
+    lowIntent,
+    languageCheck,
+    score,
+    blockers,
+  } = reviewScenarioForPublication({ shareId, parsed, createdAt, engagement, existingScenarios });
+
+  const desiredStatus = decideAutomaticPublicationStatus({
+    quality,
+    score,
+    blockers,
+    engagement,
+    existingPublishedAt: existingEntry?.publishedAt,
+    createdAt,
+  });
+  const publishedAt = desiredStatus === "public"
+    ? normalizeIsoDate(existingEntry?.publishedAt || new Date())
+    : normalizeIsoDate(existingEntry?.publishedAt || createdAt);
+
+  return cleanupAutomaticManifestEntry({
+    shareId,
+    slug,
+    status: desiredStatus,
+    autoManaged: true,
+    publishedAt,
+    updatedAt: normalizeIsoDate(new Date()),
+    popularity: resolveAutomaticPopularity(existingEntry?.popularity, { score }, engagement),
+    summary,
+    description,
+    countries,
+    era,
+    themes,
+    tone,
+    title,
+    subtitle,
+    relatedSlugs: normalizeTagList(existingEntry?.relatedSlugs),
+    ...(lang !== DEFAULT_LOCALE ? { lang } : {}),
+    autoReview: {
+      version: AUTO_REVIEW_VERSION,
+      score,
+      blockers,
+      riskFlags,
+      duplicateOfSlug: duplicate?.slug || "",
+      lowIntent,
+      languageConfidence: languageCheck.confidence,
+      updatedAt: new Date().toISOString(),
+      engagement: summarizeScenarioEngagementMetrics(engagement),
+    },
+  });
 }
 
-function buildAutomaticScenarioManifestEntry({
-  shareId,
-  parsed,
-  createdAt,
-  existingEntry,
-  engagement,
-  existingScenarios,
-}) {
+function reviewScenarioForPublication({ shareId, parsed, createdAt, engagement, existingScenarios }) {
   const lang = normalizeLanguage(parsed.lang || parsed.language);
   const title = oneLine(parsed.event || parsed.title || "");
   const subtitle = oneLine(
@@ -2858,6 +6725,7 @@ function buildAutomaticScenarioManifestEntry({
     era,
     themes,
     tone,
+    createdAt,
   });
   const duplicate = findDuplicatePublicScenario(existingScenarios, {
     shareId,
@@ -2868,6 +6736,7 @@ function buildAutomaticScenarioManifestEntry({
   });
   const riskFlags = detectScenarioAdRiskFlags({ title, subtitle, narrative });
   const lowIntent = hasLowIntentScenario({ title, subtitle, narrative });
+  const languageCheck = checkScenarioLanguage({ narrative, subtitle }, lang);
   const score = calculateAutomaticScenarioScore({
     quality,
     title,
@@ -2880,53 +6749,33 @@ function buildAutomaticScenarioManifestEntry({
     riskFlags,
     lowIntent,
     engagement,
+    length: normalizeScenarioLength(parsed.length),
   });
   const blockers = [];
   if (duplicate) blockers.push("duplicate");
   if (riskFlags.length) blockers.push("ad-risk");
   if (lowIntent) blockers.push("low-intent");
+  if (languageCheck.status === "mismatch") blockers.push("language");
 
-  const desiredStatus = decideAutomaticPublicationStatus({
-    quality,
-    score,
-    blockers,
-    engagement,
-    existingPublishedAt: existingEntry?.publishedAt,
-    createdAt,
-  });
-  const publishedAt = desiredStatus === "public"
-    ? normalizeIsoDate(existingEntry?.publishedAt || new Date())
-    : normalizeIsoDate(existingEntry?.publishedAt || createdAt);
-
-  return cleanupAutomaticManifestEntry({
-    shareId,
-    slug,
-    status: desiredStatus,
-    autoManaged: true,
-    publishedAt,
-    updatedAt: normalizeIsoDate(new Date()),
-    popularity: resolveAutomaticPopularity(existingEntry?.popularity, { score }, engagement),
+  return {
+    lang,
+    title,
+    subtitle,
     summary,
     description,
     countries,
-    era,
     themes,
+    era,
     tone,
-    title,
-    subtitle,
-    relatedSlugs: normalizeTagList(existingEntry?.relatedSlugs),
-    ...(lang === "en" ? { lang } : {}),
-    autoReview: {
-      version: AUTO_REVIEW_VERSION,
-      score,
-      blockers,
-      riskFlags,
-      duplicateOfSlug: duplicate?.slug || "",
-      lowIntent,
-      updatedAt: new Date().toISOString(),
-      engagement: summarizeScenarioEngagementMetrics(engagement),
-    },
-  });
+    slug,
+    quality,
+    duplicate,
+    riskFlags,
+    lowIntent,
+    languageCheck,
+    score,
+    blockers,
+  };
 }
 
 function upsertAutomaticManifestEntry(manifest, nextEntry) {
@@ -2989,6 +6838,7 @@ function calculateAutomaticScenarioScore({
   riskFlags,
   lowIntent,
   engagement,
+  length = DEFAULT_SCENARIO_LENGTH,
 }) {
   let score = 0;
   const metrics = normalizeScenarioEngagementMetrics(engagement);
@@ -2996,6 +6846,7 @@ function calculateAutomaticScenarioScore({
   if (quality.wordCount >= AUTO_MIN_PUBLIC_WORDS) score += 18;
   if (quality.wordCount >= 260) score += 8;
   if (quality.wordCount >= 360) score += 4;
+  if (length === "long-read") score += 6;
   if (quality.paragraphCount >= AUTO_MIN_PUBLIC_PARAGRAPHS) score += 10;
   if (quality.paragraphCount >= 4) score += 4;
   if (title.length >= 12) score += 8;
@@ -3017,52 +6868,31 @@ function calculateAutomaticScenarioScore({
 }
 
 function detectScenarioCountries(text, lang) {
-  const rules = [
-    { label: lang === "en" ? "Russia" : "Россия", patterns: [/росси/i, /\brussia\b/i, /\bussr\b/i, /ссср/i, /совет/i] },
-    { label: lang === "en" ? "USA" : "США", patterns: [/\bсша\b/i, /\busa\b/i, /united states/i, /америк/i, /\bamerica\b/i] },
-    { label: lang === "en" ? "Europe" : "Европа", patterns: [/европ/i, /\beurope\b/i] },
-    { label: lang === "en" ? "China" : "Китай", patterns: [/кита/i, /\bchina\b/i] },
-    { label: lang === "en" ? "Japan" : "Япония", patterns: [/япони/i, /\bjapan\b/i] },
-    { label: lang === "en" ? "Germany" : "Германия", patterns: [/герман/i, /немец/i, /\bgermany\b/i] },
-    { label: lang === "en" ? "Britain" : "Британия", patterns: [/британ/i, /англи/i, /united kingdom/i, /\buk\b/i, /\bbritain\b/i] },
-    { label: lang === "en" ? "France" : "Франция", patterns: [/франци/i, /\bfrance\b/i] },
-    { label: lang === "en" ? "Middle East" : "Ближний Восток", patterns: [/ближн.*восток/i, /middle east/i] },
-    { label: lang === "en" ? "Mediterranean" : "Средиземноморье", patterns: [/средизем/i, /mediterranean/i] },
-    { label: lang === "en" ? "Rus" : "Русь", patterns: [/\bрусь\b/i, /русск.*княжеств/i] },
-    { label: lang === "en" ? "World" : "Мир", patterns: [/\bмир\b/i, /планет/i, /человечеств/i, /\bworld\b/i, /\bplanet\b/i, /\bearth\b/i, /humanity/i] },
-  ];
-
-  return detectTopRuleLabels(text, rules, 2, lang === "en" ? ["World"] : ["Мир"]);
+  return detectTopTaxonomyLabels(text, "countries", lang, 2, ["world"]);
 }
 
 function detectScenarioThemes(text, lang) {
-  const rules = [
-    { label: lang === "en" ? "Geopolitics" : "геополитика", patterns: [/геополит/i, /сверхдержав/i, /allianc/i, /геостратег/i, /sphere of influence/i] },
-    { label: lang === "en" ? "Politics" : "политика", patterns: [/политик/i, /выбор/i, /революц/i, /власт/i, /election/i, /government/i, /president/i] },
-    { label: lang === "en" ? "Wars" : "войны", patterns: [/войн/i, /армия/i, /вторжен/i, /front/i, /army/i, /battle/i] },
-    { label: lang === "en" ? "Religion" : "религия", patterns: [/религи/i, /христиан/i, /ислам/i, /церков/i, /faith/i, /church/i, /christian/i] },
-    { label: lang === "en" ? "Science" : "наука", patterns: [/наук/i, /учен/i, /гравитац/i, /телепат/i, /physics/i, /scient/i, /telepath/i] },
-    { label: lang === "en" ? "Technology" : "технологии", patterns: [/технолог/i, /\bии\b/i, /интернет/i, /сеть/i, /ai\b/i, /network/i, /computer/i] },
-    { label: lang === "en" ? "Catastrophes" : "катастрофы", patterns: [/катастроф/i, /метеорит/i, /ядерн/i, /эпидем/i, /zombi/i, /disaster/i, /nuclear/i] },
-    { label: lang === "en" ? "Evolution" : "эволюция", patterns: [/эволюц/i, /динозав/i, /неандертал/i, /prehistor/i, /species/i, /evolution/i] },
-    { label: lang === "en" ? "Biology" : "биология", patterns: [/биолог/i, /мутац/i, /генет/i, /virus/i, /mutation/i, /genetic/i] },
-    { label: lang === "en" ? "Civilizations" : "цивилизации", patterns: [/цивилизац/i, /импер/i, /римск/i, /roman/i, /empire/i] },
-    { label: lang === "en" ? "Conspiracy" : "конспирология", patterns: [/конспир/i, /тайн.*правительств/i, /золот[ао]й миллиард/i, /conspiracy/i, /secret government/i] },
-    { label: lang === "en" ? "Culture" : "культура", patterns: [/музык/i, /певец/i, /худож/i, /культур/i, /music/i, /artist/i, /cinema/i] },
-  ];
+  return detectTopTaxonomyLabels(text, "themes", lang, 3, []);
+}
 
-  return detectTopRuleLabels(text, rules, 3, []);
+function detectTopTaxonomyLabels(text, group, lang, limit, fallbackIds) {
+  const rules = LOCALE_REGISTRY.taxonomy[group].map((rule) => ({
+    label: localeText(lang, `taxonomy.${group}.${rule.id}.label`),
+    patterns: rule.patterns,
+  }));
+  const fallback = fallbackIds.map((id) => localeText(lang, `taxonomy.${group}.${id}.label`));
+  return detectTopRuleLabels(text, rules, limit, fallback, lang);
 }
 
-function detectTopRuleLabels(text, rules, limit, fallback) {
+function detectTopRuleLabels(text, rules, limit, fallback, lang) {
   const normalized = oneLine(text).toLowerCase();
   const matches = rules
     .map((rule) => ({
       label: rule.label,
       score: countPatternHits(normalized, rule.patterns),
     }))
-    .filter((entry) => entry.score > 0)
-    .sort((left, right) => right.score - left.score || left.label.localeCompare(right.label, "ru"))
+    .filter((entry) => entry.label && entry.score > 0)
+    .sort((left, right) => right.score - left.score || left.label.localeCompare(right.label, lang))
     .slice(0, limit)
     .map((entry) => entry.label);
 
@@ -3079,19 +6909,18 @@ function countPatternHits(text, patterns) {
 function detectScenarioEra(text, lang) {
   const normalized = oneLine(text).toLowerCase();
 
-  if (/динозав|неандертал|доистор|prehistor|evolution/i.test(normalized)) {
-    return lang === "en" ? "Prehistoric Era" : "Доисторическая эпоха";
-  }
-  if (/средневек|medieval|монгол|mongol|княж/i.test(normalized)) {
-    return lang === "en" ? "Middle Ages" : "Средние века";
-  }
-  if (/антич|рим|roman|greece|египет/i.test(normalized)) {
-    return lang === "en" ? "Ancient Era" : "Античность";
+  const era = LOCALE_REGISTRY.taxonomy.eras.find((rule) =>
+    rule.patterns.some((pattern) => pattern.test(normalized))
+  );
+  if (era) {
+    return localeText(lang, `taxonomy.eras.${era.id}.label`);
   }
 
-  const explicitCentury = normalized.match(/\b([ivxlcdm]{1,6}|[0-9]{1,2})\s*век\b/i);
-  if (explicitCentury?.[1]) {
-    return normalizeCenturyLabel(explicitCentury[1], lang);
+  for (const pattern of LOCALE_REGISTRY.taxonomy.century) {
+    const explicitCentury = normalized.match(pattern);
+    if (explicitCentury?.[1]) {
+      return normalizeCenturyLabel(explicitCentury[1], lang);
+    }
   }
 
   const years = Array.from(normalized.matchAll(/\b(0?[1-9][0-9]{2,3}|20[0-9]{2})\b/g))
@@ -3101,35 +6930,29 @@ function detectScenarioEra(text, lang) {
     return formatCenturyFromYear(years[0], lang);
   }
 
-  if (/соврем|internet|интернет|ии|ai\b|телепат|telepath|covid|zombi/i.test(normalized)) {
-    return lang === "en" ? "21st century" : "XXI век";
-  }
-
-  return lang === "en" ? "21st century" : "XXI век";
+  return formatCentury(21, lang);
 }
 
 function normalizeCenturyLabel(rawValue, lang) {
   const raw = String(rawValue || "").trim();
-  if (!raw) {
-    return lang === "en" ? "21st century" : "XXI век";
-  }
-
-  if (/^[0-9]+$/.test(raw)) {
-    const number = Number(raw);
-    if (!Number.isFinite(number) || number < 1) {
-      return lang === "en" ? "21st century" : "XXI век";
-    }
-    return lang === "en" ? `${ordinalCentury(number)} century` : `${toRoman(number)} век`;
-  }
-
-  return lang === "en"
-    ? `${raw.toUpperCase()} century`
-    : `${raw.toUpperCase()} век`;
+  const number = /^[0-9]+$/.test(raw) ? Number(raw) : fromRoman(raw);
+  return formatCentury(number >= 1 ? number : 21, lang);
 }
 
 function formatCenturyFromYear(year, lang) {
-  const century = Math.max(1, Math.ceil(Number(year) / 100));
-  return lang === "en" ? `${ordinalCentury(century)} century` : `${toRoman(century)} век`;
+  return formatCentury(Math.max(1, Math.ceil(Number(year) / 100)), lang);
+}
+
+// numerals: roman — XXI, ordinal — английские 21st, иначе просто 21
+function formatCentury(century, lang) {
+  const numerals = readLocaleValue(lang, "taxonomy.century.numerals");
+  const value =
+    numerals === "roman"
+      ? toRoman(century)
+      : numerals === "ordinal"
+        ? ordinalCentury(century)
+        : String(century);
+  return localeText(lang, "taxonomy.century.template", { century: value });
 }
 
 function ordinalCentury(value) {
@@ -3171,6 +6994,15 @@ function toRoman(value) {
   return result || "I";
 }
 
+function fromRoman(value) {
+  const digits = { i: 1, v: 5, x: 10, l: 50, c: 100, d: 500, m: 1000 };
+  const chars = String(value || "").toLowerCase().split("");
+  return chars.reduce((sum, char, index) => {
+    const current = digits[char] || 0;
+    return current < (digits[chars[index + 1]] || 0) ? sum - current : sum + current;
+  }, 0);
+}
+
 function ensureUniqueScenarioSlug(baseSlug, scenarios, shareId) {
   const normalizedBase = slugify(baseSlug) || `scenario-${String(shareId || "").toLowerCase()}`;
   const occupied = new Set(
@@ -3321,7 +7153,7 @@ function cleanupAutomaticManifestEntry(entry) {
   if (!Array.isArray(next.countries) || next.countries.length === 0) delete next.countries;
   if (!Array.isArray(next.themes) || next.themes.length === 0) delete next.themes;
   if (!Array.isArray(next.relatedSlugs) || next.relatedSlugs.length === 0) delete next.relatedSlugs;
-  if (!next.lang || next.lang === "ru") delete next.lang;
+  if (!next.lang || next.lang === DEFAULT_LOCALE) delete next.lang;
   return next;
 }
 
@@ -3372,10 +7204,10 @@ function getAgeInDays(value) {
 }
 
 function normalizeOptionalLanguage(value) {
-  const raw = String(value || "").trim().toLowerCase();
-  if (raw === "en") return "en";
-  if (raw === "ru") return "ru";
-  return "";
+  const raw = String(value || "").trim().toLowerCase().replace("_", "-");
+  if (LOCALE_REGISTRY.locales.has(raw)) return raw;
+  const base = raw.split("-")[0];
+  return LOCALE_REGISTRY.locales.has(base) ? base : "";
 }
 
 function serializeInlineJson(value) {
@@ -3420,6 +7252,105 @@ function resolveAutoPublicScenariosFile() {
   return path.resolve(process.cwd(), configured);
 }
 
+function resolveModesFile() {
+  const configured = String(process.env.MODES_FILE || "").trim();
+  if (!configured) {
+    return path.join(REPO_DATA_DIR, "modes.json");
+  }
+  if (path.isAbsolute(configured)) {
+    return configured;
+  }
+  return path.resolve(process.cwd(), configured);
+}
+
+function resolvePromptVersionsFile() {
+  const configured = String(process.env.PROMPT_VERSIONS_FILE || "").trim();
+  if (!configured) {
+    return path.join(REPO_DATA_DIR, "prompt-versions.json");
+  }
+  if (path.isAbsolute(configured)) {
+    return configured;
+  }
+  return path.resolve(process.cwd(), configured);
+}
+
+function resolveLocalesDir() {
+  const configured = String(process.env.LOCALES_DIR || "").trim();
+  if (!configured) {
+    return path.join(REPO_DATA_DIR, "locales");
+  }
+  if (path.isAbsolute(configured)) {
+    return configured;
+  }
+  return path.resolve(process.cwd(), configured);
+}
+
+function resolveModelCatalogFile() {
+  const configured = String(process.env.MODEL_CATALOG_FILE || "").trim();
+  if (!configured) {
+    return path.join(REPO_DATA_DIR, "models.json");
+  }
+  if (path.isAbsolute(configured)) {
+    return configured;
+  }
+  return path.resolve(process.cwd(), configured);
+}
+
+function resolveEnsembleCandidatesFile() {
+  const configured = String(process.env.ENSEMBLE_CANDIDATES_FILE || "").trim();
+  if (!configured) {
+    return path.join(RUNTIME_DATA_DIR, "ensemble-candidates.jsonl");
+  }
+  if (path.isAbsolute(configured)) {
+    return configured;
+  }
+  return path.resolve(process.cwd(), configured);
+}
+
+function resolveUsageLedgerFile() {
+  const configured = String(process.env.USAGE_LEDGER_FILE || "").trim();
+  if (!configured) {
+    return path.join(RUNTIME_DATA_DIR, "usage-ledger.jsonl");
+  }
+  if (path.isAbsolute(configured)) {
+    return configured;
+  }
+  return path.resolve(process.cwd(), configured);
+}
+
+function resolveModerationLogFile() {
+  const configured = String(process.env.MODERATION_LOG_FILE || "").trim();
+  if (!configured) {
+    return path.join(RUNTIME_DATA_DIR, "moderation-log.jsonl");
+  }
+  if (path.isAbsolute(configured)) {
+    return configured;
+  }
+  return path.resolve(process.cwd(), configured);
+}
+
+function resolveModerationBlocklistFile() {
+  const configured = String(process.env.MODERATION_BLOCKLIST_FILE || "").trim();
+  if (!configured) {
+    return path.join(RUNTIME_DATA_DIR, "moderation-blocklist.json");
+  }
+  if (path.isAbsolute(configured)) {
+    return configured;
+  }
+  return path.resolve(process.cwd(), configured);
+}
+
+function resolveSessionsDir() {
+  const configured = String(process.env.SESSIONS_DIR || "").trim();
+  if (!configured) {
+    return path.join(RUNTIME_DATA_DIR, "sessions");
+  }
+  if (path.isAbsolute(configured)) {
+    return configured;
+  }
+  return path.resolve(process.cwd(), configured);
+}
+
 function resolveScenarioEngagementFile() {
   const configured = String(process.env.SCENARIO_ENGAGEMENT_FILE || "").trim();
   if (!configured) {
@@ -3435,21 +7366,15 @@ async function handleScenarioOgImage(req, res, url) {
   const scenarioParam = String(url.searchParams.get("scenario") || "").trim();
   const parsed = decodeScenarioPayload(scenarioParam);
   const lang = normalizeLanguage(parsed?.lang || parsed?.language);
-  const title = oneLine(parsed?.event || parsed?.title || byLanguage(lang, "Эффект Бабочки", "Butterfly Effect"));
-  const subtitle = oneLine(
-    parsed?.subtitle ||
-      byLanguage(
-        lang,
-        "Альтернативная история, которой хочется поделиться",
-        "An alternate history worth sharing"
-      )
-  );
-  const narrative = oneLine(parsed?.narrative || "");
+  const title = oneLine(parsed?.event || parsed?.title || localeText(lang, "messages.siteName"));
+  const subtitle = oneLine(parsed?.subtitle || localeText(lang, "messages.ogSubtitleFallback"));
+  const narrativeFormat = normalizeNarrativeFormat(parsed?.narrativeFormat);
 
   const svg = buildScenarioOgSvg({
+    eyebrow: localeText(lang, `messages.narrativeFormats.${narrativeFormat}.ogLabel`),
     title: truncate(title, 120),
     subtitle: truncate(subtitle, 180),
-    snippet: truncate(firstSentence(narrative) || narrative, 240),
+    snippet: truncate(buildScenarioOgSnippet(parsed?.narrative, narrativeFormat), 240),
   });
 
   res.writeHead(200, {
@@ -3467,21 +7392,15 @@ async function handleScenarioOgPng(req, res, url) {
   const scenarioParam = String(url.searchParams.get("scenario") || "").trim();
   const parsed = decodeScenarioPayload(scenarioParam);
   const lang = normalizeLanguage(parsed?.lang || parsed?.language);
-  const title = oneLine(parsed?.event || parsed?.title || byLanguage(lang, "Эффект Бабочки", "Butterfly Effect"));
-  const subtitle = oneLine(
-    parsed?.subtitle ||
-      byLanguage(
-        lang,
-        "Альтернативная история, которой хочется поделиться",
-        "An alternate history worth sharing"
-      )
-  );
-  const narrative = oneLine(parsed?.narrative || "");
+  const title = oneLine(parsed?.event || parsed?.title || localeText(lang, "messages.siteName"));
+  const subtitle = oneLine(parsed?.subtitle || localeText(lang, "messages.ogSubtitleFallback"));
+  const narrativeFormat = normalizeNarrativeFormat(parsed?.narrativeFormat);
 
   const svg = buildScenarioOgSvg({
+    eyebrow: localeText(lang, `messages.narrativeFormats.${narrativeFormat}.ogLabel`),
     title: truncate(title, 120),
     subtitle: truncate(subtitle, 180),
-    snippet: truncate(firstSentence(narrative) || narrative, 240),
+    snippet: truncate(buildScenarioOgSnippet(parsed?.narrative, narrativeFormat), 240),
   });
 
   try {
@@ -3512,7 +7431,21 @@ async function handleScenarioOgPng(req, res, url) {
   }
 }
 
-function buildScenarioOgSvg({ title, subtitle, snippet }) {
+function buildScenarioOgSnippet(narrative, narrativeFormat) {
+  if (narrativeFormat === DEFAULT_NARRATIVE_FORMAT) {
+    const text = oneLine(narrative || "");
+    return firstSentence(text) || text;
+  }
+  const block = parseNarrativeBlocks(narrative, narrativeFormat).find(
+    (item) => item.kind !== "heading"
+  );
+  if (!block) {
+    return "";
+  }
+  return block.label ? `${block.label}: ${block.text}` : firstSentence(block.text) || block.text;
+}
+
+function buildScenarioOgSvg({ eyebrow = "ALTERNATE HISTORY", title, subtitle, snippet }) {
   const titleLines = wrapText(title, 46, 2);
   const subtitleLines = wrapText(subtitle, 56, 2);
   const snippetLines = wrapText(snippet, 68, 3);
@@ -3536,7 +7469,7 @@ function buildScenarioOgSvg({ title, subtitle, snippet }) {
   <rect width="1200" height="630" fill="url(#bg)" />
   <rect width="1200" height="630" fill="url(#glow)" />
   <rect x="54" y="54" width="1092" height="522" rx="26" fill="rgba(8,8,8,0.44)" stroke="rgba(124,225,217,0.35)" />
-  <text x="84" y="112" font-family="'IBM Plex Sans', 'Segoe UI', sans-serif" font-size="30" fill="#7ce1d9" letter-spacing="2">ALTERNATE HISTORY</text>
+  <text x="84" y="112" font-family="'IBM Plex Sans', 'Segoe UI', sans-serif" font-size="30" fill="#7ce1d9" letter-spacing="2">${escapeXml(eyebrow)}</text>
   ${renderSvgLines(titleLines, 84, titleY, 70, 58, "#f6f9f9", 800)}
   ${renderSvgLines(subtitleLines, 84, subtitleY, 36, 42, "rgba(235,245,245,0.92)", 600)}
   ${renderSvgLines(snippetLines, 84, snippetY, 30, 36, "rgba(235,245,245,0.84)", 500)}
@@ -3573,6 +7506,86 @@ async function writeScenarioEngagementStore(store) {
   await writeJsonFileAtomic(SCENARIO_ENGAGEMENT_FILE, store, true);
 }
 
+// каждая сессия — отдельный файл: шаг переписывает только свою сессию, а не все сразу
+function getSessionFilePath(id) {
+  return path.join(SESSIONS_DIR, `${id}.json`);
+}
+
+// список владельца — отдельный индекс сводок в sessions/owners/, чтобы не читать все файлы сессий
+function getSessionOwnerIndexPath(owner) {
+  const hash = crypto.createHash("sha256").update(owner).digest("hex").slice(0, 32);
+  return path.join(SESSIONS_DIR, "owners", `${hash}.json`);
+}
+
+async function readSessionOwnerIndex(owner) {
+  const index = await readJsonObjectFile(getSessionOwnerIndexPath(owner)).catch(() => null);
+  return index?.owner === owner && Array.isArray(index.sessions) ? index.sessions : [];
+}
+
+// вызывается из очереди mutateSessionStore, поэтому индекс одного владельца не пишется параллельно
+async function updateSessionOwnerIndex(session) {
+  if (!session.owner) {
+    return;
+  }
+
+  const sessions = [
+    summarizeSession(session),
+    ...(await readSessionOwnerIndex(session.owner)).filter(
+      (summary) =>
+        summary.id !== session.id && getAgeInDays(summary.updatedAt) <= SESSION_RETENTION_DAYS
+    ),
+  ].slice(0, SESSION_LIST_LIMIT);
+  await writeJsonFileAtomic(
+    getSessionOwnerIndexPath(session.owner),
+    { owner: session.owner, sessions },
+    false
+  );
+}
+
+let sessionStoreQueue = Promise.resolve();
+let sessionsPrunedAt = 0;
+
+// mutator получает управление в очереди и возвращает { session } для записи или { status, error }
+function mutateSessionStore(mutator) {
+  const run = sessionStoreQueue.then(async () => {
+    const result = await mutator();
+    if (!result?.error) {
+      await writeJsonFileAtomic(getSessionFilePath(result.session.id), result.session, false);
+      await updateSessionOwnerIndex(result.session);
+      if (Date.now() - sessionsPrunedAt > SESSION_PRUNE_INTERVAL_MS) {
+        sessionsPrunedAt = Date.now();
+        await pruneSessionFiles();
+      }
+    }
+    return result;
+  });
+  sessionStoreQueue = run.catch(() => {});
+  return run;
+}
+
+// файл переписывается при каждом шаге, так что mtime и есть время последней активности;
+// индекс владельца переписывается вместе с его сессиями и устаревает вместе с последней из них
+async function pruneSessionFiles() {
+  await pruneSessionDirectory(SESSIONS_DIR);
+  await pruneSessionDirectory(path.join(SESSIONS_DIR, "owners"));
+}
+
+async function pruneSessionDirectory(directory) {
+  const fileNames = await fsp.readdir(directory).catch(() => []);
+  for (const fileName of fileNames) {
+    if (!fileName.endsWith(".json")) continue;
+    const filePath = path.join(directory, fileName);
+    try {
+      const stats = await fsp.stat(filePath);
+      if (getAgeInDays(stats.mtime.toISOString()) > SESSION_RETENTION_DAYS) {
+        await fsp.unlink(filePath);
+      }
+    } catch (error) {
+      console.error(`Session file ${fileName} was not pruned:`, error.message);
+    }
+  }
+}
+
 function findExistingShareId(store, scenario) {
   for (const [id, entry] of Object.entries(store || {})) {
     if (entry?.scenario === scenario) {
@@ -3927,19 +7940,22 @@ async function collectSitemapUrls(siteUrl) {
     } catch {
       lastmod = null;
     }
-    urls.push({ loc: `${siteUrl}${routePath}`, lastmod });
+    if (isLocalizedPagePath(routePath)) {
+      urls.push(...buildLocalizedSitemapUrls(siteUrl, routePath, lastmod));
+    } else {
+      urls.push({ loc: `${siteUrl}${routePath}`, lastmod });
+    }
   }
 
   const library = await loadPublicScenarioLibrary();
-  urls.push({
-    loc: `${siteUrl}/scenarios`,
-    lastmod: library.recent[0]?.updatedAt || null,
-  });
+  urls.push(...buildLocalizedSitemapUrls(siteUrl, "/scenarios", library.recent[0]?.updatedAt || null));
 
   for (const scenario of library.scenarios) {
+    const loc = `${siteUrl}${localizePath(scenario.url, scenario.lang)}`;
     urls.push({
-      loc: `${siteUrl}${scenario.url}`,
+      loc,
       lastmod: scenario.updatedAt || scenario.publishedAt || null,
+      alternates: [{ hreflang: scenario.lang, href: loc }],
     });
   }
 
@@ -3950,17 +7966,33 @@ async function collectSitemapUrls(siteUrl) {
   return uniqueSitemapUrls(urls);
 }
 
+// каждая языковая версия — отдельный <url> со ссылками на все версии, как требует hreflang в sitemap
+function buildLocalizedSitemapUrls(siteUrl, pathname, lastmod) {
+  const alternates = buildLocaleAlternates(siteUrl, pathname);
+  return [...LOCALE_REGISTRY.locales.keys()].map((code) => ({
+    loc: `${siteUrl}${localizePath(pathname, code)}`,
+    lastmod,
+    alternates,
+  }));
+}
+
 function buildSitemapXml(urls) {
   const body = urls
     .map((entry) => {
       const lastmod = entry.lastmod
         ? `\n    <lastmod>${escapeXml(entry.lastmod)}</lastmod>`
         : "";
-      return `  <url>\n    <loc>${escapeXml(entry.loc)}</loc>${lastmod}\n  </url>`;
+      const alternates = (entry.alternates || [])
+        .map(
+          (alternate) =>
+            `\n    <xhtml:link rel="alternate" hreflang="${escapeXml(alternate.hreflang)}" href="${escapeXml(alternate.href)}" />`
+        )
+        .join("");
+      return `  <url>\n    <loc>${escapeXml(entry.loc)}</loc>${lastmod}${alternates}\n  </url>`;
     })
     .join("\n");
   return `<?xml version="1.0" encoding="UTF-8"?>\n` +
-    `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n` +
+    `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">\n` +
     `${body}\n</urlset>\n`;
 }
 
@@ -4000,6 +8032,7 @@ function sendHtml(res, statusCode, html, method = "GET") {
   res.writeHead(statusCode, {
     "Content-Type": "text/html; charset=utf-8",
     "Cache-Control": statusCode >= 400 ? "no-store, max-age=0" : "public, max-age=0, must-revalidate",
+    Vary: "Accept-Language, Cookie",
   });
   if (method === "HEAD") {
     res.end();
@@ -4008,6 +8041,21 @@ function sendHtml(res, statusCode, html, method = "GET") {
   res.end(html);
 }
 
+function startEventStream(res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-store, max-age=0",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders?.();
+}
+
+function sendStreamEvent(res, event, data) {
+  if (res.writableEnded || res.destroyed) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
 function sendJson(res, statusCode, data) {
   res.writeHead(statusCode, {
     "Content-Type": "application/json; charset=utf-8",
@@ -4024,6 +8072,41 @@ function redirect(res, statusCode, location) {
   res.end();
 }
 
+function readModelPricesEnv(prefix) {
+  return {
+    promptPer1k: readPositiveNumberEnv(`${prefix}_PRICE_PROMPT_PER_1K`, 0),
+    completionPer1k: readPositiveNumberEnv(`${prefix}_PRICE_COMPLETION_PER_1K`, 0),
+  };
+}
+
+function readProviderBudgetsEnv(name) {
+  return normalizeProviderBudgets(
+    Object.fromEntries(
+      String(process.env[name] || "")
+        .split(",")
+        .map((pair) => pair.split("="))
+        .filter(([provider, amount]) => provider?.trim() && amount !== undefined)
+    )
+  );
+}
+
+function readRateLimitRuleEnv(name, fallbackLimit, fallbackWindowSeconds) {
+  const [limit, windowSeconds] = String(process.env[name] || "")
+    .split("/")
+    .map((value) => Number(value));
+  return {
+    limit: Number.isInteger(limit) && limit > 0 ? limit : fallbackLimit,
+    windowMs:
+      (Number.isFinite(windowSeconds) && windowSeconds > 0 ? windowSeconds : fallbackWindowSeconds) *
+      1000,
+  };
+}
+
+function readPositiveNumberEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
 function loadEnvFile() {
   const envPath = path.join(process.cwd(), ".env");
 
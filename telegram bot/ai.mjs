@@ -3,6 +3,8 @@
  *
  * Переменные окружения:
  *   BUTTERFLY_API_URL  — базовый URL сервера (по умолчанию http://localhost:3000)
+ *   INTERNAL_API_TOKEN — общий с сервером токен: освобождает бота от rate limit и
+ *                        позволяет работать с сессиями tg:<userId> (бот без него не стартует)
  */
 
 const API_BASE = (process.env.BUTTERFLY_API_URL || 'http://localhost:3000').replace(/\/+$/, '');
@@ -12,19 +14,129 @@ const API_BASE = (process.env.BUTTERFLY_API_URL || 'http://localhost:3000').repl
  *
  * @param {object} opts
  * @param {string} opts.event      — вопрос «Что если...»
- * @param {string} [opts.mode]     — режим: realism | dark | prosperity | madness | humor
+ * @param {string} [opts.mode]     — id режима из реестра /api/modes (realism, dark, ...)
+ * @param {string} [opts.length]   — длина текста: short, standard или long-read (пустая = как у родительского шага)
  * @param {string} [opts.branch]   — выбранная ветка продолжения (пустая = первый шаг)
  * @param {Array}  [opts.context]  — массив предыдущих шагов (до 4)
  * @param {string} [opts.modelId]  — id конкретной модели (необязательно)
- * @returns {Promise<object>}      — объект scenario из API
+ * @param {string} [opts.sessionId]    — id серверной сессии: шаг сохранится в ней
+ * @param {string} [opts.parentStepId] — шаг сессии, от которого продолжается ветка
+ * @returns {Promise<object>}      — объект scenario из API (с sessionId/stepId, если передана сессия)
  */
-export async function generateScenario({ event, mode = 'realism', branch = '', context = [], modelId = '' }) {
-  const url = `${API_BASE}/api/alt-history`;
+export async function generateScenario({
+  event,
+  mode = 'realism',
+  length = '',
+  branch = '',
+  context = [],
+  modelId = '',
+  sessionId = '',
+  parentStepId = '',
+}) {
+  const data = await requestApi('/api/alt-history', {
+    method: 'POST',
+    body: { event, mode, length, branch, context, modelId, sessionId, parentStepId, source: 'bot' },
+  });
+
+  if (!data?.scenario) {
+    throw new Error('Пустой ответ от сервера генерации');
+  }
+
+  return data.scenario;
+}
 
-  const response = await fetch(url, {
+/**
+ * Проверяет вопрос модерацией сервера до списания запроса и выбора режима.
+ * Если сервер не ответил, возвращает null — генерация все равно пройдет модерацию на сервере.
+ *
+ * @param {string} event — вопрос «Что если...»
+ * @returns {Promise<{ action: 'allow'|'soften'|'block', reasons: string[], event: string, message: string }|null>}
+ */
+export async function moderateEvent(event) {
+  try {
+    return await requestApi('/api/moderation', {
+      method: 'POST',
+      body: { event, language: 'ru', source: 'bot' },
+    });
+  } catch (error) {
+    console.error('Moderation check failed:', error?.message);
+    return null;
+  }
+}
+
+/**
+ * Создаёт серверную сессию, в которой будут храниться все шаги истории.
+ *
+ * @param {object} opts
+ * @param {string} opts.event   — вопрос «Что если...»
+ * @param {string} [opts.mode]  — режим генерации
+ * @param {string} [opts.owner] — владелец сессии, например `tg:<userId>`
+ * @returns {Promise<object>}   — сводка сессии ({ id, event, mode, ... })
+ */
+export async function createSession({ event, mode = 'realism', owner = '' }) {
+  const data = await requestApi('/api/sessions', {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ event, mode, branch, context, modelId }),
+    body: { event, mode, owner },
+  });
+
+  if (!data?.session?.id) {
+    throw new Error('Сервер не вернул id сессии');
+  }
+
+  return data.session;
+}
+
+/**
+ * Возвращает цепочку шагов сессии от первого до указанного.
+ *
+ * @param {string} sessionId
+ * @param {string} stepId
+ * @returns {Promise<{ session: object, steps: Array }>}
+ */
+export async function getSessionSteps(sessionId, stepId) {
+  const query = new URLSearchParams({ stepId });
+  return requestApi(`/api/sessions/${encodeURIComponent(sessionId)}/steps?${query}`);
+}
+
+/**
+ * Возвращает состояние провайдеров из /api/meta: ok | degraded | down.
+ * Если сервер не ответил, возвращает пустую строку — это не повод блокировать генерацию.
+ *
+ * @returns {Promise<string>}
+ */
+export async function getServiceStatus() {
+  try {
+    const data = await requestApi('/api/meta');
+    return typeof data?.status === 'string' ? data.status : '';
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Загружает реестр режимов генерации с сервера (метки, эмодзи, цвета карточки).
+ * Если сервер не ответил, возвращает пустой массив — бот возьмёт встроенные режимы.
+ *
+ * @returns {Promise<Array<{ id: string, labels: object, shortLabels: object, emoji: string, colors: object }>>}
+ */
+export async function getModes() {
+  try {
+    const data = await requestApi('/api/modes');
+    return Array.isArray(data?.modes) ? data.modes.filter((mode) => mode?.id) : [];
+  } catch {
+    return [];
+  }
+}
+
+async function requestApi(pathname, { method = 'GET', body } = {}) {
+  const headers = {};
+  if (body) headers['Content-Type'] = 'application/json';
+  if (process.env.INTERNAL_API_TOKEN) headers['X-Internal-Token'] = process.env.INTERNAL_API_TOKEN;
+
+  const response = await fetch(`${API_BASE}${pathname}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined,
   });
 
   let data;
@@ -38,9 +150,5 @@ export async function generateScenario({ event, mode = 'realism', branch = '', c
     throw new Error(data?.error || `Ошибка API: HTTP ${response.status}`);
   }
 
-  if (!data?.scenario) {
-    throw new Error('Пустой ответ от сервера генерации');
-  }
-
-  return data.scenario;
+  return data;
 }
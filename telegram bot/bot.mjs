@@ -4,11 +4,11 @@
  * Переменные окружения (из родительского .env или своего):
  *   BOT_TOKEN          — токен бота от @BotFather (обязательно)
  *   BUTTERFLY_API_URL  — URL основного сервера (по умолчанию http://localhost:3000)
+ *   INTERNAL_API_TOKEN — общий с сервером токен внутреннего клиента (обязательно)
  */
 
 import fs from 'node:fs';
 import path from 'node:path';
-import crypto from 'node:crypto';
 import { fileURLToPath } from 'node:url'; // handles spaces and special chars in paths
 import { Telegraf, Markup } from 'telegraf';
 
@@ -22,7 +22,14 @@ import {
   getStoreStats,
   FREE_REQUESTS,
 } from './store.mjs';
-import { generateScenario } from './ai.mjs';
+import {
+  generateScenario,
+  createSession,
+  getSessionSteps,
+  getServiceStatus,
+  getModes,
+  moderateEvent,
+} from './ai.mjs';
 import { generateCardPng } from './card.mjs';
 
 // ─── Env loading ─────────────────────────────────────────────────────────────
@@ -37,6 +44,13 @@ if (!BOT_TOKEN) {
   process.exit(1);
 }
 
+// Без токена сервер видит бота как анонимного веб-клиента: сессии tg:<userId>
+// становятся чужими, и каждая генерация в них получает 403
+if (!process.env.INTERNAL_API_TOKEN) {
+  console.error('❌  INTERNAL_API_TOKEN не задан. Укажите тот же токен, что в .env сайта.');
+  process.exit(1);
+}
+
 const ADMIN_USER_IDS = new Set(
   String(process.env.ADMIN_USER_IDS || '')
     .split(',')
@@ -48,6 +62,7 @@ const SUPPORT_EMAIL = String(process.env.SUPPORT_EMAIL || 'klimovphotography@ya.
 const SUPPORT_URL = String(process.env.SUPPORT_URL || '').trim();
 const TERMS_URL = String(process.env.TERMS_URL || '').trim();
 
+// Fallback labels when the server mode registry (/api/modes) is unavailable
 const MODE_LABELS = {
   realism:    '⚡ Реализм',
   dark:       '🌑 Мрачная хроника',
@@ -56,6 +71,14 @@ const MODE_LABELS = {
   humor:      '😄 Юмор',
 };
 
+// Narrative length presets from /api/alt-history; cards look best short
+const LENGTH_LABELS = {
+  short:       '✂️ Коротко',
+  standard:    '📄 Стандарт',
+  'long-read': '📜 Лонгрид',
+};
+const DEFAULT_LENGTH = 'short';
+
 // Stars packages: { id, label, requests, stars }
 const STAR_PACKAGES = [
   { id: 'pkg10',  label: '10 сценариев',  requests: 10,  stars: 50  },
@@ -81,22 +104,52 @@ const PUBLIC_BOT_COMMANDS = [
 const pendingEvents = new Map();
 
 /**
- * scenarioCache: scenarioId → { event, mode, context }
- * Used for branch continuation when user clicks a branch button.
- * Auto-cleaned after 2 hours.
+ * lengthPreferences: userId → length id
+ * The last length the user picked on the mode keyboard.
  */
-const scenarioCache = new Map();
+const lengthPreferences = new Map();
 
-function cacheScenario(event, mode, context) {
-  const id = crypto.randomBytes(5).toString('hex');
-  scenarioCache.set(id, { event, mode, context, ts: Date.now() });
+// Generated steps live in server-side sessions (/api/sessions), so branch
+// buttons keep working after a bot restart.
 
-  // Lazy cleanup: remove entries older than 2 hours
-  for (const [key, val] of scenarioCache) {
-    if (Date.now() - val.ts > 2 * 60 * 60 * 1000) scenarioCache.delete(key);
+// ─── Modes registry ──────────────────────────────────────────────────────────
+
+const MODES_CACHE_MS = 10 * 60 * 1000;
+
+/** Modes from the server registry, refreshed every MODES_CACHE_MS */
+let modesCache = { modes: [], loadedAt: 0 };
+
+async function loadModes() {
+  if (modesCache.modes.length && Date.now() - modesCache.loadedAt < MODES_CACHE_MS) {
+    return modesCache.modes;
   }
+  const modes = await getModes();
+  if (modes.length) {
+    modesCache = { modes, loadedAt: Date.now() };
+  }
+  return modesCache.modes;
+}
 
-  return id;
+function findMode(modeId) {
+  return modesCache.modes.find((mode) => mode.id === modeId) || null;
+}
+
+/** Short mode name without emoji, e.g. for the card badge */
+function getModeName(modeId) {
+  const mode = findMode(modeId);
+  if (mode) {
+    return mode.shortLabels?.ru || mode.labels?.ru || mode.id;
+  }
+  return MODE_LABELS[modeId]?.replace(/^[^ ]+ /, '') || 'Реализм';
+}
+
+/** Mode name with emoji for buttons and messages */
+function getModeTitle(modeId) {
+  const mode = findMode(modeId);
+  if (mode) {
+    return mode.emoji ? `${mode.emoji} ${getModeName(modeId)}` : getModeName(modeId);
+  }
+  return MODE_LABELS[modeId] || modeId;
 }
 
 function normalizeTelegramUsername(value) {
@@ -107,17 +160,24 @@ function normalizeTelegramUsername(value) {
 
 // ─── Keyboards ───────────────────────────────────────────────────────────────
 
-const MODE_KEYBOARD = Markup.inlineKeyboard([
-  [
-    Markup.button.callback('⚡ Реализм',         'mode:realism'),
-    Markup.button.callback('🌑 Мрачная хроника', 'mode:dark'),
-  ],
-  [
-    Markup.button.callback('🌟 Процветание',     'mode:prosperity'),
-    Markup.button.callback('🌀 Безумие',         'mode:madness'),
-  ],
-  [Markup.button.callback('😄 Юмор',            'mode:humor')],
-]);
+function buildModeKeyboard(userId) {
+  const modeIds = modesCache.modes.length
+    ? modesCache.modes.map((mode) => mode.id)
+    : Object.keys(MODE_LABELS);
+  const rows = [];
+  for (let i = 0; i < modeIds.length; i += 2) {
+    rows.push(
+      modeIds.slice(i, i + 2).map((modeId) => Markup.button.callback(getModeTitle(modeId), `mode:${modeId}`))
+    );
+  }
+  const activeLength = lengthPreferences.get(userId) || DEFAULT_LENGTH;
+  rows.push(
+    Object.entries(LENGTH_LABELS).map(([lengthId, label]) =>
+      Markup.button.callback(lengthId === activeLength ? `✓ ${label}` : label, `length:${lengthId}`)
+    )
+  );
+  return Markup.inlineKeyboard(rows);
+}
 
 function buildBuyKeyboard() {
   return Markup.inlineKeyboard(
@@ -130,11 +190,13 @@ function buildBuyKeyboard() {
   );
 }
 
-function buildBranchKeyboard(branches, scenarioId) {
+function buildBranchKeyboard(branches, sessionId, stepId) {
   if (!branches?.length) return null;
-  const buttons = branches
-    .slice(0, 3)
-    .map((b, i) => [Markup.button.callback(`↪ ${b}`, `branch:${scenarioId}:${i}`)]);
+  const buttons = sessionId && stepId
+    ? branches
+        .slice(0, 3)
+        .map((b, i) => [Markup.button.callback(`↪ ${b}`, `branch:${sessionId}:${stepId}:${i}`)])
+    : [];
   buttons.push([Markup.button.callback('🔄 Новый вопрос', 'new')]);
   return Markup.inlineKeyboard(buttons);
 }
@@ -174,10 +236,21 @@ function remainingLabel(n) {
   return `${count} ${word}`;
 }
 
+/** Warns the user when the generation providers are degraded */
+function buildServiceStatusNote(status) {
+  if (status === 'degraded') {
+    return '\n\n⚠️ <i>Часть моделей сейчас работает с перебоями, генерация может занять больше времени.</i>';
+  }
+  if (status === 'down') {
+    return '\n\n⚠️ <i>Модели сейчас недоступны, пробуем достучаться до запасных.</i>';
+  }
+  return '';
+}
+
 /** Builds the fallback text message when image generation fails */
 function buildNarrativeMessage(scenario, remaining) {
   const title   = h(scenario.event || scenario.shareCard?.title || '');
-  const mode    = h(MODE_LABELS[scenario.mode] || '');
+  const mode    = h(scenario.mode ? getModeTitle(scenario.mode) : '');
   const narr    = highlightYears(scenario.narrative || '');
   const rem     = remainingLabel(remaining);
 
@@ -428,7 +501,7 @@ bot.on('text', async (ctx) => {
   // Skip commands
   if (ctx.message.text.startsWith('/')) return;
 
-  const eventText = ctx.message.text.trim();
+  let eventText = ctx.message.text.trim();
   if (!eventText || eventText.length < 4) {
     return ctx.reply('Напишите вопрос в формате «Что если...» — минимум 4 символа.');
   }
@@ -436,6 +509,16 @@ bot.on('text', async (ctx) => {
     return ctx.reply('Слишком длинный вопрос. Сократите до 500 символов.');
   }
 
+  // Moderate before spending quota on a request the server will refuse
+  const moderation = await moderateEvent(eventText);
+  if (moderation?.action === 'block') {
+    return ctx.reply(`🚫 ${moderation.message}`);
+  }
+  if (moderation?.action === 'soften') {
+    eventText = moderation.event || eventText;
+    await ctx.reply(`ℹ️ ${moderation.message}`);
+  }
+
   // Store the pending question
   pendingEvents.set(ctx.from.id, eventText);
 
@@ -445,12 +528,31 @@ bot.on('text', async (ctx) => {
   }
 
   const preview = eventText.length > 80 ? `${eventText.slice(0, 77)}…` : eventText;
+  await loadModes();
   await ctx.replyWithHTML(
     `📝 <b>${h(preview)}</b>\n\nВыберите режим генерации:`,
-    MODE_KEYBOARD
+    buildModeKeyboard(ctx.from.id)
   );
 });
 
+// ─── Length selection callback ───────────────────────────────────────────────
+
+bot.action(/^length:(.+)$/, async (ctx) => {
+  const lengthId = ctx.match[1];
+  if (!LENGTH_LABELS[lengthId]) {
+    return ctx.answerCbQuery();
+  }
+
+  await ctx.answerCbQuery(LENGTH_LABELS[lengthId]);
+  if (lengthPreferences.get(ctx.from.id) === lengthId) return;
+
+  lengthPreferences.set(ctx.from.id, lengthId);
+  await loadModes();
+  try {
+    await ctx.editMessageReplyMarkup(buildModeKeyboard(ctx.from.id).reply_markup);
+  } catch { /* ignore */ }
+});
+
 // ─── Mode selection callback ─────────────────────────────────────────────────
 
 bot.action(/^mode:(.+)$/, async (ctx) => {
@@ -459,6 +561,7 @@ bot.action(/^mode:(.+)$/, async (ctx) => {
   const modeId  = ctx.match[1];
   const userId  = ctx.from.id;
   const eventText = pendingEvents.get(userId);
+  const lengthId  = lengthPreferences.get(userId) || DEFAULT_LENGTH;
 
   if (!eventText) {
     return ctx.editMessageText('⏳ Сессия истекла. Напишите вопрос заново.');
@@ -473,9 +576,13 @@ bot.action(/^mode:(.+)$/, async (ctx) => {
   }
 
   // Show loading state
+  await loadModes();
+  const serviceStatus = await getServiceStatus();
   await ctx.editMessageText(
     `⏳ Моделирую альтернативную ветку...\n\n<b>${h(eventText)}</b>\n\n` +
-    `Режим: ${h(MODE_LABELS[modeId] || modeId)}`,
+    `Режим: ${h(getModeTitle(modeId))}\n` +
+    `Длина: ${h(LENGTH_LABELS[lengthId])}` +
+    buildServiceStatusNote(serviceStatus),
     { parse_mode: 'HTML' }
   );
 
@@ -491,7 +598,13 @@ bot.action(/^mode:(.+)$/, async (ctx) => {
     }
     consumedSource = consumeResult.source;
 
-    scenario = await generateScenario({ event: eventText, mode: modeId });
+    const session = await createSession({ event: eventText, mode: modeId, owner: `tg:${userId}` });
+    scenario = await generateScenario({
+      event:     eventText,
+      mode:      modeId,
+      length:    lengthId,
+      sessionId: session.id,
+    });
   } catch (error) {
     console.error('Generation error:', error?.message);
     // Refund on failure
@@ -502,17 +615,6 @@ bot.action(/^mode:(.+)$/, async (ctx) => {
     return;
   }
 
-  // Cache scenario for branch continuation
-  const initialContext = [];
-  const scenarioId = cacheScenario(eventText, modeId, initialContext);
-
-  // Store branches in cache for later use
-  const cachedEntry = scenarioCache.get(scenarioId);
-  if (cachedEntry) {
-    cachedEntry.branches = scenario.branches || [];
-    cachedEntry.narrative = scenario.narrative;
-  }
-
   // Generate card image
   let cardBuffer;
   try {
@@ -521,7 +623,8 @@ bot.action(/^mode:(.+)$/, async (ctx) => {
       subtitle:  scenario.shareCard?.subtitle || '',
       narrative: scenario.narrative || '',
       modeId,
-      modeLabel: MODE_LABELS[modeId]?.replace(/^[^ ]+ /, '') || 'Реализм',
+      modeLabel: getModeName(modeId),
+      modeStyle: findMode(modeId)?.colors?.telegram,
     });
   } catch (imgErr) {
     console.error('Card generation error:', imgErr?.message);
@@ -529,7 +632,7 @@ bot.action(/^mode:(.+)$/, async (ctx) => {
   }
 
   const remaining = await getRemainingRequests(userId);
-  const keyboard  = buildBranchKeyboard(scenario.branches, scenarioId);
+  const keyboard  = buildBranchKeyboard(scenario.branches, scenario.sessionId, scenario.stepId);
 
   // Delete loading message
   try { await ctx.deleteMessage(); } catch { /* ignore */ }
@@ -541,21 +644,27 @@ bot.action(/^mode:(.+)$/, async (ctx) => {
 
 // ─── Branch continuation callback ────────────────────────────────────────────
 
-bot.action(/^branch:([a-f0-9]+):(\d+)$/, async (ctx) => {
+bot.action(/^branch:([A-Za-z0-9_-]+):([A-Za-z0-9_-]+):(\d+)$/, async (ctx) => {
   await ctx.answerCbQuery('Продолжаю историю…');
 
-  const [, scenarioId, branchIdx] = ctx.match;
+  const [, sessionId, stepId, branchIdx] = ctx.match;
   const userId = ctx.from.id;
 
-  const cached = scenarioCache.get(scenarioId);
-  if (!cached) {
-    return ctx.reply('⏳ Эта история уже недоступна (бот был перезапущен). Задайте вопрос заново.');
+  let chain;
+  try {
+    chain = await getSessionSteps(sessionId, stepId);
+  } catch {
+    return ctx.reply('⏳ Эта история уже недоступна. Задайте вопрос заново.');
   }
 
-  const branchText = (cached.branches || [])[Number(branchIdx)];
+  const parentStep = chain.steps?.[chain.steps.length - 1];
+  const event      = chain.session?.event || '';
+  const modeId     = parentStep?.mode || chain.session?.mode || 'realism';
+  const branchText = (parentStep?.branches || [])[Number(branchIdx)];
   if (!branchText) {
     return ctx.reply('Ветка не найдена. Попробуйте другую.');
   }
+  await loadModes();
 
   // Check quota
   const canMake = await canMakeRequest(userId);
@@ -566,8 +675,9 @@ bot.action(/^branch:([a-f0-9]+):(\d+)$/, async (ctx) => {
   // Disable the branch buttons so user can't double-click
   try { await ctx.editMessageReplyMarkup({ inline_keyboard: [] }); } catch { /* ignore */ }
 
+  const serviceStatus = await getServiceStatus();
   const loadingMsg = await ctx.replyWithHTML(
-    `⏳ <b>Развиваю ветку:</b>\n<i>${h(branchText)}</i>`
+    `⏳ <b>Развиваю ветку:</b>\n<i>${h(branchText)}</i>` + buildServiceStatusNote(serviceStatus)
   );
 
   let scenario;
@@ -581,45 +691,31 @@ bot.action(/^branch:([a-f0-9]+):(\d+)$/, async (ctx) => {
     }
     consumedSource = consumeResult.source;
 
-    // Build context from cache
-    const context = [
-      ...(cached.context || []),
-      {
-        branch:    cached.branches?.[Number(branchIdx)] || '',
-        narrative: cached.narrative || '',
-        timeline:  [],
-      },
-    ].slice(-4); // keep last 4 steps
-
+    // The server rebuilds the context (last 4 steps) from the session chain
+    // and keeps the parent step's length
     scenario = await generateScenario({
-      event:   cached.event,
-      mode:    cached.mode,
-      branch:  branchText,
-      context,
+      event,
+      mode:         modeId,
+      branch:       branchText,
+      sessionId,
+      parentStepId: stepId,
     });
 
-    // Cache new state for further branching
-    const newScenarioId = cacheScenario(cached.event, cached.mode, context);
-    const newEntry = scenarioCache.get(newScenarioId);
-    if (newEntry) {
-      newEntry.branches = scenario.branches || [];
-      newEntry.narrative = scenario.narrative;
-    }
-
     // Generate card
     let cardBuffer;
     try {
       cardBuffer = await generateCardPng({
-        title:     scenario.event || cached.event,
+        title:     scenario.event || event,
         subtitle:  scenario.shareCard?.subtitle || branchText,
         narrative: scenario.narrative || '',
-        modeId:    cached.mode,
-        modeLabel: MODE_LABELS[cached.mode]?.replace(/^[^ ]+ /, '') || 'Реализм',
+        modeId,
+        modeLabel: getModeName(modeId),
+        modeStyle: findMode(modeId)?.colors?.telegram,
       });
     } catch { /* fallback to text only */ }
 
     const remaining = await getRemainingRequests(userId);
-    const keyboard  = buildBranchKeyboard(scenario.branches, newScenarioId);
+    const keyboard  = buildBranchKeyboard(scenario.branches, scenario.sessionId, scenario.stepId);
 
     await ctx.telegram.deleteMessage(ctx.chat.id, loadingMsg.message_id).catch(() => {});
 
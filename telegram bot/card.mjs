@@ -110,9 +110,10 @@ function renderTextLines(lines, x, baselineY, lineHeight, fontSize, fill, weight
  * @param {string} opts.narrative  — full narrative text
  * @param {string} opts.modeId
  * @param {string} opts.modeLabel
+ * @param {object} [opts.modeStyle] — цвета режима из реестра (colors.telegram), перекрывают встроенные
  */
-export function buildCardSvg({ title, subtitle, narrative, modeId = 'realism', modeLabel = 'Реализм' }) {
-  const style = MODE_STYLES[modeId] || MODE_STYLES.realism;
+export function buildCardSvg({ title, subtitle, narrative, modeId = 'realism', modeLabel = 'Реализм', modeStyle = null }) {
+  const style = { ...(MODE_STYLES[modeId] || MODE_STYLES.realism), ...(modeStyle || {}) };
   const safeTitle = String(title ?? '').trim();
   const safeSubtitle = String(subtitle ?? '').trim();
   const safeNarrative = String(narrative ?? '');